@@ -22,6 +22,13 @@ if (Test-Path $buildDir) {
 }
 New-Item -ItemType Directory -Path $buildDir | Out-Null
 
+Write-Host "🧠 Vendoring model assets..." -ForegroundColor Cyan
+node scripts/vendor-assets.js
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "❌ Failed to vendor model assets" -ForegroundColor Red
+    exit 1
+}
+
 Write-Host "📋 Copying files..." -ForegroundColor Cyan
 
 # Copy extension files
@@ -23,6 +23,9 @@ BUILD_DIR="build_temp"
 rm -rf "$BUILD_DIR"
 mkdir -p "$BUILD_DIR"
 
+echo "🧠 Vendoring model assets..."
+node scripts/vendor-assets.js
+
 echo "📋 Copying files..."
 
 # Copy extension files
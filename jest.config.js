@@ -23,6 +23,7 @@ module.exports = {
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/**/detectionWorker.js', // Exclude worker (requires different environment)
+    '!src/vendor/**', // Exclude vendored TensorFlow.js bundles
     '!src/popup/popup.js', // Exclude UI-specific files
     '!src/options/options.js',
     '!src/background/background.js',
@@ -0,0 +1,202 @@
+/**
+ * Vendor model assets into the extension package
+ *
+ * Copies the TensorFlow.js runtime and pose model bundles out of node_modules,
+ * downloads the model weights once at build time, and writes an integrity
+ * manifest of the weights and WebAssembly binaries that the detection worker
+ * verifies before loading them. The manifest is written as a script beside
+ * the worker so it ships, and is replaced, only with the extension code.
+ *
+ * Usage: node scripts/vendor-assets.js [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Keep these paths in sync with ModelAssets in src/utils/constants.js and
+// ASSET_MANIFEST_SCRIPT in src/detection/detectionWorker.js
+const MANIFEST_PATH = 'src/vendor/asset-manifest.js';
+
+const SCRIPTS = [
+  {
+    from: 'node_modules/@tensorflow/tfjs/dist/tf.min.js',
+    to: 'src/vendor/tfjs/tf.min.js'
+  },
+  {
+    from: 'node_modules/@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js',
+    to: 'src/vendor/tfjs/tf-backend-wasm.min.js'
+  },
+  {
+    from: 'node_modules/@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm',
+    to: 'src/vendor/tfjs/tfjs-backend-wasm.wasm'
+  },
+  {
+    from: 'node_modules/@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm',
+    to: 'src/vendor/tfjs/tfjs-backend-wasm-simd.wasm'
+  },
+  {
+    from: 'node_modules/@tensorflow-models/posenet/dist/posenet.min.js',
+    to: 'src/vendor/tfjs/posenet.min.js'
+  },
+  {
+    from: 'node_modules/@tensorflow-models/pose-detection/dist/pose-detection.min.js',
+    to: 'src/vendor/tfjs/pose-detection.min.js'
+  }
+];
+
+// TF Hub serves graph models and shards as files when asked for tfjs-format
+const TFHUB_QUERY = '?tfjs-format=file';
+
+const MODELS = [
+  {
+    base: 'https://storage.googleapis.com/tfjs-models/savedmodel/posenet/mobilenet/quant2/075/',
+    graph: 'model-stride16.json',
+    query: '',
+    to: 'assets/models/posenet/mobilenet-quant2-075/'
+  },
+  {
+    base: 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/lightning/4/',
+    graph: 'model.json',
+    query: TFHUB_QUERY,
+    to: 'assets/models/movenet/singlepose-lightning/'
+  },
+  {
+    base: 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/thunder/4/',
+    graph: 'model.json',
+    query: TFHUB_QUERY,
+    to: 'assets/models/movenet/singlepose-thunder/'
+  },
+  {
+    base: 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/detector/1/',
+    graph: 'model.json',
+    query: TFHUB_QUERY,
+    to: 'assets/models/blazepose/detector/'
+  },
+  {
+    base: 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/landmark/full/2/',
+    graph: 'model.json',
+    query: TFHUB_QUERY,
+    to: 'assets/models/blazepose/landmark-full/'
+  }
+];
+
+/**
+ * Compute a subresource-integrity style SHA-256 digest
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Digest in the form "sha256-<base64>"
+ */
+function sha256(buffer) {
+  return 'sha256-' + crypto.createHash('sha256').update(buffer).digest('base64');
+}
+
+/**
+ * Write a file relative to the repository root, creating parent directories
+ * @param {string} relativePath - Destination path
+ * @param {Buffer} buffer - File contents
+ */
+function writeAsset(relativePath, buffer) {
+  const target = path.join(ROOT, relativePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, buffer);
+}
+
+/**
+ * Download a URL into a buffer
+ * @param {string} url - Remote URL
+ * @returns {Promise<Buffer>} Response body
+ */
+async function download(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: HTTP ${response.status}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Copy runtime scripts and WebAssembly binaries out of node_modules
+ * @param {Object} files - Manifest file map to populate
+ */
+function vendorScripts(files) {
+  for (const script of SCRIPTS) {
+    const source = path.join(ROOT, script.from);
+
+    if (!fs.existsSync(source)) {
+      throw new Error(`Missing ${script.from}. Run "bun install" first.`);
+    }
+
+    const buffer = fs.readFileSync(source);
+    writeAsset(script.to, buffer);
+
+    // Scripts are loaded like any other extension code; binaries are data
+    if (script.to.endsWith('.wasm')) {
+      files[script.to] = sha256(buffer);
+    }
+
+    console.log(`  copied ${script.to}`);
+  }
+}
+
+/**
+ * Download a graph model and all of its weight shards
+ * @param {Object} model - Model descriptor {base, graph, query, to}
+ * @param {Object} files - Manifest file map to populate
+ */
+async function vendorModel(model, files) {
+  const graphBuffer = await download(model.base + model.graph + model.query);
+  const graph = JSON.parse(graphBuffer.toString('utf8'));
+  const graphTarget = path.posix.join(model.to, model.graph);
+
+  writeAsset(graphTarget, graphBuffer);
+  files[graphTarget] = sha256(graphBuffer);
+  console.log(`  downloaded ${graphTarget}`);
+
+  for (const group of graph.weightsManifest || []) {
+    for (const shard of group.paths) {
+      const buffer = await download(model.base + shard + model.query);
+      const target = path.posix.join(model.to, shard);
+
+      writeAsset(target, buffer);
+      files[target] = sha256(buffer);
+      console.log(`  downloaded ${target}`);
+    }
+  }
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+
+  if (!force && fs.existsSync(path.join(ROOT, MANIFEST_PATH))) {
+    console.log('Model assets already vendored (use --force to refresh)');
+    return;
+  }
+
+  console.log('Vendoring model assets...');
+
+  const files = {};
+  vendorScripts(files);
+
+  for (const model of MODELS) {
+    await vendorModel(model, files);
+  }
+
+  const manifest = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    files
+  };
+
+  const source = `// Generated by scripts/vendor-assets.js, do not edit\nself.ASSET_MANIFEST = Object.freeze(${JSON.stringify(manifest, null, 2)});\n`;
+  writeAsset(MANIFEST_PATH, Buffer.from(source));
+  console.log(`Wrote ${MANIFEST_PATH} (${Object.keys(files).length} files)`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
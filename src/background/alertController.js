@@ -0,0 +1,194 @@
+/**
+ * Decides when sustained poor posture or sitting too close warrants an alert
+ */
+
+import { PostureStatus, Time, AlertOutcome, AlertReason, DefaultThresholds } from '../utils/constants.js';
+
+/**
+ * AlertController times poor posture and screen distance against the
+ * configured thresholds and applies the alert cooldown, snooze and quiet
+ * hours before notifying
+ */
+export class AlertController {
+  /**
+   * @param {Object} deps - {settings, notifications: NotificationManager,
+   *   playSound: callback for the alert sound, isQuiet: async check for
+   *   quiet hours, now: clock}
+   */
+  constructor({ settings, notifications, playSound = () => {}, isQuiet = async () => false, now = Date.now }) {
+    this.settings = settings;
+    this.notifications = notifications;
+    this.playSound = playSound;
+    this.isQuiet = isQuiet;
+    this.now = now;
+    this.poorPostureStartTime = null;
+    this.tooCloseStartTime = null;
+    this.lastAlertTime = 0;
+    this.snoozedUntil = null;
+  }
+
+  /**
+   * @param {Object} settings - Settings with thresholds and alerts
+   */
+  updateSettings(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Track a posture update and alert once poor posture has lasted long enough
+   * @param {string} status - PostureStatus value
+   * @param {number} score - Posture score (0-100)
+   * @param {number} now - Update timestamp
+   * @returns {Promise<string|null>} AlertOutcome, or null if no alert was due
+   */
+  async evaluate(status, score, now = this.now()) {
+    if (status !== PostureStatus.POOR) {
+      // Reset poor posture timer if posture improved
+      this.poorPostureStartTime = null;
+      return null;
+    }
+
+    if (this.poorPostureStartTime === null) {
+      this.poorPostureStartTime = now;
+    }
+
+    const duration = (now - this.poorPostureStartTime) / Time.SECOND;
+    if (duration < this.settings.thresholds.poorPostureDuration) {
+      return null;
+    }
+
+    return this.alert(status, score, now);
+  }
+
+  /**
+   * Track screen distance and alert once the user has sat too close for as
+   * long as poor posture would take to alert
+   * @param {number|null} proximity - Percent closer than calibrated, or null
+   *   when uncalibrated or unmeasured
+   * @param {number} now - Update timestamp
+   * @returns {Promise<string|null>} AlertOutcome, or null if no alert was due
+   */
+  async evaluateDistance(proximity, now = this.now()) {
+    const threshold = this.settings.thresholds.screenProximity ?? DefaultThresholds.screenProximity;
+
+    if (typeof proximity !== 'number' || proximity <= threshold) {
+      this.tooCloseStartTime = null;
+      return null;
+    }
+
+    if (this.tooCloseStartTime === null) {
+      this.tooCloseStartTime = now;
+    }
+
+    const duration = (now - this.tooCloseStartTime) / Time.SECOND;
+    if (duration < this.settings.thresholds.poorPostureDuration) {
+      return null;
+    }
+
+    return this.raise(AlertReason.TOO_CLOSE, () => this.notifications.showDistanceAlert(), now);
+  }
+
+  /**
+   * Raise a posture alert
+   * @returns {Promise<string|null>} AlertOutcome, or null if no alert was raised
+   */
+  async alert(status, score, now = this.now()) {
+    return this.raise(AlertReason.POOR_POSTURE, () => this.notifications.showPostureAlert(status, score), now);
+  }
+
+  /**
+   * Raise an alert unless disabled, snoozed or cooling down; during quiet
+   * hours the alert is only recorded. The cooldown is shared by all reasons
+   * so the user is never notified twice in a row.
+   * @param {string} reason - AlertReason value
+   * @param {Function} show - Shows the notification, resolving to its title
+   * @param {number} now - Current timestamp
+   * @returns {Promise<string|null>} AlertOutcome, or null if no alert was raised
+   */
+  async raise(reason, show, now = this.now()) {
+    const { enabled, cooldown, sound } = this.settings.alerts;
+
+    if (!enabled || this.isSnoozed(now) || now - this.lastAlertTime < cooldown * Time.SECOND) {
+      return null;
+    }
+
+    // Claim the cooldown before awaiting so concurrent updates don't alert twice
+    this.lastAlertTime = now;
+
+    if (await this.isQuiet(now)) {
+      console.log(`Alert (${reason}) suppressed during quiet hours`);
+      return AlertOutcome.SUPPRESSED;
+    }
+
+    show().then(title => {
+      // Sound playback happens in the detection page
+      if (sound) {
+        this.playSound();
+      }
+      console.log('Alert triggered:', title);
+    }).catch(error => {
+      console.error('Error creating notification:', error);
+    });
+
+    return AlertOutcome.SHOWN;
+  }
+
+  /**
+   * Suppress alerts for a while
+   * @param {number} minutes - Snooze length
+   * @param {number} now - Current timestamp
+   * @returns {number} Time alerts resume
+   */
+  snooze(minutes, now = this.now()) {
+    return this.snoozeUntil(now + minutes * Time.MINUTE);
+  }
+
+  /**
+   * Suppress alerts until a given time
+   * @param {number} until - Time alerts resume
+   * @returns {number} Time alerts resume
+   */
+  snoozeUntil(until) {
+    this.snoozedUntil = until;
+    return this.snoozedUntil;
+  }
+
+  cancelSnooze() {
+    this.snoozedUntil = null;
+  }
+
+  isSnoozed(now = this.now()) {
+    return this.snoozedUntil !== null && now < this.snoozedUntil;
+  }
+
+  /**
+   * Forget the poor posture and distance timers for a new session
+   */
+  reset() {
+    this.poorPostureStartTime = null;
+    this.tooCloseStartTime = null;
+  }
+
+  /**
+   * State to checkpoint with the session; the snooze is stored on its own
+   * because it outlives sessions
+   * @returns {Object} {poorPostureStartTime, tooCloseStartTime, lastAlertTime}
+   */
+  getState() {
+    return {
+      poorPostureStartTime: this.poorPostureStartTime,
+      tooCloseStartTime: this.tooCloseStartTime,
+      lastAlertTime: this.lastAlertTime
+    };
+  }
+
+  /**
+   * Restore checkpointed state
+   * @param {Object} state - From getState()
+   */
+  restore(state) {
+    this.poorPostureStartTime = state.poorPostureStartTime ?? null;
+    this.tooCloseStartTime = state.tooCloseStartTime ?? null;
+    this.lastAlertTime = state.lastAlertTime ?? 0;
+  }
+}
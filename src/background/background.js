@@ -2,150 +2,193 @@
  * Background script - coordinates detection, alerts, and storage
  */
 
-import { StorageKeys, PostureStatus, NotificationIds, Time } from '../utils/constants.js';
-import { getDefaultSettings, validateSettings } from '../utils/validators.js';
+import { PostureStatus, NotificationIds, DetectionState, ErrorCode, Watchdog, UpdateIntervals, RuntimeMessage, ResponseCode, PauseReason, Presence, AlarmNames, AlertOutcome, Time, Calibration, PortNames } from '../utils/constants.js';
+import { classifyError, describeError } from '../utils/errors.js';
+import { createRouter, createMessage, MessageError } from '../utils/protocol.js';
+import { isWithinSchedule, getNextBoundary } from '../utils/schedule.js';
+import { getSnoozeEnd } from '../utils/snooze.js';
+import { DetectionWatchdog } from './watchdog.js';
+import { saveSession, loadSession, clearSession } from './sessionStore.js';
+import { createDetectionHost } from './detectionHost.js';
+import { StorageManager } from './storageManager.js';
+import { NotificationManager, PostureAlertActions } from './notificationManager.js';
+import { AlertController } from './alertController.js';
+import { QuietHours } from './quietHours.js';
 
 // State
-let detectionWindow = null;
+const detectionHost = createDetectionHost();
+const storage = new StorageManager();
+const notifications = new NotificationManager();
+const quietHours = new QuietHours();
+const alerts = new AlertController({
+  settings: null,
+  notifications,
+  isQuiet: (now) => quietHours.isQuiet(now),
+  playSound: () => {
+    detectionHost.sendMessage(createMessage(RuntimeMessage.PLAY_ALERT_SOUND)).catch(error => {
+      console.error('Error requesting alert sound:', error);
+    });
+  }
+});
+// Toolbar popup, and the same with its snooze menu open for alerts clicked
+// where buttons are unsupported
+const POPUP_PAGE = 'src/popup/popup.html';
+const SNOOZE_POPUP = `${POPUP_PAGE}?snooze`;
+// Errors that detection running again proves are over
+const ERRORS_CLEARED_BY_RUNNING = Object.freeze([
+  ErrorCode.DETECTION_FAILED,
+  ErrorCode.MODEL_LOAD_FAILED
+]);
+// Detection states in which the camera is open
+const CAMERA_OPEN_STATES = Object.freeze([
+  DetectionState.LOADING_MODEL,
+  DetectionState.WARMING_UP,
+  DetectionState.RUNNING
+]);
+
 let currentSettings = null;
-let lastAlertTime = 0;
-let poorPostureStartTime = null;
+let lastError = null;
+const watchdog = new DetectionWatchdog();
+let watchdogTimer = null;
+let lastCheckpoint = 0;
+let pendingCalibration = null;
+const previewPorts = new Set();
+let detectionInfo = {
+  poseBackend: null,
+  tfBackend: null,
+  performance: null,
+  state: null
+};
 let sessionStats = {
   startTime: null,
   totalTime: 0,
   goodPostureTime: 0,
   warningPostureTime: 0,
   poorPostureTime: 0,
+  pausedTime: 0,
+  pausedAt: null,
+  pauseReason: null,
+  absentTime: 0,
+  absentAt: null,
   alertCount: 0,
+  suppressedAlertCount: 0,
   lastStatus: PostureStatus.UNKNOWN
 };
 
 /**
  * Initialize extension
+ * Listeners are registered before this runs, so an alarm or message can
+ * wake the event page; their handlers wait on `ready` for the settings.
  */
 async function initialize() {
   console.log('Posture Monitor: Initializing...');
   
   // Load settings
-  currentSettings = await loadSettings();
+  currentSettings = await storage.loadSettings();
+  alerts.updateSettings(currentSettings);
+  quietHours.updateSettings(currentSettings);
+  
+  // A snooze outlives monitoring sessions and event page unloads
+  const snoozedUntil = await storage.loadSnooze();
+  if (snoozedUntil !== null) {
+    alerts.snoozeUntil(snoozedUntil);
+  }
   
-  // Set up listeners
-  setupListeners();
+  // Pick up a session the event page was unloaded in the middle of
+  await restoreSession();
+  
+  // Alarms survive event page unloads but not browser restarts
+  await applySchedule();
   
   console.log('Posture Monitor: Ready');
 }
 
 /**
- * Load settings from storage
- */
-async function loadSettings() {
-  try {
-    const result = await browser.storage.local.get(StorageKeys.SETTINGS);
-    
-    if (result[StorageKeys.SETTINGS]) {
-      // Validate and merge with defaults
-      const stored = result[StorageKeys.SETTINGS];
-      const defaults = getDefaultSettings();
-      return { ...defaults, ...stored };
-    }
-    
-    // Return defaults if no settings found
-    const defaults = getDefaultSettings();
-    await saveSettings(defaults);
-    return defaults;
-    
-  } catch (error) {
-    console.error('Error loading settings:', error);
-    return getDefaultSettings();
-  }
-}
-
-/**
- * Save settings to storage
+ * Wrap an event handler to run once initialization has finished
+ * @param {Function} handler - Event handler
+ * @returns {Function} Handler returning a promise of the handler's result
  */
-async function saveSettings(settings) {
-  try {
-    const validation = validateSettings(settings);
-    
-    if (!validation.valid) {
-      console.error('Invalid settings:', validation.errors);
-      return false;
-    }
-    
-    await browser.storage.local.set({
-      [StorageKeys.SETTINGS]: settings
-    });
-    
-    currentSettings = settings;
-    return true;
-    
-  } catch (error) {
-    console.error('Error saving settings:', error);
-    return false;
-  }
+function afterInit(handler) {
+  return async (...args) => {
+    await ready;
+    return handler(...args);
+  };
 }
 
 /**
  * Set up message listeners
+ * Must run synchronously when the script loads: the event page is only
+ * woken for events that had listeners registered on its first turn.
  */
 function setupListeners() {
   // Listen for messages from popup/options pages
-  browser.runtime.onMessage.addListener(handleMessage);
+  browser.runtime.onMessage.addListener(afterInit(handleMessage));
+  browser.runtime.onConnect.addListener(afterInit(handleConnect));
   
   // Listen for notification clicks
-  browser.notifications.onClicked.addListener(handleNotificationClick);
+  browser.notifications.onClicked.addListener(afterInit(handleNotificationClick));
+  if (notifications.supportsButtons()) {
+    browser.notifications.onButtonClicked.addListener(afterInit(handleNotificationButton));
+  }
+  
+  // Pause while the user is idle or the screen is locked
+  browser.idle.setDetectionInterval(Presence.IDLE_THRESHOLD);
+  browser.idle.onStateChanged.addListener(afterInit(handleIdleStateChanged));
   
-  // Clean up on browser close
+  // Start and stop at working-hours boundaries
+  browser.alarms.onAlarm.addListener(afterInit(handleAlarm));
+  browser.runtime.onStartup.addListener(afterInit(() => applySchedule({ enforce: true })));
+  
+  // Notice when the detection tab is closed or crashes
+  browser.tabs.onRemoved.addListener(afterInit(handleHostRemoved));
+  
+  // Save the live session before the event page unloads
   browser.runtime.onSuspend.addListener(cleanup);
 }
 
 /**
  * Handle messages from other parts of extension
  */
-async function handleMessage(message, sender, sendResponse) {
-  const { type, data } = message;
-  
-  switch (type) {
-    case 'start_monitoring':
-      return await startMonitoring();
-      
-    case 'stop_monitoring':
-      return await stopMonitoring();
-      
-    case 'get_status':
-      return getStatus();
-      
-    case 'get_settings':
-      return currentSettings;
-      
-    case 'update_settings':
-      return await updateSettings(data);
-      
-    case 'get_statistics':
-      return await getStatistics();
-      
-    case 'posture_update':
-      return handlePostureUpdate(data);
-      
-    case 'snooze_alerts':
-      return snoozeAlerts(data.duration);
-      
-    default:
-      console.warn('Unknown message type:', type);
-      return { error: 'Unknown message type' };
+const handleMessage = createRouter({
+  [RuntimeMessage.START_MONITORING]: () => startMonitoring(),
+  [RuntimeMessage.STOP_MONITORING]: () => stopMonitoring(),
+  [RuntimeMessage.PAUSE_MONITORING]: () => pauseMonitoring(),
+  [RuntimeMessage.RESUME_MONITORING]: () => resumeMonitoring(),
+  [RuntimeMessage.GET_STATUS]: () => getStatus(),
+  [RuntimeMessage.GET_SETTINGS]: () => currentSettings,
+  [RuntimeMessage.UPDATE_SETTINGS]: (data) => updateSettings(data),
+  [RuntimeMessage.GET_STATISTICS]: () => storage.getStatistics(),
+  [RuntimeMessage.POSTURE_UPDATE]: (data) => handlePostureUpdate(data),
+  [RuntimeMessage.DETECTION_STATUS]: (data) => handleDetectionStatus(data),
+  [RuntimeMessage.HEARTBEAT]: (data) => {
+    watchdog.recordHeartbeat(data);
+  },
+  [RuntimeMessage.DETECTION_ERROR]: (data) => handleDetectionError(data),
+  [RuntimeMessage.CLEAR_ERROR]: () => {
+    lastError = null;
+  },
+  [RuntimeMessage.DETECTION_STATE]: (data) => handleDetectionState(data),
+  [RuntimeMessage.CAMERA_FALLBACK]: (data) => handleCameraFallback(data),
+  [RuntimeMessage.PRESENCE_UPDATE]: (data) => handlePresenceUpdate(data),
+  [RuntimeMessage.SNOOZE_ALERTS]: (data) => snoozeAlerts(data),
+  [RuntimeMessage.CANCEL_SNOOZE]: () => cancelSnooze(),
+  [RuntimeMessage.CALIBRATE]: () => calibrate(),
+  [RuntimeMessage.CALIBRATION_RESULT]: (data) => settleCalibration(data),
+  [RuntimeMessage.POSE_PREVIEW]: (data) => {
+    previewPorts.forEach(port => port.postMessage(data));
   }
-}
+});
 
 /**
  * Start posture monitoring
  */
 async function startMonitoring() {
+  if (detectionHost.isOpen()) {
+    console.log('Monitoring already active');
+    throw new MessageError('Already monitoring', ResponseCode.REJECTED);
+  }
+  
   try {
-    if (detectionWindow) {
-      console.log('Monitoring already active');
-      return { success: false, error: 'Already monitoring' };
-    }
-    
     // Reset session stats
     sessionStats = {
       startTime: Date.now(),
@@ -153,30 +196,30 @@ async function startMonitoring() {
       goodPostureTime: 0,
       warningPostureTime: 0,
       poorPostureTime: 0,
+      pausedTime: 0,
+      pausedAt: null,
+      pauseReason: null,
+      absentTime: 0,
+      absentAt: null,
       alertCount: 0,
+      suppressedAlertCount: 0,
       lastStatus: PostureStatus.UNKNOWN
     };
     
-    poorPostureStartTime = null;
-    
-    // Create detection window (hidden)
-    const window = await browser.windows.create({
-      url: browser.runtime.getURL('src/detection/detection.html'),
-      type: 'popup',
-      width: 1,
-      height: 1,
-      left: -1000,
-      top: -1000
-    });
+    alerts.reset();
+    lastError = null;
+    detectionInfo = { poseBackend: null, tfBackend: null, performance: null, state: null };
+    watchdog.resetRestarts();
     
-    detectionWindow = window;
+    await detectionHost.open();
+    startWatchdog();
+    await checkpointSession(true);
     
     console.log('Monitoring started');
-    return { success: true };
     
   } catch (error) {
     console.error('Error starting monitoring:', error);
-    return { success: false, error: error.message };
+    throw error;
   }
 }
 
@@ -185,33 +228,506 @@ async function startMonitoring() {
  */
 async function stopMonitoring() {
   try {
-    if (detectionWindow) {
-      await browser.windows.remove(detectionWindow.id);
-      detectionWindow = null;
+    stopWatchdog();
+    settleCalibration({ baseline: null, error: 'Monitoring stopped before calibration finished.' });
+    
+    if (detectionHost.isOpen()) {
+      await detectionHost.close();
     }
     
     // Save session statistics
     await saveSessionStatistics();
     
     console.log('Monitoring stopped');
-    return { success: true };
     
   } catch (error) {
     console.error('Error stopping monitoring:', error);
-    return { success: false, error: error.message };
+    throw error;
+  }
+}
+
+/**
+ * Pause monitoring: the detection page releases the camera but keeps the
+ * worker and model loaded so resuming is quick
+ * @param {string} reason - PauseReason value
+ */
+async function pauseMonitoring(reason = PauseReason.USER) {
+  if (!detectionHost.isOpen()) {
+    throw new MessageError('Not monitoring', ResponseCode.REJECTED);
+  }
+  
+  if (isPaused()) {
+    throw new MessageError('Already paused', ResponseCode.REJECTED);
+  }
+  
+  const now = Date.now();
+  
+  // Close out the current posture status; paused time is tracked on its own
+  accrueAbsentTime(now);
+  accrueSessionTime(now);
+  sessionStats.lastStatus = PostureStatus.UNKNOWN;
+  sessionStats.lastUpdateTime = now;
+  sessionStats.pausedAt = now;
+  sessionStats.pauseReason = reason;
+  alerts.reset();
+  settleCalibration({ baseline: null, error: 'Monitoring paused before calibration finished.' });
+  
+  await detectionHost.sendMessage(createMessage(RuntimeMessage.PAUSE_DETECTION));
+  await checkpointSession(true);
+  
+  console.log('Monitoring paused:', reason);
+  return { pausedAt: now };
+}
+
+/**
+ * Resume a paused monitoring session
+ */
+async function resumeMonitoring() {
+  if (!detectionHost.isOpen() || !isPaused()) {
+    throw new MessageError('Not paused', ResponseCode.REJECTED);
+  }
+  
+  const now = Date.now();
+  accruePausedTime(now);
+  sessionStats.lastUpdateTime = now;
+  
+  await detectionHost.sendMessage(createMessage(RuntimeMessage.RESUME_DETECTION));
+  await checkpointSession(true);
+  
+  console.log('Monitoring resumed');
+}
+
+/**
+ * Whether the current session is paused
+ * @returns {boolean}
+ */
+function isPaused() {
+  return typeof sessionStats.pausedAt === 'number';
+}
+
+/**
+ * Pause while the system is idle or locked and resume when the user is back,
+ * leaving sessions the user paused alone
+ * @param {string} state - browser.idle state ('active', 'idle' or 'locked')
+ */
+async function handleIdleStateChanged(state) {
+  if (!detectionHost.isOpen()) {
+    return;
+  }
+  
+  try {
+    if (state === 'active') {
+      if (isPaused() && sessionStats.pauseReason !== PauseReason.USER) {
+        await resumeMonitoring();
+      }
+    } else if (!isPaused()) {
+      await pauseMonitoring(state === 'locked' ? PauseReason.LOCKED : PauseReason.IDLE);
+    }
+  } catch (error) {
+    console.error('Error handling idle state:', error);
+  }
+}
+
+/**
+ * Stop crediting posture time while nobody is in front of the camera
+ * @param {Object} data - {present, since}: since is when the user was last
+ *   seen (leaving) or seen again (returning)
+ */
+function handlePresenceUpdate({ present, since }) {
+  if (present) {
+    accrueAbsentTime(Date.now());
+    console.log('User returned');
+    return;
+  }
+  
+  if (isPaused() || isAbsent()) {
+    return;
+  }
+  
+  // The user left when they were last seen, not when the window ran out
+  const absentAt = Math.max(since, sessionStats.lastUpdateTime || sessionStats.startTime);
+  accrueSessionTime(absentAt);
+  sessionStats.lastStatus = PostureStatus.UNKNOWN;
+  sessionStats.lastUpdateTime = absentAt;
+  sessionStats.absentAt = absentAt;
+  alerts.reset();
+  checkpointSession(true);
+  
+  console.log('User away from desk');
+}
+
+/**
+ * Whether the user is away from the camera
+ * @returns {boolean}
+ */
+function isAbsent() {
+  return typeof sessionStats.absentAt === 'number';
+}
+
+/**
+ * Schedule the next working-hours alarm, and with enforce, start or stop
+ * monitoring to match the schedule. Between boundaries the schedule is not
+ * enforced, so manual start and stop from the popup win until the next one.
+ * @param {Object} options - {enforce, now}
+ */
+async function applySchedule({ enforce = false, now = Date.now() } = {}) {
+  const schedule = currentSettings?.schedule;
+  
+  try {
+    await browser.alarms.clear(AlarmNames.SCHEDULE);
+    
+    if (!schedule?.enabled) {
+      return;
+    }
+    
+    if (enforce) {
+      const working = isWithinSchedule(schedule, now);
+      
+      if (working && !detectionHost.isOpen()) {
+        console.log('Working hours started');
+        await startMonitoring();
+      } else if (!working && detectionHost.isOpen()) {
+        console.log('Working hours ended');
+        await stopMonitoring();
+      }
+    }
+    
+    const next = getNextBoundary(schedule, now);
+    if (next !== null) {
+      browser.alarms.create(AlarmNames.SCHEDULE, { when: next });
+    }
+  } catch (error) {
+    console.error('Error applying schedule:', error);
   }
 }
 
+/**
+ * Handle browser.alarms events
+ */
+async function handleAlarm(alarm) {
+  if (alarm.name === AlarmNames.SCHEDULE) {
+    // Alarms never fire early, but may fire late after the system sleeps
+    await applySchedule({ enforce: true, now: Math.max(Date.now(), alarm.scheduledTime) });
+  }
+}
+
+/**
+ * Start checking the detection page for stalls
+ */
+function startWatchdog() {
+  stopWatchdog();
+  watchdog.start();
+  watchdogTimer = setInterval(checkWatchdog, Watchdog.CHECK_INTERVAL);
+}
+
+/**
+ * Stop checking the detection page
+ */
+function stopWatchdog() {
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+  watchdog.stop();
+}
+
+/**
+ * Restart detection if the page stopped sending heartbeats or results
+ */
+async function checkWatchdog() {
+  const reason = watchdog.check();
+  
+  if (reason && detectionHost.isOpen()) {
+    await restartDetection(reason);
+  }
+}
+
+/**
+ * Replace a stalled detection page with a new one
+ */
+async function restartDetection(reason) {
+  const canRestart = watchdog.recordRestart(reason);
+  
+  console.warn(`Detection stalled (${reason}), restart ${watchdog.restarts}`);
+  
+  try {
+    await detectionHost.close();
+  } catch (error) {
+    // Page already gone
+  }
+  
+  if (!canRestart) {
+    stopWatchdog();
+    await saveSessionStatistics();
+    lastError = {
+      code: ErrorCode.DETECTION_FAILED,
+      title: 'Monitoring Stopped',
+      message: 'Detection stopped responding repeatedly, so monitoring was turned off. Try starting it again.',
+      detail: reason,
+      timestamp: Date.now()
+    };
+    return;
+  }
+  
+  detectionInfo = { ...detectionInfo, tfBackend: null, performance: null, state: null };
+  
+  // A fresh detection page expects the user present; a paused session stays
+  // paused and the page waits for resume before opening the camera
+  accrueAbsentTime(Date.now());
+  
+  try {
+    await detectionHost.open({ paused: isPaused() });
+    await checkpointSession(true);
+  } catch (error) {
+    console.error('Error restarting detection:', error);
+    stopWatchdog();
+  }
+}
+
+/**
+ * Reset monitoring state when the user closes the detection tab
+ */
+async function handleHostRemoved(tabId) {
+  if (!detectionHost.owns(tabId)) {
+    return;
+  }
+  
+  console.log('Detection tab closed, monitoring stopped');
+  
+  detectionHost.detach();
+  stopWatchdog();
+  await saveSessionStatistics();
+}
+
+/**
+ * Write the live session to storage, at most every SESSION_CHECKPOINT
+ * unless forced
+ */
+async function checkpointSession(force = false) {
+  const now = Date.now();
+  
+  if (!detectionHost.isOpen() || (!force && now - lastCheckpoint < UpdateIntervals.SESSION_CHECKPOINT)) {
+    return;
+  }
+  
+  lastCheckpoint = now;
+  
+  try {
+    await saveSession({
+      sessionStats,
+      ...alerts.getState(),
+      detectionHostId: detectionHost.id
+    }, now);
+  } catch (error) {
+    console.error('Error checkpointing session:', error);
+  }
+}
+
+/**
+ * Restore a checkpointed session after the event page was unloaded
+ * If its detection tab is gone (browser restart or crash), finalize the
+ * interrupted session into statistics instead.
+ */
+async function restoreSession() {
+  let checkpoint;
+  
+  try {
+    checkpoint = await loadSession();
+  } catch (error) {
+    console.error('Error loading session checkpoint:', error);
+    return;
+  }
+  
+  if (!checkpoint) {
+    return;
+  }
+  
+  sessionStats = checkpoint.sessionStats;
+  alerts.restore(checkpoint);
+  
+  if (await detectionHost.reattach(checkpoint.detectionHostId)) {
+    startWatchdog();
+    console.log('Monitoring session restored');
+    return;
+  }
+  
+  console.log('Finalizing interrupted session');
+  await saveSessionStatistics(checkpoint.checkpointAt);
+}
+
 /**
  * Get current monitoring status
  */
 function getStatus() {
   return {
-    isMonitoring: detectionWindow !== null,
+    isMonitoring: detectionHost.isOpen(),
+    isPaused: isPaused(),
+    pauseReason: sessionStats.pauseReason || null,
+    isAbsent: isAbsent(),
     currentSettings,
     sessionStats,
-    lastAlertTime
+    lastAlertTime: alerts.lastAlertTime,
+    snoozedUntil: alerts.isSnoozed() ? alerts.snoozedUntil : null,
+    poseBackend: detectionInfo.poseBackend,
+    tfBackend: detectionInfo.tfBackend,
+    performance: detectionInfo.performance,
+    detectionState: detectionInfo.state,
+    lastError,
+    diagnostics: watchdog.getDiagnostics()
+  };
+}
+
+/**
+ * Record detection details reported by the detection page
+ * (pose model, compute backend and frame rate)
+ */
+function handleDetectionStatus(info) {
+  detectionInfo = { ...detectionInfo, ...info };
+  
+  if (info.tfBackend) {
+    console.log('Detection running on', detectionInfo.tfBackend, 'backend');
+  }
+}
+
+/**
+ * Record an error reported by the detection page and notify the user
+ * about the ones they can act on
+ */
+async function handleDetectionError(error = {}) {
+  const code = classifyError(error);
+  const { title, message, notificationId } = describeError(code);
+  const isRepeat = lastError?.code === code;
+  
+  lastError = {
+    code,
+    title,
+    message,
+    detail: error.detail || error.message || null,
+    timestamp: Date.now()
   };
+  
+  console.error('Detection error:', code, error.message);
+  
+  if (notificationId && !isRepeat) {
+    try {
+      await notifications.show(notificationId, { title, message });
+    } catch (err) {
+      console.error('Error creating notification:', err);
+    }
+  }
+  
+  return { code };
+}
+
+/**
+ * Track detection lifecycle transitions; notify while the camera is lost
+ */
+async function handleDetectionState(data) {
+  const { state, attempt, retryInMs } = data;
+  const previous = detectionInfo.state;
+  detectionInfo.state = state;
+  
+  // A restarted detection page starts with the preview off
+  if (state === DetectionState.RUNNING && previewPorts.size > 0) {
+    sendPreviewState();
+  }
+  
+  // A restart or backend switch recovered; drop the stale error banner
+  if (state === DetectionState.RUNNING && ERRORS_CLEARED_BY_RUNNING.includes(lastError?.code)) {
+    lastError = null;
+  }
+  
+  // Past the camera permission prompt, the detection tab can be hidden
+  if (CAMERA_OPEN_STATES.includes(state)) {
+    detectionHost.conceal().catch(error => {
+      console.error('Error hiding the detection tab:', error);
+    });
+  }
+  
+  try {
+    // A scheduled retry means the camera dropped out mid-session
+    if (state === DetectionState.ERROR && retryInMs !== undefined) {
+      // Credit the time up to the outage, but not the outage itself, to the
+      // last posture status
+      accrueSessionTime(Date.now());
+      sessionStats.lastStatus = PostureStatus.UNKNOWN;
+      lastError = {
+        code: data.code || ErrorCode.CAMERA_NOT_FOUND,
+        title: 'Camera Disconnected',
+        message: 'The camera was unplugged or is in use by another app. Reconnecting automatically...',
+        detail: data.reason || null,
+        timestamp: Date.now()
+      };
+      
+      if (previous !== DetectionState.ERROR) {
+        await notifications.show(NotificationIds.CAMERA_ERROR, {
+          title: 'Camera Disconnected',
+          message: 'Posture monitoring is paused because the camera was unplugged or is in use by another app. Reconnecting automatically...'
+        });
+      }
+      
+      console.warn(`Camera lost, retry ${attempt + 1} in ${retryInMs}ms`);
+    } else if (previous === DetectionState.ERROR) {
+      if (lastError?.code === ErrorCode.CAMERA_NOT_FOUND) {
+        lastError = null;
+      }
+      await notifications.clear(NotificationIds.CAMERA_ERROR);
+      console.log('Camera reconnected');
+    }
+  } catch (error) {
+    console.error('Error updating camera notification:', error);
+  }
+}
+
+/**
+ * Stream pose previews to the options page while its preview port is open
+ * @param {Object} port - runtime.Port
+ */
+function handleConnect(port) {
+  if (port.name !== PortNames.POSE_PREVIEW) {
+    return;
+  }
+  
+  previewPorts.add(port);
+  port.onDisconnect.addListener(() => {
+    previewPorts.delete(port);
+    if (previewPorts.size === 0) {
+      sendPreviewState();
+    }
+  });
+  
+  if (previewPorts.size === 1) {
+    sendPreviewState();
+  }
+}
+
+/**
+ * Tell the detection page whether anyone is watching the preview
+ */
+function sendPreviewState() {
+  if (!detectionHost.isOpen()) {
+    return;
+  }
+  
+  detectionHost.sendMessage(createMessage(RuntimeMessage.SET_PREVIEW, {
+    enabled: previewPorts.size > 0
+  })).catch(error => {
+    console.error('Error updating pose preview:', error);
+  });
+}
+
+/**
+ * Tell the user the saved camera was unavailable and the default camera is in use
+ */
+async function handleCameraFallback() {
+  try {
+    await notifications.show(NotificationIds.CAMERA_FALLBACK, {
+      title: 'Camera Not Found',
+      message: 'Your selected camera is unavailable, so the default camera is being used. You can pick another camera in Settings.'
+    });
+  } catch (error) {
+    console.error('Error creating notification:', error);
+  }
 }
 
 /**
@@ -219,224 +735,294 @@ function getStatus() {
  */
 async function updateSettings(newSettings) {
   const merged = { ...currentSettings, ...newSettings };
-  const success = await saveSettings(merged);
-  
-  if (success && detectionWindow) {
-    // Notify detection window of settings change
-    const tabs = await browser.tabs.query({ windowId: detectionWindow.id });
-    if (tabs.length > 0) {
-      browser.tabs.sendMessage(tabs[0].id, {
-        type: 'settings_updated',
-        data: currentSettings
-      });
-    }
+  if (!(await storage.saveSettings(merged))) {
+    throw new MessageError('Failed to save settings', ErrorCode.INVALID_SETTINGS);
+  }
+  
+  const scheduleChanged = JSON.stringify(merged.schedule) !== JSON.stringify(currentSettings?.schedule);
+  currentSettings = merged;
+  alerts.updateSettings(merged);
+  quietHours.updateSettings(merged);
+  
+  // A new schedule takes effect right away
+  if (scheduleChanged) {
+    await applySchedule({ enforce: true });
+  }
+  
+  if (detectionHost.isOpen()) {
+    // Notify detection page of settings change
+    detectionHost.sendMessage(createMessage(RuntimeMessage.SETTINGS_UPDATED, currentSettings)).catch(error => {
+      console.error('Error sending settings to detection page:', error);
+    });
   }
   
-  return { success, settings: currentSettings };
+  return { settings: currentSettings };
 }
 
 /**
- * Handle posture update from detection window
+ * Handle posture update from detection page
  */
-function handlePostureUpdate(postureData) {
-  const { status, score, metrics } = postureData;
+async function handlePostureUpdate(postureData) {
+  const { status, score } = postureData;
   const now = Date.now();
   
-  // Update session statistics
-  if (sessionStats.lastStatus !== PostureStatus.UNKNOWN) {
-    const timeSinceLastUpdate = now - (sessionStats.lastUpdateTime || sessionStats.startTime);
-    sessionStats.totalTime += timeSinceLastUpdate;
-    
-    switch (sessionStats.lastStatus) {
-      case PostureStatus.GOOD:
-        sessionStats.goodPostureTime += timeSinceLastUpdate;
-        break;
-      case PostureStatus.WARNING:
-        sessionStats.warningPostureTime += timeSinceLastUpdate;
-        break;
-      case PostureStatus.POOR:
-        sessionStats.poorPostureTime += timeSinceLastUpdate;
-        break;
-    }
+  // Drop results that were in flight when the session was paused
+  if (isPaused()) {
+    return;
   }
   
+  // A pose means the user is back, even if the presence update was lost
+  accrueAbsentTime(now);
+  
+  // Update session statistics
+  accrueSessionTime(now);
   sessionStats.lastStatus = status;
   sessionStats.lastUpdateTime = now;
   
-  // Check if alert needed
-  if (status === PostureStatus.POOR) {
-    if (!poorPostureStartTime) {
-      poorPostureStartTime = now;
-    }
-    
-    const poorPostureDuration = (now - poorPostureStartTime) / Time.SECOND;
-    const durationThreshold = currentSettings.thresholds.poorPostureDuration;
-    
-    if (poorPostureDuration >= durationThreshold) {
-      triggerAlert(status, score, metrics);
-    }
-  } else {
-    // Reset poor posture timer if posture improved
-    poorPostureStartTime = null;
+  // Both timers advance on every update; only one alert can pass the cooldown
+  const postureOutcome = await alerts.evaluate(status, score, now);
+  const distanceOutcome = await alerts.evaluateDistance(postureData.metrics?.screenProximity ?? null, now);
+  
+  switch (postureOutcome ?? distanceOutcome) {
+    case AlertOutcome.SHOWN:
+      sessionStats.alertCount++;
+      checkpointSession(true);
+      return;
+    case AlertOutcome.SUPPRESSED:
+      sessionStats.suppressedAlertCount = (sessionStats.suppressedAlertCount || 0) + 1;
+      checkpointSession(true);
+      return;
   }
   
-  return { success: true };
+  checkpointSession();
 }
 
 /**
- * Trigger posture alert
+ * Credit the time since the last update to the last posture status
+ * @param {number} now - Current timestamp
  */
-async function triggerAlert(status, score, metrics) {
-  if (!currentSettings.alerts.enabled) {
+function accrueSessionTime(now) {
+  if (sessionStats.lastStatus === PostureStatus.UNKNOWN) {
     return;
   }
   
-  const now = Date.now();
-  const cooldownMs = currentSettings.alerts.cooldown * Time.SECOND;
+  const timeSinceLastUpdate = now - (sessionStats.lastUpdateTime || sessionStats.startTime);
+  sessionStats.totalTime += timeSinceLastUpdate;
   
-  // Check cooldown
-  if (now - lastAlertTime < cooldownMs) {
+  switch (sessionStats.lastStatus) {
+    case PostureStatus.GOOD:
+      sessionStats.goodPostureTime += timeSinceLastUpdate;
+      break;
+    case PostureStatus.WARNING:
+      sessionStats.warningPostureTime += timeSinceLastUpdate;
+      break;
+    case PostureStatus.POOR:
+      sessionStats.poorPostureTime += timeSinceLastUpdate;
+      break;
+  }
+}
+
+/**
+ * Add the time since the session was paused to its paused time
+ * @param {number} now - Current timestamp
+ */
+function accruePausedTime(now) {
+  if (!isPaused()) {
     return;
   }
   
-  lastAlertTime = now;
-  sessionStats.alertCount++;
+  sessionStats.pausedTime = (sessionStats.pausedTime || 0) + (now - sessionStats.pausedAt);
+  sessionStats.pausedAt = null;
+  sessionStats.pauseReason = null;
+}
+
+/**
+ * Add the time since the user walked away to the session's absent time
+ * @param {number} now - Current timestamp
+ */
+function accrueAbsentTime(now) {
+  if (!isAbsent()) {
+    return;
+  }
   
-  // Determine notification content
-  let title, message, iconUrl;
+  sessionStats.absentTime = (sessionStats.absentTime || 0) + Math.max(0, now - sessionStats.absentAt);
+  sessionStats.absentAt = null;
+  sessionStats.lastUpdateTime = now;
+}
+
+/**
+ * Snooze alerts for a number of minutes or until a preset's end
+ * @param {Object} data - {duration} in minutes, or {preset}: SnoozePreset value
+ */
+async function snoozeAlerts({ duration, preset }) {
+  const now = Date.now();
+  let until;
   
-  if (status === PostureStatus.POOR) {
-    title = '⚠️ Poor Posture Detected';
-    message = `Your posture score is ${score}/100. Please adjust your position.`;
-    iconUrl = 'assets/icons/icon-poor.png';
-  } else if (status === PostureStatus.WARNING) {
-    title = '⚡ Posture Warning';
-    message = `Your posture score is ${score}/100. Consider improving your position.`;
-    iconUrl = 'assets/icons/icon-warning.png';
+  if (preset !== undefined) {
+    until = getSnoozeEnd(preset, now, currentSettings.schedule);
+    if (until === null) {
+      throw new MessageError('Working hours are not in progress', ResponseCode.REJECTED);
+    }
+  } else if (duration !== undefined) {
+    until = now + duration * Time.MINUTE;
+  } else {
+    throw new MessageError('A snooze needs a duration or a preset', ResponseCode.INVALID_DATA);
   }
   
-  // Create notification
-  try {
-    await browser.notifications.create(NotificationIds.POOR_POSTURE, {
-      type: 'basic',
-      iconUrl: iconUrl || 'assets/icons/icon-96.png',
-      title,
-      message
-    });
-    
-    // Play sound if enabled
-    if (currentSettings.alerts.sound) {
-      // Sound playback would happen in detection window
-      const tabs = await browser.tabs.query({ windowId: detectionWindow?.id });
-      if (tabs.length > 0) {
-        browser.tabs.sendMessage(tabs[0].id, {
-          type: 'play_alert_sound'
-        });
-      }
-    }
-    
-    console.log('Alert triggered:', title);
+  const snoozedUntil = alerts.snoozeUntil(until);
+  await storage.saveSnooze(snoozedUntil);
+  
+  console.log('Alerts snoozed until', new Date(snoozedUntil).toLocaleString());
+  return { snoozedUntil };
+}
+
+/**
+ * End a snooze early
+ */
+async function cancelSnooze() {
+  alerts.cancelSnooze();
+  await storage.saveSnooze(null);
+  
+  console.log('Snooze cancelled');
+}
+
+/**
+ * Capture the user's current posture as the calibration baseline; resolves
+ * once the detection page has sampled it
+ */
+async function calibrate() {
+  if (!detectionHost.isOpen() || isPaused()) {
+    throw new MessageError('Start monitoring before calibrating', ResponseCode.REJECTED);
+  }
+  
+  if (pendingCalibration) {
+    throw new MessageError('Calibration is already in progress', ResponseCode.REJECTED);
+  }
+  
+  const result = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      settleCalibration({ baseline: null, error: 'Detection did not finish calibrating. Try again.' });
+    }, Calibration.MAX_DURATION + Calibration.RESULT_TIMEOUT);
     
+    pendingCalibration = { resolve, reject, timer };
+  });
+  
+  try {
+    await detectionHost.sendMessage(createMessage(RuntimeMessage.START_CALIBRATION, {
+      duration: Calibration.DURATION
+    }));
   } catch (error) {
-    console.error('Error creating notification:', error);
+    settleCalibration({ baseline: null, error: error.message });
+  }
+  
+  const { baseline, cameraId } = await result;
+  const calibration = { ...baseline, timestamp: Date.now(), cameraId };
+  await updateSettings({ calibration });
+  
+  console.log('Calibration saved:', calibration);
+  return { calibration };
+}
+
+/**
+ * Finish a pending calibration with the detection page's result
+ * @param {Object} result - {baseline, cameraId} or {baseline: null, error}
+ */
+function settleCalibration(result) {
+  if (!pendingCalibration) {
+    return;
+  }
+  
+  const { resolve, reject, timer } = pendingCalibration;
+  clearTimeout(timer);
+  pendingCalibration = null;
+  
+  if (result.baseline) {
+    resolve(result);
+  } else {
+    reject(new MessageError(result.error || 'Calibration failed', ResponseCode.REJECTED));
   }
 }
 
 /**
- * Snooze alerts for specified duration
+ * Snooze from a posture alert's buttons, where notifications support them
  */
-function snoozeAlerts(durationMinutes = 15) {
-  const snoozeMs = durationMinutes * Time.MINUTE;
-  lastAlertTime = Date.now() + snoozeMs - (currentSettings.alerts.cooldown * Time.SECOND);
+async function handleNotificationButton(notificationId, buttonIndex) {
+  const action = PostureAlertActions[buttonIndex];
+  
+  if (!isAlertNotification(notificationId) || !action) {
+    return;
+  }
   
-  console.log(`Alerts snoozed for ${durationMinutes} minutes`);
-  return { success: true, snoozedUntil: Date.now() + snoozeMs };
+  try {
+    await snoozeAlerts({ preset: action.preset });
+    await notifications.clear(notificationId);
+  } catch (error) {
+    console.error('Error snoozing from notification:', error);
+  }
+}
+
+/**
+ * Whether a notification is a posture or distance alert
+ * @param {string} notificationId - NotificationIds value
+ * @returns {boolean}
+ */
+function isAlertNotification(notificationId) {
+  return notificationId === NotificationIds.POOR_POSTURE || notificationId === NotificationIds.TOO_CLOSE;
+}
+
+/**
+ * Open the toolbar popup, or the popup page in a tab when openPopup() is
+ * refused for lack of a user gesture (notification clicks often don't count)
+ * @param {string} page - Popup page path, with any query
+ */
+async function openPopupPage(page) {
+  try {
+    await browser.action.openPopup();
+  } catch (error) {
+    console.warn('Could not open the popup, opening it in a tab:', error.message);
+    await browser.tabs.create({ url: browser.runtime.getURL(page) });
+  }
 }
 
 /**
  * Handle notification clicks
  */
 function handleNotificationClick(notificationId) {
-  if (notificationId === NotificationIds.POOR_POSTURE) {
-    // Open popup or focus window
-    browser.browserAction.openPopup();
+  if (isAlertNotification(notificationId) && !notifications.supportsButtons()) {
+    // No snooze buttons here (Firefox), so offer snoozing in the popup
+    browser.action.setPopup({ popup: SNOOZE_POPUP });
+    openPopupPage(SNOOZE_POPUP)
+      .catch(error => console.error('Error opening snooze menu:', error))
+      .finally(() => browser.action.setPopup({ popup: null }));
+  } else if (isAlertNotification(notificationId) ||
+             notificationId === NotificationIds.PERMISSION_DENIED ||
+             notificationId === NotificationIds.CAMERA_ERROR) {
+    openPopupPage(POPUP_PAGE).catch(error => {
+      console.error('Error opening popup:', error);
+    });
+  } else if (notificationId === NotificationIds.CAMERA_FALLBACK ||
+             notificationId === NotificationIds.MODEL_ERROR) {
+    browser.runtime.openOptionsPage();
   }
   
-  browser.notifications.clear(notificationId);
+  notifications.clear(notificationId).catch(error => {
+    console.error('Error clearing notification:', error);
+  });
 }
 
 /**
- * Save session statistics
+ * Save session statistics and drop the session checkpoint
+ * @param {number} now - Session end time
  */
-async function saveSessionStatistics() {
+async function saveSessionStatistics(now = Date.now()) {
   try {
     // Calculate final stats
-    const now = Date.now();
-    if (sessionStats.lastStatus !== PostureStatus.UNKNOWN) {
-      const timeSinceLastUpdate = now - (sessionStats.lastUpdateTime || sessionStats.startTime);
-      sessionStats.totalTime += timeSinceLastUpdate;
-      
-      switch (sessionStats.lastStatus) {
-        case PostureStatus.GOOD:
-          sessionStats.goodPostureTime += timeSinceLastUpdate;
-          break;
-        case PostureStatus.WARNING:
-          sessionStats.warningPostureTime += timeSinceLastUpdate;
-          break;
-        case PostureStatus.POOR:
-          sessionStats.poorPostureTime += timeSinceLastUpdate;
-          break;
-      }
-    }
-    
-    // Load existing statistics
-    const result = await browser.storage.local.get(StorageKeys.STATISTICS);
-    const stats = result[StorageKeys.STATISTICS] || { sessions: [], daily: {} };
-    
-    // Add session
-    stats.sessions.push({
-      ...sessionStats,
-      endTime: now
-    });
-    
-    // Aggregate to daily stats
-    const today = new Date().toISOString().split('T')[0];
-    if (!stats.daily[today]) {
-      stats.daily[today] = {
-        totalTime: 0,
-        goodPostureTime: 0,
-        warningPostureTime: 0,
-        poorPostureTime: 0,
-        alertCount: 0,
-        sessionCount: 0
-      };
-    }
-    
-    stats.daily[today].totalTime += sessionStats.totalTime;
-    stats.daily[today].goodPostureTime += sessionStats.goodPostureTime;
-    stats.daily[today].warningPostureTime += sessionStats.warningPostureTime;
-    stats.daily[today].poorPostureTime += sessionStats.poorPostureTime;
-    stats.daily[today].alertCount += sessionStats.alertCount;
-    stats.daily[today].sessionCount++;
+    accrueSessionTime(now);
+    accruePausedTime(now);
+    accrueAbsentTime(now);
     
-    // Keep only last 100 sessions and 90 days
-    stats.sessions = stats.sessions.slice(-100);
-    
-    const daysToKeep = 90;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
-    
-    for (const date in stats.daily) {
-      if (date < cutoffDateStr) {
-        delete stats.daily[date];
-      }
-    }
-    
-    // Save
-    await browser.storage.local.set({
-      [StorageKeys.STATISTICS]: stats
-    });
+    await storage.saveSessionStatistics(sessionStats, now);
+    await clearSession();
     
     console.log('Session statistics saved');
     
@@ -446,26 +1032,15 @@ async function saveSessionStatistics() {
 }
 
 /**
- * Get statistics
- */
-async function getStatistics() {
-  try {
-    const result = await browser.storage.local.get(StorageKeys.STATISTICS);
-    return result[StorageKeys.STATISTICS] || { sessions: [], daily: {} };
-  } catch (error) {
-    console.error('Error loading statistics:', error);
-    return { sessions: [], daily: {} };
-  }
-}
-
-/**
- * Cleanup on extension unload
+ * Checkpoint on event page unload; the detection host stays open so the
+ * next background page can reattach to it in restoreSession()
  */
 async function cleanup() {
-  if (detectionWindow) {
-    await stopMonitoring();
-  }
+  await checkpointSession(true);
 }
 
-// Initialize when background script loads
-initialize();
+// Register listeners first, then initialize when background script loads
+setupListeners();
+const ready = initialize().catch(error => {
+  console.error('Posture Monitor: Initialization failed:', error);
+});
@@ -0,0 +1,252 @@
+/**
+ * Hosts for the detection page (camera + pose worker)
+ * MV3 browsers with the offscreen API (Chrome) get an offscreen document;
+ * elsewhere (Firefox) the page runs in a hidden extension tab.
+ */
+
+const DETECTION_PAGE = 'src/detection/detection.html';
+
+/**
+ * Detection page URL; a paused page starts without opening the camera
+ * @param {boolean} paused - Whether the session is paused
+ * @returns {string} Path relative to the extension root
+ */
+function detectionPage(paused) {
+  return paused ? `${DETECTION_PAGE}?paused` : DETECTION_PAGE;
+}
+
+// Offscreen documents have no id; only one may exist per extension
+const OFFSCREEN_HOST_ID = 'offscreen';
+
+/**
+ * Whether the extension may already use the camera, so opening it won't
+ * show a permission prompt
+ * @returns {Promise<boolean>}
+ */
+async function hasCameraPermission() {
+  try {
+    const status = await navigator.permissions.query({ name: 'camera' });
+    return status.state === 'granted';
+  } catch (error) {
+    // Camera permission can't be queried here; assume a prompt is coming
+    return false;
+  }
+}
+
+/**
+ * Detection page in a background tab, hidden from the tab strip where the
+ * tabHide API is available (Firefox)
+ * The camera permission prompt appears in the tab itself, so until access
+ * has been granted the tab opens in front and is hidden once the camera is
+ * open (see conceal()).
+ */
+export class TabDetectionHost {
+  constructor() {
+    this.tab = null;
+    this.revealed = false;
+    this.returnTabId = null;
+  }
+
+  get id() {
+    return this.tab?.id ?? null;
+  }
+
+  isOpen() {
+    return this.tab !== null;
+  }
+
+  /**
+   * @param {Object} options - {paused}: restart a paused session
+   */
+  async open({ paused = false } = {}) {
+    // A paused page doesn't open the camera, so there is no prompt to show yet
+    const needsPrompt = !paused && !(await hasCameraPermission());
+    const [returnTab] = needsPrompt
+      ? await browser.tabs.query({ active: true, currentWindow: true })
+      : [];
+    
+    this.tab = await browser.tabs.create({
+      url: browser.runtime.getURL(detectionPage(paused)),
+      active: needsPrompt
+    });
+    this.revealed = needsPrompt;
+    this.returnTabId = returnTab?.id ?? null;
+
+    if (!needsPrompt) {
+      await this.hideTab();
+    }
+  }
+
+  /**
+   * Hide a tab opened in front for the permission prompt, returning the
+   * user to the tab they were on
+   */
+  async conceal() {
+    if (!this.tab || !this.revealed) {
+      return;
+    }
+
+    this.revealed = false;
+
+    if (this.returnTabId !== null) {
+      try {
+        await browser.tabs.update(this.returnTabId, { active: true });
+      } catch (error) {
+        // The tab was closed meanwhile; an active tab can't be hidden
+        console.warn('Could not leave the detection tab:', error);
+      }
+    }
+
+    await this.hideTab();
+  }
+
+  async hideTab() {
+    if (typeof browser.tabs.hide === 'function') {
+      try {
+        await browser.tabs.hide(this.tab.id);
+      } catch (error) {
+        // Still works as a visible background tab
+        console.warn('Could not hide the detection tab:', error);
+      }
+    }
+  }
+
+  async close() {
+    // Clear first so owns() ignores the onRemoved event for our own close
+    const tab = this.tab;
+    this.tab = null;
+    this.revealed = false;
+
+    if (tab) {
+      await browser.tabs.remove(tab.id);
+    }
+  }
+
+  /**
+   * Reattach to a detection tab that outlived the background page
+   * @param {number} id - Host id from a session checkpoint
+   * @returns {Promise<boolean>} Whether the tab still exists
+   */
+  async reattach(id) {
+    if (typeof id !== 'number') {
+      return false;
+    }
+
+    try {
+      this.tab = await browser.tabs.get(id);
+      return true;
+    } catch (error) {
+      this.tab = null;
+      return false;
+    }
+  }
+
+  /**
+   * Forget a tab that was closed from outside
+   */
+  detach() {
+    this.tab = null;
+  }
+
+  /**
+   * Whether a removed tab was this host
+   * @param {number} tabId - Tab id from tabs.onRemoved
+   * @returns {boolean}
+   */
+  owns(tabId) {
+    return this.tab !== null && this.tab.id === tabId;
+  }
+
+  async sendMessage(message) {
+    if (this.tab) {
+      await browser.tabs.sendMessage(this.tab.id, message);
+    }
+  }
+}
+
+/**
+ * Detection page in an MV3 offscreen document
+ * Only Chrome has offscreen documents, and it exposes them (promise-based)
+ * on the chrome namespace only.
+ */
+export class OffscreenDetectionHost {
+  constructor() {
+    this.opened = false;
+  }
+
+  static isSupported() {
+    return typeof globalThis.chrome?.offscreen?.createDocument === 'function';
+  }
+
+  get id() {
+    return this.opened ? OFFSCREEN_HOST_ID : null;
+  }
+
+  isOpen() {
+    return this.opened;
+  }
+
+  /**
+   * @param {Object} options - {paused}: restart a paused session
+   */
+  async open({ paused = false } = {}) {
+    if (!(await this.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: detectionPage(paused),
+        reasons: ['USER_MEDIA', 'AUDIO_PLAYBACK'],
+        justification: 'Runs on-device pose detection on the webcam feed'
+      });
+    }
+
+    this.opened = true;
+  }
+
+  async close() {
+    this.opened = false;
+
+    if (await this.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  }
+
+  async reattach(id) {
+    this.opened = id === OFFSCREEN_HOST_ID && await this.hasDocument();
+    return this.opened;
+  }
+
+  detach() {
+    this.opened = false;
+  }
+
+  owns() {
+    return false;
+  }
+
+  async conceal() {
+    // Offscreen documents are never shown
+  }
+
+  async sendMessage(message) {
+    // The offscreen document only receives runtime messages
+    await chrome.runtime.sendMessage(message);
+  }
+
+  async hasDocument() {
+    if (typeof chrome.offscreen.hasDocument === 'function') {
+      return chrome.offscreen.hasDocument();
+    }
+
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    return contexts.length > 0;
+  }
+}
+
+/**
+ * Create the best detection host for this browser
+ * @returns {TabDetectionHost|OffscreenDetectionHost}
+ */
+export function createDetectionHost() {
+  return OffscreenDetectionHost.isSupported()
+    ? new OffscreenDetectionHost()
+    : new TabDetectionHost();
+}
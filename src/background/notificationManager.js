@@ -0,0 +1,146 @@
+/**
+ * Browser notifications for posture alerts and detection problems
+ */
+
+import { NotificationIds, PostureStatus, MaxHistory, SnoozePreset } from '../utils/constants.js';
+
+const DEFAULT_ICON = 'assets/icons/icon-96.png';
+
+// Where buttons are unsupported, clicking an alert opens the popup's snooze menu
+const SNOOZE_HINT = 'Click to snooze alerts.';
+
+// Buttons on posture alerts, by button index
+export const PostureAlertActions = Object.freeze([
+  Object.freeze({ title: 'Snooze 15 min', preset: SnoozePreset.MINUTES_15 }),
+  Object.freeze({ title: 'Snooze 1 hour', preset: SnoozePreset.HOUR })
+]);
+
+// Notification content per alert severity
+const POSTURE_ALERTS = Object.freeze({
+  [PostureStatus.POOR]: Object.freeze({
+    title: '⚠️ Poor Posture Detected',
+    advice: 'Please adjust your position.',
+    iconUrl: 'assets/icons/icon-poor.png'
+  }),
+  [PostureStatus.WARNING]: Object.freeze({
+    title: '⚡ Posture Warning',
+    advice: 'Consider improving your position.',
+    iconUrl: 'assets/icons/icon-warning.png'
+  })
+});
+
+/**
+ * NotificationManager creates and clears notifications and keeps a short
+ * history of what was shown
+ */
+export class NotificationManager {
+  /**
+   * @param {Object} deps - {notifications: notifications API, now: clock, maxHistory}
+   */
+  constructor({ notifications = browser.notifications, now = Date.now, maxHistory = MaxHistory.NOTIFICATIONS } = {}) {
+    this.notifications = notifications;
+    this.now = now;
+    this.maxHistory = maxHistory;
+    this.history = [];
+  }
+
+  /**
+   * Whether notifications can have buttons (Firefox doesn't support them)
+   * @returns {boolean}
+   */
+  supportsButtons() {
+    return Boolean(this.notifications.onButtonClicked);
+  }
+
+  /**
+   * Show a basic notification, replacing any with the same id
+   * @param {string} id - NotificationIds value
+   * @param {Object} content - {title, message, iconUrl, buttons}: buttons
+   *   are snooze actions, replaced by a click hint where unsupported
+   */
+  async show(id, { title, message, iconUrl = DEFAULT_ICON, buttons }) {
+    const options = {
+      type: 'basic',
+      iconUrl,
+      title,
+      message
+    };
+
+    if (buttons && this.supportsButtons()) {
+      options.buttons = buttons.map(button => ({ title: button.title }));
+    } else if (buttons) {
+      options.message = `${message} ${SNOOZE_HINT}`;
+    }
+
+    await this.notifications.create(id, options);
+
+    this.history.push({ id, timestamp: this.now() });
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Clear a notification
+   * @param {string} id - NotificationIds value
+   */
+  async clear(id) {
+    await this.notifications.clear(id);
+  }
+
+  /**
+   * Show a posture alert for a poor or warning status
+   * @param {string} status - PostureStatus value
+   * @param {number} score - Posture score (0-100)
+   * @returns {Promise<string>} Title of the alert shown
+   */
+  async showPostureAlert(status, score) {
+    const alert = POSTURE_ALERTS[status] || POSTURE_ALERTS[PostureStatus.POOR];
+
+    await this.show(NotificationIds.POOR_POSTURE, {
+      title: alert.title,
+      message: `Your posture score is ${score}/100. ${alert.advice}`,
+      iconUrl: alert.iconUrl,
+      buttons: PostureAlertActions
+    });
+
+    return alert.title;
+  }
+
+  /**
+   * Show an alert for sitting closer to the screen than calibrated
+   * @returns {Promise<string>} Title of the alert shown
+   */
+  async showDistanceAlert() {
+    const title = '📏 Too Close to the Screen';
+
+    await this.show(NotificationIds.TOO_CLOSE, {
+      title,
+      message: 'You are leaning in toward your screen. Sit back to your calibrated distance.',
+      buttons: PostureAlertActions
+    });
+
+    return title;
+  }
+
+  /**
+   * Notifications shown so far, oldest first
+   * @returns {Array<Object>} {id, timestamp}
+   */
+  getHistory() {
+    return [...this.history];
+  }
+
+  /**
+   * Count notifications shown recently
+   * @param {number} windowMs - How far back to look
+   * @param {string} id - Only count this notification id
+   * @returns {number}
+   */
+  getFrequency(windowMs, id = null) {
+    const since = this.now() - windowMs;
+    return this.history.filter(entry =>
+      entry.timestamp >= since && (id === null || entry.id === id)
+    ).length;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Decides when alerts should be held back
+ */
+
+import { isWithinSchedule } from '../utils/schedule.js';
+
+/**
+ * QuietHours reports whether the current time falls in a configured quiet
+ * window, or, if enabled, whether a browser window is fullscreen
+ */
+export class QuietHours {
+  /**
+   * @param {Object} deps - {settings, windows: browser.windows API}
+   */
+  constructor({ settings = null, windows = browser.windows } = {}) {
+    this.settings = settings;
+    this.windows = windows;
+  }
+
+  /**
+   * @param {Object} settings - Settings with quietHours
+   */
+  updateSettings(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Whether alerts should be suppressed right now
+   * @param {number} now - Current timestamp
+   * @returns {Promise<boolean>}
+   */
+  async isQuiet(now = Date.now()) {
+    const quietHours = this.settings?.quietHours;
+
+    if (!quietHours) {
+      return false;
+    }
+
+    // Quiet hours are often overnight, e.g. 22:00-07:00
+    if (isWithinSchedule(quietHours, now, { overnight: true })) {
+      return true;
+    }
+
+    return quietHours.fullscreen === true && this.isFullscreen();
+  }
+
+  /**
+   * Whether any browser window is fullscreen (presenting or watching video)
+   * @returns {Promise<boolean>}
+   */
+  async isFullscreen() {
+    try {
+      const windows = await this.windows.getAll();
+      return windows.some(win => win.state === 'fullscreen');
+    } catch (error) {
+      console.error('Error checking fullscreen windows:', error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Session checkpointing for the non-persistent background page
+ * Live session state is written to storage so it survives the event page
+ * being unloaded, and so interrupted sessions can be finalized later.
+ */
+
+import { StorageKeys } from '../utils/constants.js';
+
+/**
+ * Save a checkpoint of the live session
+ * @param {Object} state - {sessionStats, poorPostureStartTime, tooCloseStartTime, lastAlertTime,
+ *   detectionHostId}
+ * @param {number} now - Checkpoint timestamp
+ */
+export async function saveSession(state, now = Date.now()) {
+  await browser.storage.local.set({
+    [StorageKeys.SESSION_DATA]: {
+      sessionStats: state.sessionStats,
+      poorPostureStartTime: state.poorPostureStartTime ?? null,
+      tooCloseStartTime: state.tooCloseStartTime ?? null,
+      lastAlertTime: state.lastAlertTime ?? 0,
+      detectionHostId: state.detectionHostId ?? null,
+      checkpointAt: now
+    }
+  });
+}
+
+/**
+ * Load the last session checkpoint
+ * @returns {Promise<Object|null>} Checkpoint, or null if none or malformed
+ */
+export async function loadSession() {
+  const result = await browser.storage.local.get(StorageKeys.SESSION_DATA);
+  const data = result?.[StorageKeys.SESSION_DATA];
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const { sessionStats, checkpointAt } = data;
+  if (!sessionStats || typeof sessionStats.startTime !== 'number' || typeof checkpointAt !== 'number') {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Remove the session checkpoint
+ */
+export async function clearSession() {
+  await browser.storage.local.remove(StorageKeys.SESSION_DATA);
+}
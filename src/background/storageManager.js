@@ -0,0 +1,197 @@
+/**
+ * Settings and statistics persistence
+ */
+
+import { StorageKeys, MaxHistory, Time } from '../utils/constants.js';
+import { getDefaultSettings, validateSettings } from '../utils/validators.js';
+
+/**
+ * Empty statistics record
+ * @returns {Object} {sessions, daily}
+ */
+function emptyStatistics() {
+  return { sessions: [], daily: {} };
+}
+
+/**
+ * UTC date key (YYYY-MM-DD) for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function dateKey(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * StorageManager reads and writes settings and session statistics
+ */
+export class StorageManager {
+  /**
+   * @param {Object} deps - {storage: storage area, now: clock}
+   */
+  constructor({ storage = browser.storage.local, now = Date.now } = {}) {
+    this.storage = storage;
+    this.now = now;
+  }
+
+  /**
+   * Load settings merged over defaults, storing defaults on first run
+   * @returns {Promise<Object>} Settings
+   */
+  async loadSettings() {
+    const defaults = getDefaultSettings();
+
+    try {
+      const result = await this.storage.get(StorageKeys.SETTINGS);
+      const stored = result?.[StorageKeys.SETTINGS];
+
+      if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+        return { ...defaults, ...stored };
+      }
+
+      if (stored !== undefined) {
+        console.warn('Stored settings are corrupt, using defaults');
+      }
+
+      await this.saveSettings(defaults);
+      return defaults;
+
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Validate and save settings
+   * @param {Object} settings - Complete settings object
+   * @returns {Promise<boolean>} Whether the settings were saved
+   */
+  async saveSettings(settings) {
+    try {
+      const validation = validateSettings(settings);
+
+      if (!validation.valid) {
+        console.error('Invalid settings:', validation.errors);
+        return false;
+      }
+
+      await this.storage.set({
+        [StorageKeys.SETTINGS]: settings
+      });
+
+      return true;
+
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the active snooze
+   * @returns {Promise<number|null>} Time alerts resume, or null if not snoozed
+   */
+  async loadSnooze() {
+    try {
+      const result = await this.storage.get(StorageKeys.SNOOZE);
+      const until = result?.[StorageKeys.SNOOZE]?.until;
+
+      return typeof until === 'number' && until > this.now() ? until : null;
+
+    } catch (error) {
+      console.error('Error loading snooze:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the active snooze so it survives background restarts
+   * @param {number|null} until - Time alerts resume, or null to clear
+   */
+  async saveSnooze(until) {
+    if (until === null) {
+      await this.storage.remove(StorageKeys.SNOOZE);
+      return;
+    }
+
+    await this.storage.set({
+      [StorageKeys.SNOOZE]: { until }
+    });
+  }
+
+  /**
+   * Load statistics history
+   * @returns {Promise<Object>} {sessions, daily}
+   */
+  async getStatistics() {
+    try {
+      const result = await this.storage.get(StorageKeys.STATISTICS);
+      const stats = result?.[StorageKeys.STATISTICS];
+
+      if (!stats || !Array.isArray(stats.sessions) || typeof stats.daily !== 'object') {
+        return emptyStatistics();
+      }
+
+      return stats;
+
+    } catch (error) {
+      console.error('Error loading statistics:', error);
+      return emptyStatistics();
+    }
+  }
+
+  /**
+   * Append a finished session and aggregate it into its day
+   * Keeps the last MaxHistory.SESSIONS sessions and MaxHistory.STATISTICS days.
+   * @param {Object} session - Final session statistics
+   * @param {number} endTime - Session end time
+   * @returns {Promise<Object>} Updated statistics
+   */
+  async saveSessionStatistics(session, endTime = this.now()) {
+    const stats = await this.getStatistics();
+
+    stats.sessions.push({
+      ...session,
+      endTime
+    });
+
+    const day = dateKey(endTime);
+    if (!stats.daily[day]) {
+      stats.daily[day] = {
+        totalTime: 0,
+        goodPostureTime: 0,
+        warningPostureTime: 0,
+        poorPostureTime: 0,
+        alertCount: 0,
+        suppressedAlertCount: 0,
+        sessionCount: 0
+      };
+    }
+
+    stats.daily[day].totalTime += session.totalTime;
+    stats.daily[day].goodPostureTime += session.goodPostureTime;
+    stats.daily[day].warningPostureTime += session.warningPostureTime;
+    stats.daily[day].poorPostureTime += session.poorPostureTime;
+    stats.daily[day].alertCount += session.alertCount;
+    // Days recorded before quiet hours existed have no suppressed count
+    stats.daily[day].suppressedAlertCount = (stats.daily[day].suppressedAlertCount || 0) +
+      (session.suppressedAlertCount || 0);
+    stats.daily[day].sessionCount++;
+
+    stats.sessions = stats.sessions.slice(-MaxHistory.SESSIONS);
+
+    const cutoff = dateKey(this.now() - MaxHistory.STATISTICS * Time.DAY);
+    for (const date in stats.daily) {
+      if (date < cutoff) {
+        delete stats.daily[date];
+      }
+    }
+
+    await this.storage.set({
+      [StorageKeys.STATISTICS]: stats
+    });
+
+    return stats;
+  }
+}
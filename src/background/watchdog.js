@@ -0,0 +1,132 @@
+/**
+ * Watchdog for the hidden detection window
+ */
+
+import { Watchdog, DetectionState } from '../utils/constants.js';
+
+// States in which no pose results are expected: the camera permission
+// prompt, camera recovery (with its own retry loop) and a deliberate pause
+const RESULTLESS_STATES = Object.freeze([
+  DetectionState.ACQUIRING_CAMERA,
+  DetectionState.ERROR,
+  DetectionState.PAUSED
+]);
+
+// Reasons the watchdog asks for a restart
+export const StallReason = Object.freeze({
+  NO_HEARTBEAT: 'no_heartbeat',
+  NO_RESULTS: 'no_results'
+});
+
+/**
+ * DetectionWatchdog tracks heartbeats from the detection window and decides
+ * when detection has stalled and should be restarted
+ */
+export class DetectionWatchdog {
+  /**
+   * @param {Object} config - Timeouts, defaults to Watchdog
+   */
+  constructor(config = Watchdog) {
+    this.config = config;
+    this.restarts = 0;
+    this.lastRestartReason = null;
+    this.stop();
+  }
+
+  /**
+   * Begin watching a freshly created detection window
+   * @param {number} now - Current timestamp
+   */
+  start(now = Date.now()) {
+    this.active = true;
+    this.startedAt = now;
+    this.lastHeartbeat = null;
+    this.lastResultAt = null;
+    this.state = null;
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.active = false;
+    this.startedAt = null;
+    this.lastHeartbeat = null;
+    this.lastResultAt = null;
+    this.state = null;
+  }
+
+  /**
+   * Record a heartbeat from the detection window
+   * @param {Object} heartbeat - {state, lastResultAt}
+   * @param {number} now - Current timestamp
+   */
+  recordHeartbeat(heartbeat = {}, now = Date.now()) {
+    this.lastHeartbeat = now;
+    this.state = heartbeat.state ?? null;
+    this.lastResultAt = heartbeat.lastResultAt ?? this.lastResultAt;
+  }
+
+  /**
+   * Check whether detection has stalled
+   * @param {number} now - Current timestamp
+   * @returns {string|null} StallReason, or null if healthy
+   */
+  check(now = Date.now()) {
+    if (!this.active || now - this.startedAt < this.config.STARTUP_GRACE) {
+      return null;
+    }
+
+    const lastSeen = this.lastHeartbeat ?? this.startedAt;
+    if (now - lastSeen >= this.config.HEARTBEAT_TIMEOUT) {
+      return StallReason.NO_HEARTBEAT;
+    }
+
+    if (RESULTLESS_STATES.includes(this.state)) {
+      return null;
+    }
+
+    const lastResult = this.lastResultAt ?? this.startedAt;
+    if (now - lastResult >= this.config.RESULT_TIMEOUT) {
+      return StallReason.NO_RESULTS;
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a restart and start watching the new window
+   * @param {string} reason - StallReason that triggered it
+   * @param {number} now - Current timestamp
+   * @returns {boolean} False once the restart limit is reached
+   */
+  recordRestart(reason, now = Date.now()) {
+    this.restarts++;
+    this.lastRestartReason = reason;
+    this.start(now);
+    return this.restarts <= this.config.MAX_RESTARTS;
+  }
+
+  /**
+   * Reset the restart counter (new monitoring session)
+   */
+  resetRestarts() {
+    this.restarts = 0;
+    this.lastRestartReason = null;
+  }
+
+  /**
+   * Get watchdog diagnostics
+   * @returns {Object} {restarts, lastRestartReason, lastHeartbeat, lastResultAt}
+   */
+  getDiagnostics() {
+    return {
+      restarts: this.restarts,
+      lastRestartReason: this.lastRestartReason,
+      lastHeartbeat: this.lastHeartbeat,
+      lastResultAt: this.lastResultAt
+    };
+  }
+}
+
+export default DetectionWatchdog;
@@ -0,0 +1,130 @@
+/**
+ * Adaptive frame rate for auto FPS mode
+ */
+
+import { AdaptiveFpsConfig, ScoreThresholds } from '../utils/constants.js';
+
+// Metrics that count as posture movement; timestamp and confidence change
+// every frame regardless of posture
+const STABILITY_METRICS = Object.freeze([
+  'headForwardAngle',
+  'shoulderAsymmetry',
+  'shoulderHeight',
+  'shoulderWidth',
+  'eyeDistance',
+  'headRoll',
+  'headYaw'
+]);
+
+/**
+ * Map a score to its ScoreThresholds band
+ * @param {number} score - Posture score
+ * @returns {string} Band name
+ */
+function scoreBand(score) {
+  if (score >= ScoreThresholds.GOOD) return 'good';
+  if (score >= ScoreThresholds.WARNING) return 'warning';
+  return 'poor';
+}
+
+/**
+ * AdaptiveFrameRate drops to a minimum rate while posture is stable and
+ * returns to the configured rate as soon as it starts changing
+ */
+export class AdaptiveFrameRate {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxFPS - Configured frame rate (ceiling)
+   * @param {Object} options.config - Tuning, defaults to AdaptiveFpsConfig
+   */
+  constructor({ maxFPS = 5, config = AdaptiveFpsConfig } = {}) {
+    this.maxFPS = maxFPS;
+    this.config = config;
+    this.onBattery = false;
+    this.reset();
+  }
+
+  /**
+   * Set the configured frame rate
+   * @param {number} fps - Frame rate ceiling
+   */
+  setMaxFPS(fps) {
+    this.maxFPS = fps;
+  }
+
+  /**
+   * Set whether the device is running on battery
+   * @param {boolean} onBattery - True while discharging
+   */
+  setOnBattery(onBattery) {
+    this.onBattery = Boolean(onBattery);
+  }
+
+  /**
+   * Feed a posture analysis and get the frame rate to use
+   * @param {Object} analysis - Analysis {score, metrics}
+   * @param {number} now - Current timestamp
+   * @returns {number} Target FPS
+   */
+  update(analysis, now = Date.now()) {
+    if (!this.anchor || this.hasChanged(analysis)) {
+      this.anchor = {
+        score: analysis.score,
+        band: scoreBand(analysis.score),
+        metrics: { ...analysis.metrics }
+      };
+      this.stableSince = now;
+      this.stable = false;
+    } else if (now - this.stableSince >= this.config.STABLE_DURATION) {
+      this.stable = true;
+    }
+
+    return this.getTargetFPS();
+  }
+
+  /**
+   * Whether the analysis moved away from the stable anchor
+   * @param {Object} analysis - Analysis {score, metrics}
+   * @returns {boolean}
+   */
+  hasChanged(analysis) {
+    if (scoreBand(analysis.score) !== this.anchor.band) {
+      return true;
+    }
+
+    if (Math.abs(analysis.score - this.anchor.score) >= this.config.SCORE_DELTA) {
+      return true;
+    }
+
+    const metrics = analysis.metrics || {};
+    return STABILITY_METRICS.some(key => {
+      const value = metrics[key];
+      const previous = this.anchor.metrics[key];
+      return typeof value === 'number' && typeof previous === 'number' &&
+        Math.abs(value - previous) >= this.config.METRIC_DELTA;
+    });
+  }
+
+  /**
+   * Get the current target frame rate
+   * @returns {number} Target FPS
+   */
+  getTargetFPS() {
+    const ceiling = this.onBattery
+      ? Math.min(this.maxFPS, this.config.BATTERY_MAX_FPS)
+      : this.maxFPS;
+
+    return this.stable ? Math.min(ceiling, this.config.MIN_FPS) : ceiling;
+  }
+
+  /**
+   * Reset stability tracking
+   */
+  reset() {
+    this.anchor = null;
+    this.stableSince = null;
+    this.stable = false;
+  }
+}
+
+export default AdaptiveFrameRate;
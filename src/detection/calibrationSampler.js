@@ -0,0 +1,107 @@
+/**
+ * Calibration baseline capture
+ */
+
+import { median, standardDeviation } from '../utils/mathUtils.js';
+import { Calibration } from '../utils/constants.js';
+
+// Metrics the baseline is measured against (see PoseAnalyzer.analyzePose)
+const BASELINE_METRICS = ['headForwardAngle', 'shoulderAsymmetry', 'shoulderHeight', 'shoulderWidth'];
+
+// Metrics kept in the baseline only when enough steady frames measured them
+const OPTIONAL_METRICS = ['eyeDistance', 'headRoll', 'headYaw'];
+
+/**
+ * CalibrationSampler collects raw posture metrics while the user holds
+ * their best posture, then reduces them to a baseline
+ */
+export class CalibrationSampler {
+  /**
+   * @param {Object} config - Overrides for Calibration
+   * @param {number} now - Sampling start timestamp
+   */
+  constructor(config = {}, now = Date.now()) {
+    this.config = { ...Calibration, ...config };
+    this.samples = [];
+    this.frames = 0;
+    this.startedAt = now;
+  }
+
+  /**
+   * Feed the metrics measured from one frame
+   * @param {Object|null} metrics - Uncalibrated metrics, or null when no usable pose was found
+   */
+  add(metrics) {
+    this.frames++;
+    
+    if (metrics) {
+      this.samples.push(metrics);
+    }
+  }
+
+  /**
+   * Whether sampling can stop: DURATION has passed with enough usable poses,
+   * or MAX_DURATION has passed regardless
+   * @param {number} now - Current timestamp
+   * @returns {boolean}
+   */
+  isDone(now = Date.now()) {
+    const elapsed = now - this.startedAt;
+    
+    return elapsed >= this.config.MAX_DURATION ||
+      (elapsed >= this.config.DURATION && this.samples.length >= this.config.MIN_SAMPLES);
+  }
+
+  /**
+   * Reduce the samples to a baseline, refusing unsteady or unclear captures
+   * @returns {Object} {baseline} or {baseline: null, error}
+   */
+  finish() {
+    const { MIN_SAMPLES, MIN_CONFIDENCE, OUTLIER_DEVIATIONS, MAX_DEVIATIONS } = this.config;
+
+    // Too few frames came back at all, whether or not they showed the user
+    if (this.frames < MIN_SAMPLES) {
+      return {
+        baseline: null,
+        error: 'Detection is running too slowly to calibrate. Close other demanding tabs or choose a lighter pose model, then try again.'
+      };
+    }
+
+    if (this.samples.length < MIN_SAMPLES ||
+        median(this.samples.map(sample => sample.confidence)) < MIN_CONFIDENCE) {
+      return {
+        baseline: null,
+        error: 'The camera could not see you clearly. Make sure your head and shoulders are in view and well lit.'
+      };
+    }
+
+    // Drop frames where any metric is far from its median (a cough, a glance away)
+    const bands = BASELINE_METRICS.map(metric => {
+      const values = this.samples.map(sample => sample[metric]);
+      return { metric, center: median(values), spread: OUTLIER_DEVIATIONS * standardDeviation(values) };
+    });
+    const steady = this.samples.filter(sample =>
+      bands.every(({ metric, center, spread }) => Math.abs(sample[metric] - center) <= spread));
+
+    const unsteady = steady.length < MIN_SAMPLES || BASELINE_METRICS.some(metric =>
+      standardDeviation(steady.map(sample => sample[metric])) > MAX_DEVIATIONS[metric]);
+
+    if (unsteady) {
+      return {
+        baseline: null,
+        error: 'You moved too much. Hold still in your best posture and try again.'
+      };
+    }
+
+    const baseline = {};
+    for (const metric of BASELINE_METRICS) {
+      baseline[metric] = median(steady.map(sample => sample[metric]));
+    }
+    for (const metric of OPTIONAL_METRICS) {
+      const values = steady.map(sample => sample[metric]).filter(value => typeof value === 'number');
+      baseline[metric] = values.length >= MIN_SAMPLES ? median(values) : null;
+    }
+
+    return { baseline };
+  }
+}
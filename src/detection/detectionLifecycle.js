@@ -0,0 +1,57 @@
+/**
+ * Detection lifecycle state machine
+ */
+
+import { DetectionState, DetectionTransitions } from '../utils/constants.js';
+
+/**
+ * DetectionLifecycle holds the detection page's state, rejects transitions
+ * not listed in DetectionTransitions and reports every accepted one
+ */
+export class DetectionLifecycle {
+  /**
+   * @param {Object} options - {onTransition: called with {state, previous, ...detail},
+   *   transitions: transition table, defaults to DetectionTransitions}
+   */
+  constructor({ onTransition = () => {}, transitions = DetectionTransitions } = {}) {
+    this.onTransition = onTransition;
+    this.transitions = transitions;
+    this.state = DetectionState.IDLE;
+  }
+
+  /**
+   * Whether the current state is one of the given states
+   * @param {...string} states - DetectionState values
+   * @returns {boolean}
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * Whether a transition from the current state is legal
+   * @param {string} to - DetectionState value
+   * @returns {boolean}
+   */
+  canTransition(to) {
+    return (this.transitions[this.state] || []).includes(to);
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} to - DetectionState value
+   * @param {Object} detail - Extra fields for the transition report
+   * @returns {boolean} False if the transition was rejected
+   */
+  transition(to, detail = {}) {
+    if (!this.canTransition(to)) {
+      console.warn(`Rejected detection state transition: ${this.state} -> ${to}`);
+      return false;
+    }
+
+    const previous = this.state;
+    this.state = to;
+    this.onTransition({ ...detail, state: to, previous });
+    return true;
+  }
+}
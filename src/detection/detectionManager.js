@@ -0,0 +1,970 @@
+/**
+ * Detection manager - owns the camera, frame loop and pose worker of the
+ * detection page
+ */
+
+import { PoseAnalyzer } from './poseAnalyzer.js';
+import { FrameTracker } from './frameTracker.js';
+import { AdaptiveFrameRate } from './adaptiveFrameRate.js';
+import { DetectionLifecycle } from './detectionLifecycle.js';
+import { PresenceTracker } from './presenceTracker.js';
+import { CalibrationSampler } from './calibrationSampler.js';
+import { fitWithin } from '../utils/mathUtils.js';
+import { getVideoConstraints, isDeviceUnavailableError, getRetryDelay } from '../utils/camera.js';
+import { sendMessage, createRouter } from '../utils/protocol.js';
+import { MessageType, RuntimeMessage, DetectionState, ModelAssets, PoseBackend, PoseBackendConfig, TfBackendOrder, UpdateIntervals, FpsMode, CameraRecovery, ErrorCode, Watchdog, Calibration } from '../utils/constants.js';
+
+export class DetectionManager {
+  constructor() {
+    this.video = document.getElementById('video');
+    this.canvas = document.getElementById('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    
+    this.worker = null;
+    this.poseAnalyzer = null;
+    this.stream = null;
+    this.lifecycle = new DetectionLifecycle({
+      onTransition: (report) => this.reportDetectionState(report)
+    });
+    this.settings = null;
+    this.frameClock = null;
+    this.frameClockRunning = false;
+    this.targetFPS = 5;
+    this.frameSize = null;
+    this.useImageBitmap = typeof createImageBitmap === 'function';
+    this.frameTracker = new FrameTracker();
+    this.lastPerformanceReport = 0;
+    this.adaptiveFps = new AdaptiveFrameRate();
+    this.presence = new PresenceTracker();
+    this.calibration = null;
+    this.calibrationTimer = null;
+    this.previewEnabled = false;
+    this.workerReady = false;
+    this.cameraRecovery = null;
+    this.muteTimer = null;
+    this.lastResultAt = null;
+    this.heartbeatInterval = null;
+    
+    this.init();
+  }
+
+  get state() {
+    return this.lifecycle.state;
+  }
+
+  /**
+   * Whether frames are being sent to the worker
+   * @returns {boolean}
+   */
+  isDetecting() {
+    return this.lifecycle.is(DetectionState.WARMING_UP, DetectionState.RUNNING);
+  }
+
+  async init() {
+    try {
+      // Get settings from background
+      this.settings = await sendMessage(RuntimeMessage.GET_SETTINGS);
+      
+      // Initialize pose analyzer
+      this.poseAnalyzer = new PoseAnalyzer(this.settings);
+      
+      // Listen for pause, stop and settings updates before the camera
+      // permission prompt, which can stay open indefinitely
+      browser.runtime.onMessage.addListener(this.createMessageRouter());
+      
+      // Throttle auto mode further while discharging
+      this.watchBattery();
+      
+      // Initialize worker
+      this.initWorker();
+      this.initFrameClock();
+      
+      // Let the background watchdog know this window is alive
+      this.startHeartbeat();
+      
+      // Restarted while the session was paused: the camera waits for resume
+      if (new URLSearchParams(location.search).has('paused')) {
+        this.lifecycle.transition(DetectionState.PAUSED);
+      } else {
+        await this.startCamera();
+      }
+      
+    } catch (error) {
+      console.error('Detection initialization error:', error);
+      this.reportError(error);
+    }
+  }
+
+  initWorker() {
+    this.workerReady = false;
+    this.worker = new Worker(browser.runtime.getURL('src/detection/detectionWorker.js'));
+    
+    this.worker.onmessage = this.handleWorkerMessage.bind(this);
+    this.worker.onerror = (error) => {
+      console.error('Worker error:', error);
+      this.reportError(error);
+    };
+    
+    // Initialize worker with settings and the selected backend's bundled assets
+    const backendId = this.getBackendId(this.settings);
+    const backendAssets = ModelAssets.BACKENDS[backendId];
+    
+    this.worker.postMessage({
+      type: MessageType.INIT,
+      data: {
+        settings: this.settings,
+        backend: {
+          id: backendId,
+          config: PoseBackendConfig[backendId]
+        },
+        tfBackends: [...TfBackendOrder],
+        assets: {
+          baseUrl: browser.runtime.getURL(''),
+          scripts: [ModelAssets.RUNTIME, ModelAssets.WASM.script, ...backendAssets.scripts],
+          binaries: [...ModelAssets.WASM.binaries],
+          models: { ...backendAssets.models }
+        }
+      }
+    });
+  }
+
+  /**
+   * Start the worker that paces frame capture; unlike page timers it keeps
+   * full rate while the detection tab is hidden
+   */
+  initFrameClock() {
+    this.frameClock = new Worker(browser.runtime.getURL('src/detection/frameClock.js'));
+    this.frameClock.onmessage = (event) => {
+      if (event.data.type === MessageType.TICK) {
+        this.processFrame();
+      }
+    };
+  }
+
+  /**
+   * Size frames to the backend's input resolution so the worker never
+   * receives more pixels than the model consumes
+   */
+  updateFrameSize() {
+    if (!this.video.videoWidth || !this.video.videoHeight) {
+      return;
+    }
+    
+    const backendId = this.getBackendId(this.settings);
+    this.frameSize = fitWithin(
+      { width: this.video.videoWidth, height: this.video.videoHeight },
+      PoseBackendConfig[backendId].inputResolution
+    );
+    
+    // Canvas is only used when ImageBitmap capture is unavailable
+    this.canvas.width = this.frameSize.width;
+    this.canvas.height = this.frameSize.height;
+  }
+
+  getBackendId(settings) {
+    const backendId = settings?.detection?.backend;
+    return ModelAssets.BACKENDS[backendId] ? backendId : PoseBackend.POSENET;
+  }
+
+  restartWorker() {
+    if (this.isDetecting()) {
+      this.stopDetection();
+      this.lifecycle.transition(DetectionState.LOADING_MODEL);
+    } else if (this.lifecycle.is(DetectionState.ERROR) && this.stream && !this.cameraRecovery) {
+      // The previous model failed to load with the camera open
+      this.lifecycle.transition(DetectionState.LOADING_MODEL);
+    }
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    
+    // READY from the new worker restarts detection
+    this.updateFrameSize();
+    this.initWorker();
+  }
+
+  async startCamera() {
+    try {
+      this.lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+      
+      await this.acquireCamera();
+      
+    } catch (error) {
+      console.error('Camera access error:', error);
+      this.lifecycle.transition(DetectionState.ERROR);
+      this.reportError(error);
+      throw error;
+    }
+    
+    // Paused or stopped while the permission prompt was open
+    if (this.lifecycle.is(DetectionState.PAUSED, DetectionState.STOPPING, DetectionState.IDLE)) {
+      this.releaseCamera();
+      return;
+    }
+    
+    this.handleCameraReady();
+  }
+
+  /**
+   * Start detection now if the model is loaded; otherwise READY starts it
+   */
+  handleCameraReady() {
+    if (this.workerReady) {
+      this.startDetection();
+    } else {
+      this.lifecycle.transition(DetectionState.LOADING_MODEL);
+    }
+  }
+
+  /**
+   * Open the camera, attach it to the video element and watch its track
+   */
+  async acquireCamera() {
+    this.stream = await this.openCamera(this.settings.camera);
+    this.watchTrack(this.stream.getVideoTracks()[0]);
+    
+    this.video.srcObject = this.stream;
+    
+    await new Promise((resolve) => {
+      this.video.onloadedmetadata = () => {
+        this.video.play();
+        resolve();
+      };
+    });
+    
+    this.updateFrameSize();
+    
+    console.log('Camera started:', this.video.videoWidth, 'x', this.video.videoHeight);
+  }
+
+  /**
+   * Treat an ended track, or one muted for longer than the grace period,
+   * as a lost camera (unplugged or taken by another application)
+   * @param {MediaStreamTrack} track - Video track
+   */
+  watchTrack(track) {
+    if (!track) {
+      return;
+    }
+    
+    track.addEventListener('ended', () => {
+      if (track.readyState === 'ended' && this.stream?.getVideoTracks()[0] === track) {
+        this.handleCameraLost('ended');
+      }
+    });
+    
+    track.addEventListener('mute', () => {
+      clearTimeout(this.muteTimer);
+      this.muteTimer = setTimeout(() => {
+        if (track.muted && this.stream?.getVideoTracks()[0] === track) {
+          this.handleCameraLost('muted');
+        }
+      }, CameraRecovery.MUTE_GRACE);
+    });
+    
+    track.addEventListener('unmute', () => {
+      clearTimeout(this.muteTimer);
+      this.muteTimer = null;
+    });
+  }
+
+  /**
+   * Stop detection and start reacquiring the camera
+   * @param {string} reason - Why the camera was lost ('ended' or 'muted')
+   */
+  handleCameraLost(reason) {
+    if (this.cameraRecovery) {
+      return;
+    }
+    
+    console.warn('Camera lost:', reason);
+    
+    this.stopDetection();
+    this.releaseCamera();
+    this.cameraRecovery = { reason, attempt: 0, timer: null };
+    
+    this.scheduleCameraRetry();
+  }
+
+  /**
+   * Schedule the next camera reacquisition attempt with exponential backoff
+   */
+  scheduleCameraRetry() {
+    const recovery = this.cameraRecovery;
+    const delay = getRetryDelay(recovery.attempt);
+    
+    const accepted = this.lifecycle.transition(DetectionState.ERROR, {
+      code: ErrorCode.CAMERA_NOT_FOUND,
+      reason: recovery.reason,
+      attempt: recovery.attempt,
+      retryInMs: delay
+    });
+    
+    if (!accepted) {
+      this.cameraRecovery = null;
+      return;
+    }
+    
+    recovery.timer = setTimeout(() => this.retryCamera(), delay);
+  }
+
+  async retryCamera() {
+    const recovery = this.cameraRecovery;
+    if (!recovery) {
+      return;
+    }
+    
+    recovery.attempt++;
+    
+    try {
+      await this.acquireCamera();
+    } catch (error) {
+      console.warn(`Camera retry ${recovery.attempt} failed:`, error.name || error.message);
+      this.releaseCamera();
+      
+      if (this.cameraRecovery === recovery) {
+        this.scheduleCameraRetry();
+      }
+      return;
+    }
+    
+    console.log('Camera recovered after', recovery.attempt, 'attempt(s)');
+    this.cameraRecovery = null;
+    this.handleCameraReady();
+  }
+
+  /**
+   * Stop the camera stream and any pending track watchers
+   */
+  releaseCamera() {
+    clearTimeout(this.muteTimer);
+    this.muteTimer = null;
+    
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Cancel an in-progress camera recovery
+   */
+  cancelCameraRecovery() {
+    if (this.cameraRecovery) {
+      clearTimeout(this.cameraRecovery.timer);
+      this.cameraRecovery = null;
+    }
+  }
+
+  /**
+   * Open the configured camera, falling back to the default camera
+   * when the saved device is no longer available
+   * @param {Object} camera - Camera settings {deviceId, resolution}
+   * @returns {Promise<MediaStream>} Camera stream
+   */
+  async openCamera(camera) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        video: getVideoConstraints(camera),
+        audio: false
+      });
+    } catch (error) {
+      if (!camera?.deviceId || !isDeviceUnavailableError(error)) {
+        throw error;
+      }
+      
+      console.warn('Saved camera unavailable, using default camera:', error.name);
+      
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: getVideoConstraints(camera, { useDevice: false }),
+        audio: false
+      });
+      
+      sendMessage(RuntimeMessage.CAMERA_FALLBACK, { deviceId: camera.deviceId }).catch(err => {
+        console.error('Error reporting camera fallback:', err);
+      });
+      
+      return stream;
+    }
+  }
+
+  /**
+   * Release the camera and stop sending frames; the worker keeps its model
+   * loaded so resuming doesn't have to reload it
+   */
+  pause() {
+    if (!this.lifecycle.canTransition(DetectionState.PAUSED)) {
+      return;
+    }
+    
+    this.cancelCameraRecovery();
+    this.cancelCalibration();
+    
+    if (this.isDetecting()) {
+      this.stopDetection();
+    }
+    
+    this.releaseCamera();
+    this.lifecycle.transition(DetectionState.PAUSED);
+    console.log('Detection paused');
+  }
+
+  /**
+   * Reopen the camera after a pause; detection starts once it is ready
+   */
+  async resume() {
+    if (!this.lifecycle.is(DetectionState.PAUSED)) {
+      return;
+    }
+    
+    console.log('Detection resuming');
+    await this.startCamera();
+  }
+
+  /**
+   * Reopen the camera after the device or resolution changed
+   */
+  async restartCamera() {
+    this.cancelCameraRecovery();
+    
+    if (this.isDetecting()) {
+      this.stopDetection();
+    }
+    
+    this.releaseCamera();
+    await this.startCamera();
+  }
+
+  handleWorkerMessage(event) {
+    const { type, data } = event.data;
+    
+    switch (type) {
+      case MessageType.READY:
+        console.log('Worker ready');
+        this.workerReady = true;
+        
+        // Otherwise the camera is still opening or recovering and starts detection itself
+        if (this.lifecycle.is(DetectionState.LOADING_MODEL)) {
+          this.startDetection();
+        }
+        break;
+        
+      case MessageType.POSE_RESULT:
+        this.lastResultAt = Date.now();
+        if (this.lifecycle.is(DetectionState.WARMING_UP)) {
+          this.lifecycle.transition(DetectionState.RUNNING);
+        }
+        this.frameTracker.release(data.frameId);
+        this.handlePoseResult(data);
+        break;
+        
+      case MessageType.FRAME_DROPPED:
+        this.frameTracker.release(data.frameId, Date.now(), false);
+        break;
+        
+      case MessageType.ERROR:
+        console.error('Worker error:', data);
+        this.reportError(data);
+        if (data.frameId !== undefined) {
+          this.frameTracker.release(data.frameId, Date.now(), false);
+        } else {
+          // Not tied to a frame: the model failed to load, so no results will come
+          this.lifecycle.transition(DetectionState.ERROR, { code: data.code });
+        }
+        break;
+        
+      case MessageType.STATUS:
+        console.log('Worker status:', data.message);
+        if (data.tfBackend) {
+          this.reportDetectionInfo({ tfBackend: data.tfBackend });
+        }
+        break;
+    }
+  }
+
+  startDetection() {
+    if (this.isDetecting() || !this.lifecycle.transition(DetectionState.WARMING_UP)) {
+      return;
+    }
+    
+    this.frameTracker.reset();
+    this.presence.reset();
+    
+    // Tell worker to start
+    this.worker.postMessage({
+      type: MessageType.START_DETECTION
+    });
+    
+    // Start processing frames at the configured rate
+    this.adaptiveFps.reset();
+    this.adaptiveFps.setMaxFPS(this.settings.detection?.fps || 5);
+    this.setFrameRate(this.getConfiguredFPS());
+    
+    console.log('Detection started at', this.targetFPS, 'FPS');
+  }
+
+  /**
+   * Frame rate to use before any adaptive adjustment
+   * @returns {number} Target FPS
+   */
+  getConfiguredFPS() {
+    return this.isAutoFPS()
+      ? this.adaptiveFps.getTargetFPS()
+      : this.settings.detection?.fps || 5;
+  }
+
+  /**
+   * Whether the frame rate adapts to posture stability and battery
+   * @returns {boolean}
+   */
+  isAutoFPS() {
+    return this.settings.detection?.fpsMode === FpsMode.AUTO;
+  }
+
+  /**
+   * (Re)start the frame loop at the given rate
+   * @param {number} fps - Frames per second
+   */
+  setFrameRate(fps) {
+    if (this.frameClockRunning && fps === this.targetFPS) {
+      return;
+    }
+    
+    this.targetFPS = fps;
+    this.frameClockRunning = true;
+    this.frameClock.postMessage({
+      type: MessageType.SET_RATE,
+      data: { fps }
+    });
+  }
+
+  /**
+   * Track charging state via the Battery Status API, where available
+   */
+  async watchBattery() {
+    if (typeof navigator.getBattery !== 'function') {
+      return;
+    }
+    
+    try {
+      const battery = await navigator.getBattery();
+      const update = () => {
+        this.adaptiveFps.setOnBattery(!battery.charging);
+        this.applyAdaptiveFPS();
+      };
+      
+      battery.addEventListener('chargingchange', update);
+      update();
+    } catch (error) {
+      console.warn('Battery status unavailable:', error);
+    }
+  }
+
+  /**
+   * Apply the adaptive rate when auto mode is active
+   * @param {Object} analysis - Latest posture analysis, if any
+   */
+  applyAdaptiveFPS(analysis) {
+    if (!this.isAutoFPS() || !this.isDetecting() || this.calibration) {
+      return;
+    }
+    
+    const fps = analysis
+      ? this.adaptiveFps.update(analysis)
+      : this.adaptiveFps.getTargetFPS();
+    
+    if (fps !== this.targetFPS) {
+      console.log('Adaptive frame rate:', fps, 'FPS');
+      this.setFrameRate(fps);
+    }
+  }
+
+  stopDetection() {
+    if (this.frameClockRunning) {
+      this.frameClock.postMessage({
+        type: MessageType.SET_RATE,
+        data: { fps: 0 }
+      });
+      this.frameClockRunning = false;
+    }
+    
+    if (this.worker) {
+      this.worker.postMessage({
+        type: MessageType.STOP_DETECTION
+      });
+    }
+    
+    console.log('Detection stopped');
+  }
+
+  async processFrame() {
+    if (!this.isDetecting() || !this.frameSize) {
+      return;
+    }
+    
+    this.reportPerformance();
+    
+    // Only one frame may be outstanding; skip ticks while the worker is busy
+    const frameId = this.frameTracker.tryAcquire();
+    if (frameId === null) {
+      return;
+    }
+    
+    const { width, height } = this.frameSize;
+    let frame;
+    
+    try {
+      frame = {
+        frameId,
+        image: await this.captureFrame(width, height),
+        scaleX: this.video.videoWidth / width,
+        scaleY: this.video.videoHeight / height
+      };
+    } catch (error) {
+      console.error('Frame capture error:', error);
+      this.frameTracker.cancel();
+      return;
+    }
+    
+    // Detection may have stopped while the frame was being captured
+    if (!this.isDetecting() || !this.worker) {
+      if (frame.image.close) frame.image.close();
+      this.frameTracker.cancel();
+      return;
+    }
+    
+    // Transfer ownership of the pixels instead of copying them
+    const transfer = frame.image instanceof ImageData ? frame.image.data.buffer : frame.image;
+    
+    this.worker.postMessage({
+      type: MessageType.PROCESS_FRAME,
+      data: frame
+    }, [transfer]);
+  }
+
+  /**
+   * Capture the current video frame at the given size
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @returns {Promise<ImageBitmap|ImageData>} Downscaled frame
+   */
+  async captureFrame(width, height) {
+    if (this.useImageBitmap) {
+      try {
+        return await createImageBitmap(this.video, {
+          resizeWidth: width,
+          resizeHeight: height,
+          resizeQuality: 'low'
+        });
+      } catch (error) {
+        console.warn('ImageBitmap capture unavailable, falling back to canvas:', error);
+        this.useImageBitmap = false;
+      }
+    }
+    
+    this.ctx.drawImage(this.video, 0, 0, width, height);
+    return this.ctx.getImageData(0, 0, width, height);
+  }
+
+  handlePoseResult(poseData) {
+    // Shoulder height and screen distance are measured relative to the frame
+    const pose = { ...poseData, width: this.video.videoWidth, height: this.video.videoHeight };
+    
+    if (this.calibration) {
+      this.calibration.add(this.poseAnalyzer.measurePose(pose));
+      
+      if (this.calibration.isDone()) {
+        this.finishCalibration();
+      }
+    }
+    
+    // Analyze pose using PoseAnalyzer
+    const analysis = this.poseAnalyzer.analyzePose(pose);
+    
+    const presence = this.presence.update(Boolean(analysis));
+    if (presence) {
+      sendMessage(RuntimeMessage.PRESENCE_UPDATE, presence).catch(error => {
+        console.error('Error sending presence update:', error);
+      });
+    }
+    
+    if (this.previewEnabled) {
+      this.sendPreview(poseData, analysis);
+    }
+    
+    if (analysis) {
+      this.applyAdaptiveFPS(analysis);
+      
+      // Send analysis to background script
+      sendMessage(RuntimeMessage.POSTURE_UPDATE, {
+        status: analysis.status,
+        score: analysis.score,
+        metrics: analysis.metrics
+      }).catch(error => {
+        console.error('Error sending posture update:', error);
+      });
+    }
+  }
+
+  /**
+   * Send what the model found in this frame to the options preview
+   * @param {Object} poseData - Worker pose result
+   * @param {Object|null} analysis - Posture analysis, null without a usable pose
+   */
+  sendPreview(poseData, analysis) {
+    sendMessage(RuntimeMessage.POSE_PREVIEW, {
+      width: this.video.videoWidth,
+      height: this.video.videoHeight,
+      keypoints: (poseData.keypoints || []).map(kp => ({
+        part: kp.part,
+        x: kp.position.x,
+        y: kp.position.y,
+        score: kp.score
+      })),
+      guides: this.poseAnalyzer.getGuideLines(poseData),
+      score: analysis ? analysis.score : null,
+      status: analysis ? analysis.status : null,
+      cameraId: this.getCameraId()
+    }).catch(error => {
+      console.error('Error sending pose preview:', error);
+    });
+  }
+
+  /**
+   * Device ID of the camera actually in use (may be the default camera)
+   * @returns {string|null}
+   */
+  getCameraId() {
+    const track = this.stream?.getVideoTracks()[0];
+    return track?.getSettings?.().deviceId || null;
+  }
+
+  /**
+   * Listen-only router: the background answers broadcasts such as stop_monitoring
+   */
+  createMessageRouter() {
+    return createRouter({
+      [RuntimeMessage.SETTINGS_UPDATED]: (data) => this.updateSettings(data),
+      [RuntimeMessage.PLAY_ALERT_SOUND]: () => this.playAlertSound(),
+      [RuntimeMessage.PAUSE_DETECTION]: () => this.pause(),
+      [RuntimeMessage.RESUME_DETECTION]: () => this.resume(),
+      [RuntimeMessage.START_CALIBRATION]: (data) => this.startCalibration(data),
+      [RuntimeMessage.SET_PREVIEW]: ({ enabled }) => {
+        this.previewEnabled = enabled;
+      },
+      [RuntimeMessage.STOP_MONITORING]: () => this.cleanup()
+    }, { respond: false });
+  }
+
+  updateSettings(newSettings) {
+    const backendChanged = this.getBackendId(newSettings) !== this.getBackendId(this.settings);
+    const cameraChanged = newSettings.camera?.deviceId !== this.settings.camera?.deviceId ||
+      newSettings.camera?.resolution !== this.settings.camera?.resolution;
+    this.settings = newSettings;
+    
+    // Update pose analyzer
+    if (this.poseAnalyzer) {
+      this.poseAnalyzer.updateSettings(newSettings);
+    }
+    
+    // Switching models needs a fresh worker; otherwise update in place
+    if (this.worker && backendChanged) {
+      this.restartWorker();
+    } else if (this.worker) {
+      this.worker.postMessage({
+        type: MessageType.UPDATE_SETTINGS,
+        data: newSettings
+      });
+    }
+    
+    if (cameraChanged && this.stream) {
+      this.restartCamera().catch(error => {
+        console.error('Error switching camera:', error);
+      });
+    }
+    
+    // Update FPS if changed
+    this.adaptiveFps.setMaxFPS(newSettings.detection?.fps || 5);
+    if (this.frameClockRunning) {
+      this.setFrameRate(this.getConfiguredFPS());
+    }
+    
+    console.log('Settings updated');
+  }
+
+  /**
+   * Sample uncalibrated metrics for a while and report the baseline
+   * @param {Object} data - {duration} in ms
+   */
+  startCalibration({ duration }) {
+    if (this.calibration) {
+      return;
+    }
+    
+    if (!this.lifecycle.is(DetectionState.RUNNING)) {
+      this.reportCalibration({ baseline: null, error: 'Detection is still starting. Try again in a moment.' });
+      return;
+    }
+    
+    // Sample for at least duration; slow frames get until MAX_DURATION to
+    // deliver enough poses (checked as results arrive)
+    this.calibration = new CalibrationSampler({ DURATION: duration });
+    this.calibrationTimer = setTimeout(() => this.finishCalibration(), Calibration.MAX_DURATION);
+    
+    // Enough frames to judge how steady the user is
+    this.setFrameRate(Math.max(this.targetFPS, Calibration.MIN_FPS));
+    console.log('Calibration started');
+  }
+
+  finishCalibration() {
+    const result = this.calibration.finish();
+    this.cancelCalibration();
+    
+    if (this.frameClockRunning) {
+      this.setFrameRate(this.getConfiguredFPS());
+    }
+    
+    this.reportCalibration(result);
+  }
+
+  cancelCalibration() {
+    clearTimeout(this.calibrationTimer);
+    this.calibrationTimer = null;
+    this.calibration = null;
+  }
+
+  /**
+   * @param {Object} result - {baseline} or {baseline: null, error}
+   */
+  reportCalibration(result) {
+    sendMessage(RuntimeMessage.CALIBRATION_RESULT, {
+      ...result,
+      cameraId: this.getCameraId()
+    }).catch(error => {
+      console.error('Error reporting calibration:', error);
+    });
+  }
+
+  playAlertSound() {
+    // Simple beep using Web Audio API
+    try {
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      const oscillator = audioContext.createOscillator();
+      const gainNode = audioContext.createGain();
+      
+      oscillator.connect(gainNode);
+      gainNode.connect(audioContext.destination);
+      
+      oscillator.frequency.value = 800;
+      oscillator.type = 'sine';
+      
+      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+      
+      oscillator.start(audioContext.currentTime);
+      oscillator.stop(audioContext.currentTime + 0.5);
+      
+    } catch (error) {
+      console.error('Error playing alert sound:', error);
+    }
+  }
+
+  /**
+   * Periodically send effective vs. target FPS to the background
+   */
+  reportPerformance() {
+    const now = Date.now();
+    
+    if (now - this.lastPerformanceReport < UpdateIntervals.PERFORMANCE) {
+      return;
+    }
+    
+    this.lastPerformanceReport = now;
+    this.reportDetectionInfo({
+      performance: {
+        ...this.frameTracker.getStats(this.targetFPS, now),
+        fpsMode: this.settings.detection?.fpsMode || FpsMode.FIXED
+      }
+    });
+  }
+
+  startHeartbeat() {
+    const beat = () => {
+      sendMessage(RuntimeMessage.HEARTBEAT, {
+        state: this.state,
+        lastResultAt: this.lastResultAt
+      }).catch(error => {
+        console.error('Error sending heartbeat:', error);
+      });
+    };
+    
+    beat();
+    this.heartbeatInterval = setInterval(beat, Watchdog.HEARTBEAT_INTERVAL);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  /**
+   * Broadcast a lifecycle transition to the background
+   * @param {Object} data - {state, previous} plus camera recovery details
+   *   {code, reason, attempt, retryInMs} while reconnecting
+   */
+  reportDetectionState(data) {
+    sendMessage(RuntimeMessage.DETECTION_STATE, data).catch(error => {
+      console.error('Error reporting detection state:', error);
+    });
+  }
+
+  reportDetectionInfo(info) {
+    sendMessage(RuntimeMessage.DETECTION_STATUS, {
+      poseBackend: this.getBackendId(this.settings),
+      ...info
+    }).catch(error => {
+      console.error('Error reporting detection status:', error);
+    });
+  }
+
+  reportError(error) {
+    sendMessage(RuntimeMessage.DETECTION_ERROR, {
+      // DOMException.code is a legacy number, not one of ours
+      code: typeof error.code === 'string' ? error.code : undefined,
+      name: error.name,
+      message: error.message || 'Unknown error',
+      detail: typeof error.error === 'string' ? error.error : undefined,
+      stack: error.stack
+    }).catch(err => {
+      console.error('Error reporting error:', err);
+    });
+  }
+
+  cleanup() {
+    this.lifecycle.transition(DetectionState.STOPPING);
+    this.stopHeartbeat();
+    this.stopDetection();
+    this.cancelCameraRecovery();
+    this.cancelCalibration();
+    this.releaseCamera();
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    
+    if (this.frameClock) {
+      this.frameClock.terminate();
+      this.frameClock = null;
+    }
+    
+    this.lifecycle.transition(DetectionState.IDLE);
+    console.log('Detection manager cleaned up');
+  }
+}
+
+export default DetectionManager;
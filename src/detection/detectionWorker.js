@@ -3,84 +3,235 @@
  * Runs in separate thread to avoid blocking main UI
  */
 
-// Import TensorFlow.js and PoseNet from CDN
-importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0/dist/tf.min.js');
-importScripts('https://cdn.jsdelivr.net/npm/@tensorflow-models/posenet@2.2.2/dist/posenet.min.js');
+/* eslint-env worker */
+/* global tf, createPoseBackend, scaleKeypoints */
 
-let model = null;
+importScripts('poseBackends.js');
+
+let backend = null;
+let tfBackend = null;
 let isInitialized = false;
 let detectionActive = false;
 let settings = null;
 
+// Digests of the bundled model files, generated by scripts/vendor-assets.js.
+// Shipped as a script beside this one so it can't be swapped for a matching
+// manifest independently of the extension code.
+const ASSET_MANIFEST_SCRIPT = '../vendor/asset-manifest.js';
+
+// Verified bytes of model weights and WebAssembly binaries, keyed by URL
+const verifiedAssets = new Map();
+
+// Serve model and binary requests from the verified bytes, so what was
+// hashed is exactly what gets loaded and nothing is fetched twice
+const networkFetch = self.fetch.bind(self);
+let assetBaseUrl = null;
+
+self.fetch = (input, init) => {
+  const url = typeof input === 'string' ? input : input.url;
+  const bytes = verifiedAssets.get(url);
+
+  if (bytes) {
+    const headers = url.endsWith('.wasm') ? { 'Content-Type': 'application/wasm' } : {};
+    return Promise.resolve(new Response(bytes, { headers }));
+  }
+
+  if (assetBaseUrl && url.startsWith(assetBaseUrl)) {
+    return Promise.reject(new Error(`Model asset not verified: ${url}`));
+  }
+
+  return networkFetch(input, init);
+};
+
+/**
+ * Fetch a bundled asset and check it against its manifest digest
+ * @param {string} url - Resolved asset URL
+ * @param {string} expected - Expected digest ("sha256-<base64>")
+ * @returns {Promise<ArrayBuffer>} The verified bytes
+ */
+async function fetchVerified(url, expected) {
+  let response;
+
+  try {
+    response = await networkFetch(url);
+  } catch (error) {
+    throw new Error(`Model asset missing: ${url}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Model asset missing: ${url}`);
+  }
+
+  const bytes = await response.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const actual = 'sha256-' + btoa(String.fromCharCode(...new Uint8Array(digest)));
+
+  if (actual !== expected) {
+    throw new Error(`Model asset corrupt: ${url}`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Verify the model files and binaries the selected backend needs, then load
+ * the runtime scripts
+ * @param {Object} assets - Asset paths {baseUrl, scripts, binaries, models}
+ * @returns {Object} Resolved model URLs keyed like assets.models
+ */
+async function loadAssets(assets) {
+  const resolve = (path) => new URL(path, assets.baseUrl).href;
+
+  try {
+    importScripts(ASSET_MANIFEST_SCRIPT);
+  } catch (error) {
+    throw new Error('Model asset manifest missing or unreadable');
+  }
+
+  const files = self.ASSET_MANIFEST?.files || {};
+  const modelPaths = Object.values(assets.models);
+  const modelDirs = modelPaths.map(path => path.slice(0, path.lastIndexOf('/') + 1));
+
+  for (const path of [...assets.binaries, ...modelPaths]) {
+    if (!files[path]) {
+      throw new Error(`Model asset not listed in manifest: ${path}`);
+    }
+  }
+
+  // Binaries plus every graph and weight shard in the selected model directories
+  const required = Object.keys(files).filter(path =>
+    assets.binaries.includes(path) || modelDirs.some(dir => path.startsWith(dir))
+  );
+
+  for (const path of required) {
+    verifiedAssets.set(resolve(path), await fetchVerified(resolve(path), files[path]));
+  }
+
+  // From here on only verified bytes are served from the extension package
+  assetBaseUrl = assets.baseUrl;
+
+  // Scripts are extension code like this worker; importScripts loads by URL only
+  importScripts(...assets.scripts.map(resolve));
+
+  // WASM backend fetches its binaries relative to this prefix
+  if (tf.wasm && assets.binaries.length > 0) {
+    const binary = assets.binaries[0];
+    tf.wasm.setWasmPaths(resolve(binary.slice(0, binary.lastIndexOf('/') + 1)));
+  }
+
+  const models = {};
+  for (const [key, path] of Object.entries(assets.models)) {
+    models[key] = resolve(path);
+  }
+  return models;
+}
+
+/**
+ * Select the first TensorFlow.js backend that initializes in this worker
+ * WebGL is often unavailable in workers on VMs and remote desktops.
+ * @param {Array<string>} order - Backend names in order of preference
+ * @returns {Promise<string>} Active backend name
+ */
+async function selectTfBackend(order) {
+  for (const name of order) {
+    try {
+      if (await tf.setBackend(name)) {
+        await tf.ready();
+        return name;
+      }
+    } catch (error) {
+      console.warn(`TensorFlow.js backend ${name} unavailable:`, error.message);
+    }
+  }
+
+  throw new Error(`No TensorFlow.js backend available (tried ${order.join(', ')})`);
+}
+
 /**
- * Initialize TensorFlow.js and load PoseNet model
+ * Initialize TensorFlow.js and load the selected pose backend
+ * @param {Object} backendInfo - Backend {id, config}
+ * @param {Object} assets - Bundled asset locations
+ * @param {Array<string>} tfBackends - Compute backends in fallback order
  */
-async function initialize() {
+async function initialize(backendInfo, assets, tfBackends) {
   try {
-    postMessage({ type: 'status', data: 'Loading AI model...' });
+    postMessage({ type: 'status', data: { message: 'Loading AI model...' } });
+
+    const models = await loadAssets(assets);
 
     // Set TensorFlow.js backend
-    await tf.setBackend('webgl');
-    await tf.ready();
-
-    // Load PoseNet model
-    model = await posenet.load({
-      architecture: 'MobileNetV1',
-      outputStride: 16,
-      inputResolution: { width: 257, height: 257 },
-      multiplier: 0.75,
-      quantBytes: 2
+    tfBackend = await selectTfBackend(tfBackends);
+    postMessage({
+      type: 'status',
+      data: { message: `Using ${tfBackend} backend`, tfBackend }
     });
 
+    // Load pose model
+    backend = createPoseBackend(backendInfo.id, backendInfo.config, models);
+    await backend.load();
+
     isInitialized = true;
-    postMessage({ type: 'ready', data: 'Model loaded successfully' });
-    
+    postMessage({ type: 'ready', data: `Model loaded successfully (${backendInfo.id} on ${tfBackend})` });
+
   } catch (error) {
-    postMessage({ 
-      type: 'error', 
-      data: { 
+    postMessage({
+      type: 'error',
+      data: {
+        code: 'MODEL_LOAD_FAILED',
         message: 'Failed to load AI model',
-        error: error.message 
-      } 
+        error: error.message
+      }
     });
   }
 }
 
 /**
  * Process a video frame and detect pose
- * @param {ImageData} imageData - Video frame
+ * Every frame is answered with pose_result, frame_dropped or error so the
+ * main thread can release its in-flight slot.
+ * @param {Object} frame - Downscaled frame {frameId, image, scaleX, scaleY}
+ * @param {number} frame.frameId - Id assigned by the main thread
+ * @param {ImageBitmap|ImageData} frame.image - Frame at model input size
+ * @param {number} frame.scaleX - Factor mapping frame x back to video x
+ * @param {number} frame.scaleY - Factor mapping frame y back to video y
  */
-async function processFrame(imageData) {
-  if (!isInitialized || !model || !detectionActive) {
+async function processFrame(frame) {
+  const { frameId, image, scaleX, scaleY } = frame;
+
+  if (!isInitialized || !backend || !detectionActive) {
+    if (image.close) image.close();
+    postMessage({ type: 'frame_dropped', data: { frameId } });
     return;
   }
 
   try {
-    // Convert ImageData to tensor
-    const imageTensor = tf.browser.fromPixels(imageData);
-    
-    // Estimate pose
-    const pose = await model.estimateSinglePose(imageTensor, {
-      flipHorizontal: true,
-      decodingMethod: 'single-person'
-    });
+    // Convert frame to tensor
+    const imageTensor = tf.browser.fromPixels(image);
+    if (image.close) image.close();
 
-    // Clean up tensor
-    imageTensor.dispose();
+    // Estimate pose
+    let pose;
+    try {
+      pose = await backend.estimate(imageTensor);
+    } finally {
+      // Clean up tensor
+      imageTensor.dispose();
+    }
 
-    // Filter keypoints by confidence
+    // Filter keypoints by confidence and map them back to video coordinates
     const confidenceThreshold = settings?.detection?.confidenceThreshold || 0.5;
-    const filteredKeypoints = pose.keypoints.filter(kp => kp.score >= confidenceThreshold);
+    const filteredKeypoints = scaleKeypoints(
+      pose.keypoints.filter(kp => kp.score >= confidenceThreshold),
+      scaleX,
+      scaleY
+    );
 
     // Send result back to main thread
     postMessage({
       type: 'pose_result',
       data: {
-        keypoints: filteredKeypoints.map(kp => ({
-          part: kp.part,
-          position: kp.position,
-          score: kp.score
-        })),
+        frameId,
+        keypoints: filteredKeypoints,
         score: pose.score,
         timestamp: Date.now()
       }
@@ -90,6 +241,7 @@ async function processFrame(imageData) {
     postMessage({
       type: 'error',
       data: {
+        frameId,
         message: 'Pose detection failed',
         error: error.message
       }
@@ -105,18 +257,18 @@ self.onmessage = async function(event) {
 
   switch (type) {
     case 'init':
-      settings = data;
-      await initialize();
+      settings = data.settings;
+      await initialize(data.backend, data.assets, data.tfBackends);
       break;
 
     case 'start_detection':
       detectionActive = true;
-      postMessage({ type: 'status', data: 'Detection started' });
+      postMessage({ type: 'status', data: { message: 'Detection started' } });
       break;
 
     case 'stop_detection':
       detectionActive = false;
-      postMessage({ type: 'status', data: 'Detection stopped' });
+      postMessage({ type: 'status', data: { message: 'Detection stopped' } });
       break;
 
     case 'update_settings':
@@ -0,0 +1,28 @@
+/**
+ * Web Worker that paces frame capture for the detection page
+ * Timers in a hidden or background tab are throttled to about once a
+ * second; timers in a worker are not, so the page captures on these ticks.
+ */
+
+/* eslint-env worker */
+
+let timer = null;
+
+/**
+ * Handle messages from main thread
+ */
+self.onmessage = function(event) {
+  const { type, data } = event.data;
+
+  if (type !== 'set_rate') {
+    return;
+  }
+
+  clearInterval(timer);
+  timer = null;
+
+  // A rate of 0 stops the clock
+  if (data.fps > 0) {
+    timer = setInterval(() => postMessage({ type: 'tick' }), 1000 / data.fps);
+  }
+};
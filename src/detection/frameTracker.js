@@ -0,0 +1,134 @@
+/**
+ * In-flight frame tracking for backpressure between DetectionManager and the worker
+ */
+
+/**
+ * FrameTracker allows a single frame to be outstanding at a time and
+ * measures the frame rate the worker actually sustains
+ */
+export class FrameTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - Sliding window for effective FPS
+   * @param {number} options.staleMs - Time after which an unanswered frame is abandoned
+   */
+  constructor({ windowMs = 5000, staleMs = 5000 } = {}) {
+    this.windowMs = windowMs;
+    this.staleMs = staleMs;
+    this.reset();
+  }
+
+  /**
+   * Reserve the pipeline for a new frame
+   * @param {number} now - Current timestamp
+   * @returns {number|null} Frame id, or null if the frame must be dropped
+   */
+  tryAcquire(now = Date.now()) {
+    if (this.inFlight) {
+      if (now - this.inFlight.startedAt < this.staleMs) {
+        this.droppedFrames++;
+        return null;
+      }
+
+      // Worker never answered; count the lost frame and move on
+      this.droppedFrames++;
+    }
+
+    if (this.firstFrameAt === null) {
+      this.firstFrameAt = now;
+    }
+
+    const id = this.nextId++;
+    this.inFlight = { id, startedAt: now };
+    return id;
+  }
+
+  /**
+   * Mark a frame as finished by the worker
+   * @param {number} frameId - Frame id returned by tryAcquire
+   * @param {number} now - Current timestamp
+   * @param {boolean} processed - False if the worker skipped or failed the frame
+   * @returns {boolean} Whether the id matched the in-flight frame
+   */
+  release(frameId, now = Date.now(), processed = true) {
+    if (!this.inFlight || this.inFlight.id !== frameId) {
+      return false;
+    }
+
+    const latency = now - this.inFlight.startedAt;
+    this.inFlight = null;
+
+    if (processed) {
+      this.processedFrames++;
+      this.completions.push(now);
+      this.lastLatency = latency;
+    } else {
+      this.droppedFrames++;
+    }
+
+    this.prune(now);
+    return true;
+  }
+
+  /**
+   * Abandon the in-flight frame without counting it (e.g. capture failed)
+   */
+  cancel() {
+    this.inFlight = null;
+  }
+
+  /**
+   * Whether a frame is currently outstanding
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.inFlight !== null;
+  }
+
+  /**
+   * Get frame pipeline statistics
+   * @param {number} targetFPS - Configured frame rate
+   * @param {number} now - Current timestamp
+   * @returns {Object} {targetFPS, effectiveFPS, processedFrames, droppedFrames, latencyMs}
+   */
+  getStats(targetFPS, now = Date.now()) {
+    this.prune(now);
+
+    const span = this.firstFrameAt === null ? 0 : Math.min(this.windowMs, now - this.firstFrameAt);
+    const effectiveFPS = span > 0 ? (this.completions.length * 1000) / span : 0;
+
+    return {
+      targetFPS,
+      effectiveFPS: Math.round(effectiveFPS * 10) / 10,
+      processedFrames: this.processedFrames,
+      droppedFrames: this.droppedFrames,
+      latencyMs: this.lastLatency
+    };
+  }
+
+  /**
+   * Drop completions that fell out of the FPS window
+   * @param {number} now - Current timestamp
+   */
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    while (this.completions.length > 0 && this.completions[0] <= cutoff) {
+      this.completions.shift();
+    }
+  }
+
+  /**
+   * Reset tracker state
+   */
+  reset() {
+    this.nextId = 1;
+    this.inFlight = null;
+    this.completions = [];
+    this.processedFrames = 0;
+    this.droppedFrames = 0;
+    this.lastLatency = null;
+    this.firstFrameAt = null;
+  }
+}
+
+export default FrameTracker;
@@ -2,8 +2,14 @@
  * Pose analysis and posture metrics calculation
  */
 
-import { calculateAngle, calculateDistance, normalizeValue, exponentialSmoothing } from '../utils/mathUtils.js';
-import { PostureStatus, ScoreThresholds, KeypointParts, SensitivityMultipliers } from '../utils/constants.js';
+import { calculateAngle, calculateDistance, normalizeValue, exponentialSmoothing, clamp } from '../utils/mathUtils.js';
+import {
+  PostureStatus, ScoreThresholds, KeypointParts, SensitivityMultipliers, DefaultThresholds
+} from '../utils/constants.js';
+
+// Metrics that are only measured when the keypoints or baseline they need
+// are available
+const OPTIONAL_METRICS = ['torsoLean', 'shoulderDrop', 'screenProximity', 'headRoll', 'headYaw'];
 
 /**
  * PoseAnalyzer class for analyzing pose data and determining posture quality
@@ -29,34 +35,12 @@ export class PoseAnalyzer {
    * @returns {Object|null} Posture analysis or null if insufficient data
    */
   analyzePose(pose) {
-    if (!pose || !pose.keypoints || pose.keypoints.length === 0) {
-      return null;
-    }
-
-    // Check minimum confidence
-    const confidenceThreshold = this.settings.detection?.confidenceThreshold || 0.5;
-    const avgConfidence = this.getAverageConfidence(pose.keypoints);
+    const metrics = this.measurePose(pose);
     
-    if (avgConfidence < confidenceThreshold) {
+    if (!metrics) {
       return null;
     }
 
-    // Extract keypoints
-    const keypoints = this.extractKeypoints(pose.keypoints);
-    
-    if (!this.hasRequiredKeypoints(keypoints)) {
-      return null;
-    }
-
-    // Calculate metrics
-    const metrics = {
-      headForwardAngle: this.calculateHeadForwardAngle(keypoints),
-      shoulderAsymmetry: this.calculateShoulderAsymmetry(keypoints),
-      neckAngle: this.calculateNeckAngle(keypoints),
-      confidence: avgConfidence,
-      timestamp: Date.now()
-    };
-
     // Apply calibration if available
     if (this.settings.calibration) {
       metrics.headForwardAngle = this.applyCalibration(
@@ -68,6 +52,20 @@ export class PoseAnalyzer {
         this.settings.calibration.shoulderAsymmetry
       );
     }
+    
+    // Roll and yaw are signed, so the deviation is taken after the baseline
+    // (a camera placed off to the side) is subtracted; unmeasured stays unmeasured
+    for (const metric of ['headRoll', 'headYaw']) {
+      if (typeof metrics[metric] === 'number') {
+        metrics[metric] = this.calculateHeadDeviation(metrics[metric], this.settings.calibration, metric);
+      }
+    }
+    
+    metrics.shoulderDrop = this.calculateShoulderDrop(
+      metrics.shoulderHeight,
+      this.settings.calibration?.shoulderHeight
+    );
+    metrics.screenProximity = this.calculateScreenProximity(metrics, this.settings.calibration);
 
     // Smooth metrics over time
     this.smoothedMetrics = this.smoothMetrics(metrics);
@@ -86,6 +84,57 @@ export class PoseAnalyzer {
     };
   }
 
+  /**
+   * Measure posture metrics from a pose, before calibration is applied
+   * @param {Object} pose - Pose data with keypoints
+   * @returns {Object|null} Metrics or null if insufficient data
+   */
+  measurePose(pose) {
+    if (!pose || !pose.keypoints || pose.keypoints.length === 0) {
+      return null;
+    }
+
+    // Check minimum confidence
+    const confidenceThreshold = this.settings.detection?.confidenceThreshold || 0.5;
+    const avgConfidence = this.getAverageConfidence(pose.keypoints);
+    
+    if (avgConfidence < confidenceThreshold) {
+      return null;
+    }
+
+    // Extract keypoints
+    const keypoints = this.extractKeypoints(pose.keypoints);
+    
+    if (!this.hasRequiredKeypoints(keypoints)) {
+      return null;
+    }
+
+    // Calculate metrics
+    const metrics = {
+      headForwardAngle: this.calculateHeadForwardAngle(keypoints),
+      shoulderAsymmetry: this.calculateShoulderAsymmetry(keypoints),
+      neckAngle: this.calculateNeckAngle(keypoints),
+      torsoLean: this.calculateTorsoLean(keypoints),
+      headRoll: this.calculateHeadRoll(keypoints),
+      headYaw: this.calculateHeadYaw(keypoints),
+      shoulderHeight: this.calculateShoulderHeight(keypoints, pose.height),
+      shoulderWidth: this.calculateSpan(
+        keypoints[KeypointParts.LEFT_SHOULDER],
+        keypoints[KeypointParts.RIGHT_SHOULDER],
+        pose.width
+      ),
+      eyeDistance: this.calculateSpan(
+        keypoints[KeypointParts.LEFT_EYE],
+        keypoints[KeypointParts.RIGHT_EYE],
+        pose.width
+      ),
+      confidence: avgConfidence,
+      timestamp: Date.now()
+    };
+
+    return metrics;
+  }
+
   /**
    * Extract keypoints into a more accessible format
    * @param {Array} keypoints - Raw keypoints array
@@ -227,6 +276,224 @@ export class PoseAnalyzer {
     return calculateAngle(shoulderMid, headPoint);
   }
 
+  /**
+   * Calculate torso lean from the hip midpoint to the shoulder midpoint
+   * @param {Object} keypoints - Extracted keypoints
+   * @returns {number|null} Angle from vertical in degrees, or null if the hips aren't visible
+   */
+  calculateTorsoLean(keypoints) {
+    const leftShoulder = keypoints[KeypointParts.LEFT_SHOULDER];
+    const rightShoulder = keypoints[KeypointParts.RIGHT_SHOULDER];
+    const leftHip = keypoints[KeypointParts.LEFT_HIP];
+    const rightHip = keypoints[KeypointParts.RIGHT_HIP];
+    
+    // Desk webcams often cut off at the chest
+    if (!leftShoulder || !rightShoulder || !(leftHip?.score > 0.3) || !(rightHip?.score > 0.3)) {
+      return null;
+    }
+
+    const horizontalDistance = Math.abs(
+      (leftShoulder.x + rightShoulder.x) / 2 - (leftHip.x + rightHip.x) / 2
+    );
+    const verticalDistance = Math.abs(
+      (leftHip.y + rightHip.y) / 2 - (leftShoulder.y + rightShoulder.y) / 2
+    );
+    
+    if (verticalDistance === 0) return null;
+    
+    return Math.atan(horizontalDistance / verticalDistance) * (180 / Math.PI);
+  }
+
+  /**
+   * Calculate sideways head tilt from the line between the eyes
+   * @param {Object} keypoints - Extracted keypoints
+   * @returns {number|null} Signed angle of the eye line from horizontal in
+   *   degrees (positive when the right eye is lower), or null if either eye
+   *   is missing
+   */
+  calculateHeadRoll(keypoints) {
+    const leftEye = keypoints[KeypointParts.LEFT_EYE];
+    const rightEye = keypoints[KeypointParts.RIGHT_EYE];
+    
+    if (!(leftEye?.score > 0.3) || !(rightEye?.score > 0.3)) {
+      return null;
+    }
+
+    const eyeWidth = Math.abs(rightEye.x - leftEye.x);
+    if (eyeWidth === 0) return null;
+    
+    return Math.atan((rightEye.y - leftEye.y) / eyeWidth) * (180 / Math.PI);
+  }
+
+  /**
+   * Estimate head rotation from how far the nose sits off the ear midpoint
+   * Facing the camera the nose is centered between the ears; turned a full
+   * 90 degrees it lines up with the near ear.
+   * @param {Object} keypoints - Extracted keypoints
+   * @returns {number|null} Signed rotation from facing the camera in degrees
+   *   (positive when the nose is toward the right ear), or null if an ear is
+   *   hidden
+   */
+  calculateHeadYaw(keypoints) {
+    const nose = keypoints[KeypointParts.NOSE];
+    const leftEar = keypoints[KeypointParts.LEFT_EAR];
+    const rightEar = keypoints[KeypointParts.RIGHT_EAR];
+    
+    if (!nose || !(leftEar?.score > 0.3) || !(rightEar?.score > 0.3)) {
+      return null;
+    }
+
+    const halfWidth = Math.abs(rightEar.x - leftEar.x) / 2;
+    if (halfWidth === 0) return null;
+    
+    const offset = clamp((nose.x - (leftEar.x + rightEar.x) / 2) / halfWidth, -1, 1);
+    return Math.asin(offset) * (180 / Math.PI);
+  }
+
+  /**
+   * Calculate how far down the frame the shoulder line sits
+   * @param {Object} keypoints - Extracted keypoints
+   * @param {number} frameHeight - Video height in pixels
+   * @returns {number|null} Shoulder midpoint height as a percentage of the frame (0 = top)
+   */
+  calculateShoulderHeight(keypoints, frameHeight) {
+    const leftShoulder = keypoints[KeypointParts.LEFT_SHOULDER];
+    const rightShoulder = keypoints[KeypointParts.RIGHT_SHOULDER];
+    
+    if (!leftShoulder || !rightShoulder || !frameHeight) return null;
+
+    return ((leftShoulder.y + rightShoulder.y) / 2 / frameHeight) * 100;
+  }
+
+  /**
+   * Calculate vertical collapse: how far the shoulder line has dropped
+   * below its calibrated height
+   * @param {number|null} shoulderHeight - Current shoulder height (% of frame)
+   * @param {number} baseline - Calibrated shoulder height (% of frame)
+   * @returns {number|null} Drop in % of frame height, or null without a baseline
+   */
+  calculateShoulderDrop(shoulderHeight, baseline) {
+    if (typeof shoulderHeight !== 'number' || typeof baseline !== 'number') {
+      return null;
+    }
+    
+    return Math.max(0, shoulderHeight - baseline);
+  }
+
+  /**
+   * Calculate the distance between a pair of keypoints relative to the frame
+   * @param {Object} left - Left keypoint
+   * @param {Object} right - Right keypoint
+   * @param {number} frameWidth - Video width in pixels
+   * @returns {number|null} Distance as a percentage of the frame width, or
+   *   null if either keypoint is missing or uncertain
+   */
+  calculateSpan(left, right, frameWidth) {
+    if (!(left?.score > 0.3) || !(right?.score > 0.3) || !frameWidth) return null;
+
+    return (calculateDistance(left, right) / frameWidth) * 100;
+  }
+
+  /**
+   * Estimate how much closer to the screen the user is than when calibrated
+   * Apparent size grows as distance shrinks, so distance relative to the
+   * baseline is baselineSpan / span. Interpupillary distance is preferred
+   * since shoulders also widen when they roll forward.
+   * @param {Object} metrics - Measured metrics with eyeDistance and shoulderWidth
+   * @param {Object} calibration - Calibrated baseline
+   * @returns {number|null} Percent closer (0 at or behind the baseline), or
+   *   null without a usable baseline
+   */
+  calculateScreenProximity(metrics, calibration) {
+    const pairs = [
+      [metrics.eyeDistance, calibration?.eyeDistance],
+      [metrics.shoulderWidth, calibration?.shoulderWidth]
+    ];
+    const pair = pairs.find(([span, baseline]) => span > 0 && baseline > 0);
+    
+    if (!pair) return null;
+
+    const [span, baseline] = pair;
+    return Math.max(0, (1 - baseline / span) * 100);
+  }
+
+  /**
+   * Lines the metrics are measured along, for drawing over the video
+   * @param {Object} pose - Pose data with keypoints
+   * @returns {Array<Object>} [{metric, from, to}] in video coordinates
+   */
+  getGuideLines(pose) {
+    const keypoints = this.extractKeypoints(pose?.keypoints || []);
+    const nose = keypoints[KeypointParts.NOSE];
+    const leftEye = keypoints[KeypointParts.LEFT_EYE];
+    const rightEye = keypoints[KeypointParts.RIGHT_EYE];
+    const leftEar = keypoints[KeypointParts.LEFT_EAR];
+    const rightEar = keypoints[KeypointParts.RIGHT_EAR];
+    const leftShoulder = keypoints[KeypointParts.LEFT_SHOULDER];
+    const rightShoulder = keypoints[KeypointParts.RIGHT_SHOULDER];
+    const leftHip = keypoints[KeypointParts.LEFT_HIP];
+    const rightHip = keypoints[KeypointParts.RIGHT_HIP];
+    
+    if (!leftShoulder || !rightShoulder) return [];
+
+    const point = ({ x, y }) => ({ x, y });
+    const shoulderMid = {
+      x: (leftShoulder.x + rightShoulder.x) / 2,
+      y: (leftShoulder.y + rightShoulder.y) / 2
+    };
+    const lines = [
+      { metric: 'shoulderAsymmetry', from: point(leftShoulder), to: point(rightShoulder) }
+    ];
+    
+    if (nose) {
+      lines.push({ metric: 'headForwardAngle', from: shoulderMid, to: point(nose) });
+    }
+    
+    // Same head point as calculateNeckAngle: ears when both are visible
+    const headPoint = leftEar && rightEar
+      ? { x: (leftEar.x + rightEar.x) / 2, y: (leftEar.y + rightEar.y) / 2 }
+      : nose && point(nose);
+    
+    if (headPoint) {
+      lines.push({ metric: 'neckAngle', from: shoulderMid, to: headPoint });
+    }
+    
+    if (this.calculateTorsoLean(keypoints) !== null) {
+      const hipMid = { x: (leftHip.x + rightHip.x) / 2, y: (leftHip.y + rightHip.y) / 2 };
+      lines.push({ metric: 'torsoLean', from: hipMid, to: shoulderMid });
+    }
+    
+    // The eye line also gives the eye distance screenProximity prefers
+    if (this.calculateHeadRoll(keypoints) !== null) {
+      lines.push({ metric: 'headRoll', from: point(leftEye), to: point(rightEye) });
+    }
+    
+    if (this.calculateHeadYaw(keypoints) !== null) {
+      const earMid = { x: (leftEar.x + rightEar.x) / 2, y: (leftEar.y + rightEar.y) / 2 };
+      lines.push({ metric: 'headYaw', from: earMid, to: point(nose) });
+    }
+    
+    return lines;
+  }
+
+  /**
+   * Turn a signed head angle into its deviation from the calibrated one
+   * @param {number} angle - Signed roll or yaw in degrees
+   * @param {Object|null} calibration - Calibrated baseline, if any
+   * @param {string} metric - 'headRoll' or 'headYaw'
+   * @returns {number|null} Unsigned deviation in degrees, or null when the
+   *   calibration has no baseline for it (saved before head tilt and rotation
+   *   were measured); it isn't scored until the user recalibrates
+   */
+  calculateHeadDeviation(angle, calibration, metric) {
+    if (!calibration) {
+      return Math.abs(angle);
+    }
+    
+    const baseline = calibration[metric];
+    return typeof baseline === 'number' ? Math.abs(angle - baseline) : null;
+  }
+
   /**
    * Apply calibration offset to metric
    * @param {number} value - Current metric value
@@ -268,11 +535,32 @@ export class PoseAnalyzer {
         this.smoothedMetrics.neckAngle,
         alpha
       ),
+      torsoLean: this.smoothOptional(metrics.torsoLean, this.smoothedMetrics.torsoLean, alpha),
+      shoulderDrop: this.smoothOptional(metrics.shoulderDrop, this.smoothedMetrics.shoulderDrop, alpha),
+      screenProximity: this.smoothOptional(metrics.screenProximity, this.smoothedMetrics.screenProximity, alpha),
+      headRoll: this.smoothOptional(metrics.headRoll, this.smoothedMetrics.headRoll, alpha),
+      headYaw: this.smoothOptional(metrics.headYaw, this.smoothedMetrics.headYaw, alpha),
       confidence: metrics.confidence,
       timestamp: metrics.timestamp
     };
   }
 
+  /**
+   * Smooth a metric that may be missing; restart from the new value when
+   * it reappears
+   * @param {number|null} value - Current value
+   * @param {number|null} previous - Previous smoothed value
+   * @param {number} alpha - Smoothing factor
+   * @returns {number|null} Smoothed value
+   */
+  smoothOptional(value, previous, alpha) {
+    if (typeof value !== 'number' || typeof previous !== 'number') {
+      return value ?? null;
+    }
+    
+    return exponentialSmoothing(value, previous, alpha);
+  }
+
   /**
    * Calculate overall posture score (0-100)
    * @param {Object} metrics - Posture metrics
@@ -282,10 +570,7 @@ export class PoseAnalyzer {
     const sensitivity = this.settings.sensitivity || 'medium';
     const multiplier = SensitivityMultipliers[sensitivity];
     
-    const thresholds = this.settings.thresholds || {
-      headForwardAngle: 15,
-      shoulderAsymmetry: 10
-    };
+    const thresholds = { ...DefaultThresholds, ...this.settings.thresholds };
 
     // Calculate individual scores (0-100, higher is better)
     const headScore = 100 - normalizeValue(
@@ -301,7 +586,22 @@ export class PoseAnalyzer {
     ) * 100;
 
     // Weighted average (head posture is more important)
-    const totalScore = (headScore * 0.6 + shoulderScore * 0.4);
+    const baseScore = (headScore * 0.6 + shoulderScore * 0.4);
+    
+    // Optional metrics join in when they could be measured; they can pull
+    // the score down but never prop it up
+    const extraScores = OPTIONAL_METRICS
+      .filter(metric => typeof metrics[metric] === 'number')
+      .map(metric => 100 - normalizeValue(
+        metrics[metric] * multiplier,
+        0,
+        thresholds[metric] * 2
+      ) * 100);
+    
+    // Each extra metric weighs 0.3 against the 1.0 of head and shoulders
+    const blendedScore = extraScores.reduce((sum, score) => sum + score * 0.3, baseScore) /
+      (1 + 0.3 * extraScores.length);
+    const totalScore = Math.min(baseScore, blendedScore);
     
     return Math.round(Math.max(0, Math.min(100, totalScore)));
   }
@@ -332,6 +632,7 @@ export class PoseAnalyzer {
     }
 
     const { metrics, status, score } = analysis;
+    const thresholds = { ...DefaultThresholds, ...this.settings.thresholds };
     const feedback = [];
 
     if (status === PostureStatus.GOOD) {
@@ -339,15 +640,38 @@ export class PoseAnalyzer {
     }
 
     // Head forward posture feedback
-    if (metrics.headForwardAngle > (this.settings.thresholds?.headForwardAngle || 15)) {
+    if (metrics.headForwardAngle > thresholds.headForwardAngle) {
       feedback.push('Your head is too far forward. Bring your ears in line with your shoulders.');
     }
 
     // Shoulder asymmetry feedback
-    if (metrics.shoulderAsymmetry > (this.settings.thresholds?.shoulderAsymmetry || 10)) {
+    if (metrics.shoulderAsymmetry > thresholds.shoulderAsymmetry) {
       feedback.push('Your shoulders are uneven. Try to level them and relax.');
     }
 
+    // Torso feedback
+    if (metrics.torsoLean > thresholds.torsoLean) {
+      feedback.push('Your torso is leaning. Sit back so your shoulders are over your hips.');
+    }
+
+    if (metrics.shoulderDrop > thresholds.shoulderDrop) {
+      feedback.push('You have slumped down in your chair. Sit up tall.');
+    }
+
+    // Screen distance feedback (only after calibration)
+    if (metrics.screenProximity > thresholds.screenProximity) {
+      feedback.push('You are too close to the screen. Sit back to your calibrated distance.');
+    }
+
+    // Head tilt and rotation feedback (e.g. cradling a phone, a side monitor)
+    if (metrics.headRoll > thresholds.headRoll) {
+      feedback.push('Your head is tilted to one side. Level your head and keep your phone off your shoulder.');
+    }
+
+    if (metrics.headYaw > thresholds.headYaw) {
+      feedback.push('Your head is turned to one side. Center the screen you use most in front of you.');
+    }
+
     // Neck angle feedback
     if (metrics.neckAngle > 20) {
       feedback.push('Your neck angle suggests slouching. Sit up straighter.');
@@ -0,0 +1,265 @@
+/**
+ * Pose backend adapters for the detection worker
+ * Each backend loads its model and normalizes its output to the
+ * {part, position, score} keypoint shape PoseAnalyzer expects.
+ *
+ * Loaded into the worker with importScripts, so this is a classic script
+ * rather than an ES module.
+ */
+
+/* eslint-env worker */
+/* global posenet, poseDetection, module */
+
+// BlazePose 33-landmark topology, in MediaPipe poseLandmarks order
+const BLAZEPOSE_LANDMARKS = [
+  'nose',
+  'leftEyeInner', 'leftEye', 'leftEyeOuter',
+  'rightEyeInner', 'rightEye', 'rightEyeOuter',
+  'leftEar', 'rightEar',
+  'mouthLeft', 'mouthRight',
+  'leftShoulder', 'rightShoulder',
+  'leftElbow', 'rightElbow',
+  'leftWrist', 'rightWrist',
+  'leftPinky', 'rightPinky',
+  'leftIndex', 'rightIndex',
+  'leftThumb', 'rightThumb',
+  'leftHip', 'rightHip',
+  'leftKnee', 'rightKnee',
+  'leftAnkle', 'rightAnkle',
+  'leftHeel', 'rightHeel',
+  'leftFootIndex', 'rightFootIndex'
+];
+
+/**
+ * Convert a pose-detection keypoint name to a PoseNet part name
+ * @param {string} name - Name such as "left_shoulder"
+ * @returns {string} Part name such as "leftShoulder"
+ */
+function toPartName(name) {
+  return name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Normalize named keypoints ({name, x, y, score}) from pose-detection models
+ * @param {Array} keypoints - Model keypoints
+ * @returns {Array} Keypoints as {part, position, score}
+ */
+function normalizeNamedKeypoints(keypoints) {
+  return (keypoints || [])
+    .filter(kp => kp && kp.name && typeof kp.x === 'number' && typeof kp.y === 'number')
+    .map(kp => ({
+      part: toPartName(kp.name),
+      position: { x: kp.x, y: kp.y },
+      score: kp.score ?? 0
+    }));
+}
+
+/**
+ * Normalize BlazePose landmarks
+ * Accepts both pose-detection keypoints ({name, x, y, score}, in pixels),
+ * mapped by name like the other backends, and MediaPipe poseLandmarks
+ * ({x, y, visibility}, normalized to 0-1), which carry no names and are
+ * mapped by their documented index in the 33-landmark topology.
+ * @param {Array} landmarks - Landmarks
+ * @param {Object} size - Image size used to scale normalized coordinates
+ * @returns {Array} Keypoints as {part, position, score}
+ */
+function normalizeLandmarks(landmarks, { width = 1, height = 1 } = {}) {
+  const keypoints = [];
+
+  (landmarks || []).forEach((landmark, index) => {
+    const part = landmark?.name ? toPartName(landmark.name) : BLAZEPOSE_LANDMARKS[index];
+
+    if (!BLAZEPOSE_LANDMARKS.includes(part) || !landmark || typeof landmark.x !== 'number' || typeof landmark.y !== 'number') {
+      return;
+    }
+
+    keypoints.push({
+      part,
+      position: { x: landmark.x * width, y: landmark.y * height },
+      score: landmark.visibility ?? landmark.score ?? 0
+    });
+  });
+
+  return keypoints;
+}
+
+/**
+ * Rescale keypoints from model input coordinates back to video coordinates
+ * @param {Array} keypoints - Keypoints as {part, position, score}
+ * @param {number} scaleX - Horizontal scale factor
+ * @param {number} scaleY - Vertical scale factor
+ * @returns {Array} Rescaled keypoints
+ */
+function scaleKeypoints(keypoints, scaleX = 1, scaleY = 1) {
+  if (scaleX === 1 && scaleY === 1) return keypoints;
+
+  return keypoints.map(kp => ({
+    ...kp,
+    position: { x: kp.position.x * scaleX, y: kp.position.y * scaleY }
+  }));
+}
+
+/**
+ * Average keypoint score, used when a model reports no pose score
+ * @param {Array} keypoints - Normalized keypoints
+ * @returns {number} Mean score
+ */
+function averageScore(keypoints) {
+  if (keypoints.length === 0) return 0;
+  return keypoints.reduce((sum, kp) => sum + kp.score, 0) / keypoints.length;
+}
+
+/**
+ * PoseNet (MobileNetV1) via @tensorflow-models/posenet
+ */
+class PoseNetBackend {
+  constructor(config, models) {
+    this.config = config;
+    this.models = models;
+    this.model = null;
+  }
+
+  async load() {
+    this.model = await posenet.load({
+      architecture: this.config.architecture,
+      outputStride: this.config.outputStride,
+      inputResolution: this.config.inputResolution,
+      multiplier: this.config.multiplier,
+      quantBytes: this.config.quantBytes,
+      modelUrl: this.models.model
+    });
+  }
+
+  async estimate(image) {
+    const pose = await this.model.estimateSinglePose(image, {
+      flipHorizontal: true
+    });
+
+    return {
+      keypoints: pose.keypoints.map(kp => ({
+        part: kp.part,
+        position: kp.position,
+        score: kp.score
+      })),
+      score: pose.score
+    };
+  }
+
+  dispose() {
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+  }
+}
+
+/**
+ * MoveNet Lightning/Thunder via @tensorflow-models/pose-detection
+ */
+class MoveNetBackend {
+  constructor(config, models) {
+    this.config = config;
+    this.models = models;
+    this.detector = null;
+  }
+
+  async load() {
+    this.detector = await poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+      modelType: this.config.modelType,
+      modelUrl: this.models.model,
+      enableSmoothing: false
+    });
+  }
+
+  async estimate(image) {
+    const [pose] = await this.detector.estimatePoses(image, { flipHorizontal: true });
+    const keypoints = normalizeNamedKeypoints(pose?.keypoints);
+
+    return {
+      keypoints,
+      score: pose?.score ?? averageScore(keypoints)
+    };
+  }
+
+  dispose() {
+    if (this.detector) {
+      this.detector.dispose();
+      this.detector = null;
+    }
+  }
+}
+
+/**
+ * BlazePose (tfjs runtime) via @tensorflow-models/pose-detection
+ */
+class BlazePoseBackend {
+  constructor(config, models) {
+    this.config = config;
+    this.models = models;
+    this.detector = null;
+  }
+
+  async load() {
+    this.detector = await poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+      runtime: 'tfjs',
+      modelType: this.config.modelType,
+      detectorModelUrl: this.models.detector,
+      landmarkModelUrl: this.models.landmark,
+      enableSmoothing: false
+    });
+  }
+
+  async estimate(image) {
+    const [pose] = await this.detector.estimatePoses(image, { flipHorizontal: true });
+    const keypoints = normalizeLandmarks(pose?.keypoints);
+
+    return {
+      keypoints,
+      score: pose?.score ?? averageScore(keypoints)
+    };
+  }
+
+  dispose() {
+    if (this.detector) {
+      this.detector.dispose();
+      this.detector = null;
+    }
+  }
+}
+
+// Backend implementations keyed by PoseBackend id
+const POSE_BACKENDS = {
+  'posenet': PoseNetBackend,
+  'movenet-lightning': MoveNetBackend,
+  'movenet-thunder': MoveNetBackend,
+  'blazepose': BlazePoseBackend
+};
+
+/**
+ * Create a pose backend adapter
+ * @param {string} id - PoseBackend id
+ * @param {Object} config - Backend model configuration
+ * @param {Object} models - Resolved model URLs
+ * @returns {Object} Backend with load(), estimate(image) and dispose()
+ */
+function createPoseBackend(id, config, models) {
+  const Backend = POSE_BACKENDS[id];
+
+  if (!Backend) {
+    throw new Error(`Unknown pose backend: ${id}`);
+  }
+
+  return new Backend(config, models);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BLAZEPOSE_LANDMARKS,
+    toPartName,
+    normalizeNamedKeypoints,
+    normalizeLandmarks,
+    scaleKeypoints,
+    createPoseBackend
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Away-from-desk detection
+ */
+
+import { Presence } from '../utils/constants.js';
+
+/**
+ * PresenceTracker decides the user is away once no usable pose has been
+ * seen for a whole window, and back as soon as one is seen again
+ */
+export class PresenceTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.absentAfter - ms without a pose before the user is away
+   */
+  constructor({ absentAfter = Presence.ABSENT_AFTER } = {}) {
+    this.absentAfter = absentAfter;
+    this.reset();
+  }
+
+  /**
+   * Start a new window, treating the user as present
+   * @param {number} now - Current timestamp
+   */
+  reset(now = Date.now()) {
+    this.present = true;
+    this.lastSeenAt = now;
+  }
+
+  /**
+   * Feed the outcome of one frame
+   * @param {boolean} detected - Whether the frame had a usable pose
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} {present, since} when presence changed, otherwise null
+   */
+  update(detected, now = Date.now()) {
+    if (detected) {
+      this.lastSeenAt = now;
+
+      if (!this.present) {
+        this.present = true;
+        return { present: true, since: now };
+      }
+      return null;
+    }
+
+    if (this.present && now - this.lastSeenAt >= this.absentAfter) {
+      this.present = false;
+      return { present: false, since: this.lastSeenAt };
+    }
+
+    return null;
+  }
+}
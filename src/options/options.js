@@ -3,6 +3,11 @@
  */
 
 import { getDefaultSettings, validateSettings } from '../utils/validators.js';
+import { listCameras } from '../utils/camera.js';
+import { sendMessage } from '../utils/protocol.js';
+import { formatRanges, parseRanges } from '../utils/schedule.js';
+import { RuntimeMessage, DefaultThresholds } from '../utils/constants.js';
+import { PosePreview } from './posePreview.js';
 
 class OptionsController {
   constructor() {
@@ -16,14 +21,25 @@ class OptionsController {
   initElements() {
     // Sensitivity
     this.sensitivityInputs = document.querySelectorAll('input[name="sensitivity"]');
+    this.poseBackendInput = document.getElementById('poseBackend');
+    this.fpsModeInput = document.getElementById('fpsMode');
     this.fpsInput = document.getElementById('fps');
     this.fpsValue = document.getElementById('fpsValue');
     this.confidenceInput = document.getElementById('confidence');
     this.confidenceValue = document.getElementById('confidenceValue');
     
+    // Camera
+    this.cameraDeviceInput = document.getElementById('cameraDevice');
+    this.cameraResolutionInput = document.getElementById('cameraResolution');
+    
     // Thresholds
     this.headForwardAngleInput = document.getElementById('headForwardAngle');
     this.shoulderAsymmetryInput = document.getElementById('shoulderAsymmetry');
+    this.torsoLeanInput = document.getElementById('torsoLean');
+    this.shoulderDropInput = document.getElementById('shoulderDrop');
+    this.screenProximityInput = document.getElementById('screenProximity');
+    this.headRollInput = document.getElementById('headRoll');
+    this.headYawInput = document.getElementById('headYaw');
     this.poorPostureDurationInput = document.getElementById('poorPostureDuration');
     
     // Alerts
@@ -31,16 +47,35 @@ class OptionsController {
     this.cooldownInput = document.getElementById('cooldown');
     this.soundEnabledInput = document.getElementById('soundEnabled');
     
+    // Working hours
+    this.scheduleEnabledInput = document.getElementById('scheduleEnabled');
+    this.scheduleDayInputs = document.querySelectorAll('input[data-day]');
+    
+    // Quiet hours
+    this.quietDayInputs = document.querySelectorAll('input[data-quiet-day]');
+    this.quietFullscreenInput = document.getElementById('quietFullscreen');
+    
     // Actions
     this.saveBtn = document.getElementById('saveBtn');
     this.resetBtn = document.getElementById('resetBtn');
     this.clearDataBtn = document.getElementById('clearDataBtn');
     this.calibrateBtn = document.getElementById('calibrateBtn');
     this.resetCalibrationBtn = document.getElementById('resetCalibrationBtn');
+    this.previewBtn = document.getElementById('previewBtn');
+    
+    // Camera preview
+    this.previewPanel = document.getElementById('previewPanel');
+    this.preview = new PosePreview({
+      video: document.getElementById('previewVideo'),
+      canvas: document.getElementById('previewCanvas'),
+      score: document.getElementById('previewScore'),
+      keypoints: document.getElementById('previewKeypoints')
+    });
     
     // Status
     this.saveStatus = document.getElementById('saveStatus');
     this.calibrationStatus = document.getElementById('calibrationStatus');
+    this.calibrationSummary = document.getElementById('calibrationSummary');
   }
 
   attachListeners() {
@@ -59,12 +94,13 @@ class OptionsController {
     this.clearDataBtn.addEventListener('click', () => this.clearData());
     this.calibrateBtn.addEventListener('click', () => this.startCalibration());
     this.resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
+    this.previewBtn.addEventListener('click', () => this.togglePreview());
   }
 
   async loadSettings() {
     try {
-      const response = await browser.runtime.sendMessage({ type: 'get_settings' });
-      this.settings = response || getDefaultSettings();
+      const settings = await sendMessage(RuntimeMessage.GET_SETTINGS);
+      this.settings = settings || getDefaultSettings();
       this.populateForm();
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -82,21 +118,87 @@ class OptionsController {
     });
     
     // Detection settings
+    this.poseBackendInput.value = this.settings.detection?.backend || 'posenet';
+    
+    this.fpsModeInput.value = this.settings.detection?.fpsMode || 'fixed';
     this.fpsInput.value = this.settings.detection?.fps || 5;
     this.fpsValue.textContent = this.fpsInput.value;
     
     this.confidenceInput.value = this.settings.detection?.confidenceThreshold || 0.5;
     this.confidenceValue.textContent = parseFloat(this.confidenceInput.value).toFixed(1);
     
+    // Camera
+    this.populateCameras();
+    this.cameraResolutionInput.value = this.settings.camera?.resolution || 'medium';
+    
     // Thresholds
-    this.headForwardAngleInput.value = this.settings.thresholds?.headForwardAngle || 15;
-    this.shoulderAsymmetryInput.value = this.settings.thresholds?.shoulderAsymmetry || 10;
-    this.poorPostureDurationInput.value = this.settings.thresholds?.poorPostureDuration || 30;
+    this.headForwardAngleInput.value = this.settings.thresholds?.headForwardAngle || DefaultThresholds.headForwardAngle;
+    this.shoulderAsymmetryInput.value = this.settings.thresholds?.shoulderAsymmetry || DefaultThresholds.shoulderAsymmetry;
+    this.torsoLeanInput.value = this.settings.thresholds?.torsoLean || DefaultThresholds.torsoLean;
+    this.shoulderDropInput.value = this.settings.thresholds?.shoulderDrop || DefaultThresholds.shoulderDrop;
+    this.screenProximityInput.value = this.settings.thresholds?.screenProximity || DefaultThresholds.screenProximity;
+    this.headRollInput.value = this.settings.thresholds?.headRoll || DefaultThresholds.headRoll;
+    this.headYawInput.value = this.settings.thresholds?.headYaw || DefaultThresholds.headYaw;
+    this.poorPostureDurationInput.value = this.settings.thresholds?.poorPostureDuration || DefaultThresholds.poorPostureDuration;
     
     // Alerts
     this.alertsEnabledInput.checked = this.settings.alerts?.enabled ?? true;
     this.cooldownInput.value = this.settings.alerts?.cooldown || 300;
     this.soundEnabledInput.checked = this.settings.alerts?.sound || false;
+    
+    // Working hours
+    const schedule = this.settings.schedule || getDefaultSettings().schedule;
+    this.scheduleEnabledInput.checked = schedule.enabled;
+    this.scheduleDayInputs.forEach(input => {
+      input.value = formatRanges(schedule.days[Number(input.dataset.day)]);
+    });
+    
+    // Quiet hours
+    const quietHours = this.settings.quietHours || getDefaultSettings().quietHours;
+    this.quietDayInputs.forEach(input => {
+      input.value = formatRanges(quietHours.days[Number(input.dataset.quietDay)]);
+    });
+    this.quietFullscreenInput.checked = quietHours.fullscreen;
+    
+    this.updateCalibrationSummary();
+  }
+
+  updateCalibrationSummary() {
+    const calibration = this.settings.calibration;
+    
+    if (!calibration) {
+      this.calibrationSummary.textContent = 'Not calibrated';
+      return;
+    }
+    
+    const when = calibration.timestamp ? ` on ${new Date(calibration.timestamp).toLocaleString()}` : '';
+    this.calibrationSummary.textContent = `Calibrated${when}: ` +
+      `head ${calibration.headForwardAngle.toFixed(1)}°, shoulders ${calibration.shoulderAsymmetry.toFixed(1)}°`;
+  }
+
+  /**
+   * Fill the camera list, keeping the saved device selectable even when unplugged
+   */
+  async populateCameras() {
+    const savedId = this.settings.camera?.deviceId || '';
+    let cameras = [];
+    
+    try {
+      cameras = await listCameras();
+    } catch (error) {
+      console.error('Error listing cameras:', error);
+    }
+    
+    if (savedId && !cameras.some(camera => camera.deviceId === savedId)) {
+      cameras.push({ deviceId: savedId, label: 'Saved camera (not connected)' });
+    }
+    
+    this.cameraDeviceInput.replaceChildren(new Option('Default camera', ''));
+    cameras.forEach(camera => {
+      this.cameraDeviceInput.appendChild(new Option(camera.label, camera.deviceId));
+    });
+    
+    this.cameraDeviceInput.value = savedId;
   }
 
   getFormData() {
@@ -112,11 +214,22 @@ class OptionsController {
       sensitivity,
       detection: {
         fps: parseInt(this.fpsInput.value),
-        confidenceThreshold: parseFloat(this.confidenceInput.value)
+        fpsMode: this.fpsModeInput.value,
+        confidenceThreshold: parseFloat(this.confidenceInput.value),
+        backend: this.poseBackendInput.value
+      },
+      camera: {
+        deviceId: this.cameraDeviceInput.value || null,
+        resolution: this.cameraResolutionInput.value
       },
       thresholds: {
         headForwardAngle: parseInt(this.headForwardAngleInput.value),
         shoulderAsymmetry: parseInt(this.shoulderAsymmetryInput.value),
+        torsoLean: parseInt(this.torsoLeanInput.value),
+        shoulderDrop: parseInt(this.shoulderDropInput.value),
+        screenProximity: parseInt(this.screenProximityInput.value),
+        headRoll: parseInt(this.headRollInput.value),
+        headYaw: parseInt(this.headYawInput.value),
         poorPostureDuration: parseInt(this.poorPostureDurationInput.value)
       },
       alerts: {
@@ -124,10 +237,36 @@ class OptionsController {
         cooldown: parseInt(this.cooldownInput.value),
         sound: this.soundEnabledInput.checked
       },
+      schedule: this.getScheduleFormData(),
+      quietHours: {
+        days: this.getDayRanges(this.quietDayInputs, 'quietDay'),
+        fullscreen: this.quietFullscreenInput.checked
+      },
       calibration: this.settings.calibration
     };
   }
 
+  getScheduleFormData() {
+    return {
+      enabled: this.scheduleEnabledInput.checked,
+      days: this.getDayRanges(this.scheduleDayInputs, 'day')
+    };
+  }
+
+  /**
+   * Read per-weekday ranges from inputs tagged with a weekday data attribute
+   * @param {NodeList} inputs - Text inputs
+   * @param {string} key - dataset key holding the Date.getDay() index
+   * @returns {Array<Array<Object>>} Seven lists of {start, end}
+   */
+  getDayRanges(inputs, key) {
+    const days = Array.from({ length: 7 }, () => []);
+    inputs.forEach(input => {
+      days[Number(input.dataset[key])] = parseRanges(input.value);
+    });
+    return days;
+  }
+
   async saveSettings() {
     try {
       this.saveBtn.disabled = true;
@@ -142,17 +281,9 @@ class OptionsController {
       }
       
       // Save
-      const response = await browser.runtime.sendMessage({
-        type: 'update_settings',
-        data: newSettings
-      });
-      
-      if (response.success) {
-        this.settings = response.settings;
-        this.showStatus('success', 'Settings saved successfully!');
-      } else {
-        this.showStatus('error', 'Failed to save settings');
-      }
+      const { settings } = await sendMessage(RuntimeMessage.UPDATE_SETTINGS, newSettings);
+      this.settings = settings;
+      this.showStatus('success', 'Settings saved successfully!');
       
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -170,16 +301,10 @@ class OptionsController {
     try {
       const defaults = getDefaultSettings();
       
-      const response = await browser.runtime.sendMessage({
-        type: 'update_settings',
-        data: defaults
-      });
-      
-      if (response.success) {
-        this.settings = response.settings;
-        this.populateForm();
-        this.showStatus('success', 'Settings reset to defaults');
-      }
+      const { settings } = await sendMessage(RuntimeMessage.UPDATE_SETTINGS, defaults);
+      this.settings = settings;
+      this.populateForm();
+      this.showStatus('success', 'Settings reset to defaults');
       
     } catch (error) {
       console.error('Error resetting settings:', error);
@@ -206,7 +331,7 @@ class OptionsController {
       this.calibrateBtn.disabled = true;
       
       // Check if monitoring is active
-      const status = await browser.runtime.sendMessage({ type: 'get_status' });
+      const status = await sendMessage(RuntimeMessage.GET_STATUS);
       
       if (!status.isMonitoring) {
         this.showCalibrationStatus('error', 'Please start monitoring first');
@@ -214,21 +339,15 @@ class OptionsController {
         return;
       }
       
-      this.showCalibrationStatus('info', 'Sit in your best posture... Calibrating in 3 seconds...');
+      this.showCalibrationStatus('info', 'Sit in your best posture and hold still...');
       
-      // Wait 3 seconds for user to position themselves
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      // Resolves once the detection page has sampled a steady baseline
+      const { calibration } = await sendMessage(RuntimeMessage.CALIBRATE);
+      this.settings = { ...this.settings, calibration };
+      this.updateCalibrationSummary();
       
-      // Request current posture metrics as baseline
-      // This would need to be implemented in background script
-      // For now, we'll show a placeholder message
       this.showCalibrationStatus('success', 'Calibration complete! Your current posture is now the baseline.');
       
-      // In a real implementation, we would:
-      // 1. Get current posture metrics from detection
-      // 2. Save them as calibration baseline
-      // 3. Update settings
-      
     } catch (error) {
       console.error('Error during calibration:', error);
       this.showCalibrationStatus('error', error.message);
@@ -237,6 +356,18 @@ class OptionsController {
     }
   }
 
+  togglePreview() {
+    const show = this.previewPanel.hidden;
+    this.previewPanel.hidden = !show;
+    this.previewBtn.textContent = show ? 'Hide Camera Preview' : 'Show Camera Preview';
+    
+    if (show) {
+      this.preview.start(this.settings.camera);
+    } else {
+      this.preview.stop();
+    }
+  }
+
   async resetCalibration() {
     try {
       const newSettings = {
@@ -244,15 +375,10 @@ class OptionsController {
         calibration: null
       };
       
-      const response = await browser.runtime.sendMessage({
-        type: 'update_settings',
-        data: newSettings
-      });
-      
-      if (response.success) {
-        this.settings = response.settings;
-        this.showCalibrationStatus('success', 'Calibration reset');
-      }
+      const { settings } = await sendMessage(RuntimeMessage.UPDATE_SETTINGS, newSettings);
+      this.settings = settings;
+      this.updateCalibrationSummary();
+      this.showCalibrationStatus('success', 'Calibration reset');
       
     } catch (error) {
       console.error('Error resetting calibration:', error);
@@ -275,7 +401,9 @@ class OptionsController {
     this.calibrationStatus.className = `status-message ${type}`;
     this.calibrationStatus.style.display = 'block';
     
-    setTimeout(() => {
+    // Don't let an earlier message's timer hide this one early
+    clearTimeout(this.calibrationStatusTimer);
+    this.calibrationStatusTimer = setTimeout(() => {
       this.calibrationStatus.style.display = 'none';
     }, 5000);
   }
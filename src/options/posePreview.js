@@ -0,0 +1,187 @@
+/**
+ * Live camera preview with the detected skeleton drawn over it
+ * The video is opened locally in this page; only keypoints and scores
+ * come from the detection page, relayed by the background.
+ */
+
+import { getVideoConstraints } from '../utils/camera.js';
+import { KeypointParts, PortNames, PostureStatus } from '../utils/constants.js';
+
+// Keypoints the posture metrics are measured from, in list order
+const TRACKED_PARTS = Object.freeze([
+  { part: KeypointParts.NOSE, label: 'Nose' },
+  { part: KeypointParts.LEFT_EYE, label: 'Left eye' },
+  { part: KeypointParts.RIGHT_EYE, label: 'Right eye' },
+  { part: KeypointParts.LEFT_EAR, label: 'Left ear' },
+  { part: KeypointParts.RIGHT_EAR, label: 'Right ear' },
+  { part: KeypointParts.LEFT_SHOULDER, label: 'Left shoulder' },
+  { part: KeypointParts.RIGHT_SHOULDER, label: 'Right shoulder' },
+  { part: KeypointParts.LEFT_HIP, label: 'Left hip' },
+  { part: KeypointParts.RIGHT_HIP, label: 'Right hip' }
+]);
+
+// Overlay line color for each metric (matches PoseAnalyzer.getGuideLines and
+// the legend in options.html)
+const GUIDE_COLORS = Object.freeze({
+  headForwardAngle: '#f59e0b',
+  shoulderAsymmetry: '#4f46e5',
+  neckAngle: '#10b981',
+  torsoLean: '#ef4444',
+  headRoll: '#06b6d4',
+  headYaw: '#ec4899'
+});
+
+const STATUS_TEXTS = Object.freeze({
+  [PostureStatus.GOOD]: 'Good',
+  [PostureStatus.WARNING]: 'Fair',
+  [PostureStatus.POOR]: 'Poor'
+});
+
+export class PosePreview {
+  /**
+   * @param {Object} elements - {video, canvas, score, keypoints}: keypoints is a list element
+   */
+  constructor({ video, canvas, score, keypoints }) {
+    this.video = video;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.scoreText = score;
+    this.keypointList = keypoints;
+    this.port = null;
+    this.stream = null;
+    this.cameraId = undefined;
+    this.camera = null;
+  }
+
+  /**
+   * Start receiving pose results
+   * @param {Object} camera - Camera settings {deviceId, resolution}, used until
+   *   detection reports the camera it actually opened
+   */
+  start(camera) {
+    if (this.port) {
+      return;
+    }
+
+    this.camera = camera;
+    this.scoreText.textContent = 'Waiting for detection... Start monitoring to see your pose.';
+    this.renderKeypoints([]);
+
+    this.port = browser.runtime.connect({ name: PortNames.POSE_PREVIEW });
+    this.port.onMessage.addListener(frame => this.handleFrame(frame));
+  }
+
+  stop() {
+    if (this.port) {
+      this.port.disconnect();
+      this.port = null;
+    }
+
+    this.cameraId = undefined;
+    this.closeCamera();
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * @param {Object} frame - POSE_PREVIEW data from the detection page
+   */
+  handleFrame(frame) {
+    // Reopen only when detection switches cameras, not after a failure
+    if (frame.cameraId !== this.cameraId) {
+      this.cameraId = frame.cameraId;
+      this.openCamera().catch(error => {
+        console.error('Error opening preview camera:', error);
+      });
+    }
+
+    this.scoreText.textContent = frame.score === null
+      ? 'No usable pose. Make sure your head and shoulders are in view.'
+      : `Score ${frame.score}/100 (${STATUS_TEXTS[frame.status] || frame.status})`;
+
+    this.renderKeypoints(frame.keypoints);
+    this.draw(frame);
+  }
+
+  /**
+   * Open the same camera detection is using, with the same constraints so
+   * the overlay lines up with the video
+   */
+  async openCamera() {
+    const cameraId = this.cameraId;
+    this.closeCamera();
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: getVideoConstraints({ ...this.camera, deviceId: cameraId || this.camera?.deviceId }),
+      audio: false
+    });
+
+    // Stopped, or switched cameras, while the camera was opening
+    if (!this.port || this.cameraId !== cameraId) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    this.stream = stream;
+    this.video.srcObject = stream;
+    await this.video.play();
+  }
+
+  closeCamera() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    this.video.srcObject = null;
+  }
+
+  /**
+   * Draw keypoints and metric lines, scaled from detection video coordinates
+   * @param {Object} frame - {width, height, keypoints, guides}
+   */
+  draw({ width, height, keypoints, guides }) {
+    const { clientWidth, clientHeight } = this.video;
+    this.canvas.width = clientWidth;
+    this.canvas.height = clientHeight;
+    this.ctx.clearRect(0, 0, clientWidth, clientHeight);
+
+    if (!width || !height) {
+      return;
+    }
+
+    const scaleX = clientWidth / width;
+    const scaleY = clientHeight / height;
+
+    this.ctx.lineWidth = 3;
+    for (const { metric, from, to } of guides) {
+      this.ctx.strokeStyle = GUIDE_COLORS[metric] || '#ffffff';
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x * scaleX, from.y * scaleY);
+      this.ctx.lineTo(to.x * scaleX, to.y * scaleY);
+      this.ctx.stroke();
+    }
+
+    for (const { x, y, score } of keypoints) {
+      // Fainter dots for less certain keypoints
+      this.ctx.fillStyle = `rgba(255, 255, 255, ${Math.max(0.3, score)})`;
+      this.ctx.beginPath();
+      this.ctx.arc(x * scaleX, y * scaleY, 5, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * List confidence for the keypoints the metrics depend on
+   * @param {Array<Object>} keypoints - [{part, score}]
+   */
+  renderKeypoints(keypoints) {
+    const scores = new Map(keypoints.map(kp => [kp.part, kp.score]));
+
+    this.keypointList.replaceChildren(...TRACKED_PARTS.map(({ part, label }) => {
+      const item = document.createElement('li');
+      const score = scores.get(part);
+      item.textContent = `${label}: ${score === undefined ? 'not found' : `${Math.round(score * 100)}%`}`;
+      item.classList.toggle('missing', score === undefined);
+      return item;
+    }));
+  }
+}
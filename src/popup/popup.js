@@ -2,19 +2,46 @@
  * Popup UI controller
  */
 
-import { PostureStatus } from '../utils/constants.js';
+import { PostureStatus, DetectionState, PauseReason, SnoozePreset, RuntimeMessage, ResponseCode } from '../utils/constants.js';
+import { sendMessage } from '../utils/protocol.js';
+import { isWithinSchedule } from '../utils/schedule.js';
+
+// Status text for lifecycle states without a posture reading yet
+const DetectionStateTexts = Object.freeze({
+  [DetectionState.ACQUIRING_CAMERA]: 'Waiting for camera permission…',
+  [DetectionState.LOADING_MODEL]: 'Loading AI model…',
+  [DetectionState.WARMING_UP]: 'Warming up…',
+  [DetectionState.PAUSED]: 'Paused',
+  [DetectionState.ERROR]: 'Detection unavailable',
+  [DetectionState.STOPPING]: 'Stopping…'
+});
+
+// Status text while a session is paused, by PauseReason
+const PauseReasonTexts = Object.freeze({
+  [PauseReason.USER]: 'Paused',
+  [PauseReason.IDLE]: 'Paused while you are idle',
+  [PauseReason.LOCKED]: 'Paused while the screen is locked'
+});
 
 class PopupController {
   constructor() {
     this.isMonitoring = false;
+    this.isPaused = false;
     this.currentStatus = null;
+    this.settings = null;
+    this.snoozedUntil = null;
     this.updateInterval = null;
     
     this.initElements();
     this.attachListeners();
-    this.loadStatus();
+    this.loadStatus().then(() => {
+      // Opened from an alert where notifications have no snooze buttons
+      if (new URLSearchParams(window.location.search).has('snooze') && this.snoozeBtn.style.display !== 'none') {
+        this.snoozeMenu.hidden = false;
+      }
+    });
     
-    // Auto-refresh every 500ms when monitoring
+    // Auto-refresh every 500ms when monitoring or snoozed
     this.startAutoRefresh();
   }
 
@@ -28,18 +55,40 @@ class PopupController {
     this.scoreLabel = document.getElementById('scoreLabel');
     this.toggleBtn = document.getElementById('toggleBtn');
     this.toggleBtnText = document.getElementById('toggleBtnText');
+    this.pauseBtn = document.getElementById('pauseBtn');
+    this.pauseBtnText = document.getElementById('pauseBtnText');
     this.snoozeBtn = document.getElementById('snoozeBtn');
+    this.snoozeMenu = document.getElementById('snoozeMenu');
+    this.snoozePresetBtns = this.snoozeMenu.querySelectorAll('[data-preset]');
+    this.snoozeBanner = document.getElementById('snoozeBanner');
+    this.snoozeText = document.getElementById('snoozeText');
+    this.cancelSnoozeBtn = document.getElementById('cancelSnoozeBtn');
     this.statsSection = document.getElementById('statsSection');
     this.sessionDuration = document.getElementById('sessionDuration');
     this.goodTime = document.getElementById('goodTime');
     this.alertCount = document.getElementById('alertCount');
+    this.engineInfo = document.getElementById('engineInfo');
+    this.errorBanner = document.getElementById('errorBanner');
+    this.errorTitle = document.getElementById('errorTitle');
+    this.errorMessage = document.getElementById('errorMessage');
+    this.errorRetryBtn = document.getElementById('errorRetryBtn');
+    this.errorDismissBtn = document.getElementById('errorDismissBtn');
     this.settingsLink = document.getElementById('settingsLink');
     this.helpLink = document.getElementById('helpLink');
   }
 
   attachListeners() {
     this.toggleBtn.addEventListener('click', () => this.handleToggle());
-    this.snoozeBtn.addEventListener('click', () => this.handleSnooze());
+    this.pauseBtn.addEventListener('click', () => this.handlePauseToggle());
+    this.snoozeBtn.addEventListener('click', () => {
+      this.snoozeMenu.hidden = !this.snoozeMenu.hidden;
+    });
+    this.snoozePresetBtns.forEach(button => {
+      button.addEventListener('click', () => this.handleSnooze(button.dataset.preset));
+    });
+    this.cancelSnoozeBtn.addEventListener('click', () => this.handleCancelSnooze());
+    this.errorRetryBtn.addEventListener('click', () => this.handleRetry());
+    this.errorDismissBtn.addEventListener('click', () => this.handleDismissError());
     this.settingsLink.addEventListener('click', (e) => {
       e.preventDefault();
       browser.runtime.openOptionsPage();
@@ -52,16 +101,21 @@ class PopupController {
 
   async loadStatus() {
     try {
-      const status = await browser.runtime.sendMessage({ type: 'get_status' });
+      const status = await sendMessage(RuntimeMessage.GET_STATUS);
       this.updateUI(status);
     } catch (error) {
       console.error('Error loading status:', error);
+      
+      if (error.code === ResponseCode.VERSION_MISMATCH) {
+        this.showVersionMismatch(error);
+      }
     }
   }
 
   startAutoRefresh() {
     this.updateInterval = setInterval(async () => {
-      if (this.isMonitoring) {
+      // The snooze countdown runs whether or not monitoring is on
+      if (this.isMonitoring || this.snoozedUntil > Date.now()) {
         await this.loadStatus();
       }
     }, 500);
@@ -69,21 +123,27 @@ class PopupController {
 
   updateUI(status) {
     this.isMonitoring = status.isMonitoring;
+    this.isPaused = Boolean(status.isPaused);
     this.currentStatus = status.sessionStats?.lastStatus || PostureStatus.UNKNOWN;
+    this.settings = status.currentSettings || null;
+    
+    this.updateErrorBanner(status.lastError);
+    this.updateSnooze(status.snoozedUntil, this.settings?.schedule);
     
     // Update toggle button
     if (this.isMonitoring) {
       this.toggleBtnText.textContent = 'Stop Monitoring';
       this.toggleBtn.querySelector('svg').innerHTML = '<rect x="6" y="6" width="12" height="12"></rect>';
       this.statusCard.classList.add('monitoring');
-      this.snoozeBtn.style.display = 'flex';
+      this.pauseBtn.style.display = 'flex';
+      this.updatePauseButton();
       this.statsSection.style.display = 'block';
       this.scoreDisplay.style.display = 'block';
     } else {
       this.toggleBtnText.textContent = 'Start Monitoring';
       this.toggleBtn.querySelector('svg').innerHTML = '<polygon points="5 3 19 12 5 21 5 3"></polygon>';
       this.statusCard.classList.remove('monitoring', 'good', 'warning', 'poor');
-      this.snoozeBtn.style.display = 'none';
+      this.pauseBtn.style.display = 'none';
       this.statsSection.style.display = 'none';
       this.scoreDisplay.style.display = 'none';
     }
@@ -91,16 +151,103 @@ class PopupController {
     // Update status display
     if (this.isMonitoring) {
       this.updatePostureStatus(this.currentStatus);
+      this.updateDetectionState(status.detectionState);
+      this.updateAwayStatus(status);
       
       // Update session stats
       if (status.sessionStats) {
         this.updateSessionStats(status.sessionStats);
       }
+      
+      this.updateEngineInfo(status.poseBackend, status.tfBackend, status.performance, status.diagnostics);
     } else {
       this.statusText.textContent = 'Not Monitoring';
     }
   }
 
+  updateErrorBanner(error) {
+    if (!error) {
+      this.errorBanner.hidden = true;
+      return;
+    }
+    
+    this.errorTitle.textContent = error.title;
+    this.errorMessage.textContent = error.message;
+    this.errorBanner.hidden = false;
+  }
+
+  /**
+   * This popup is older than the background after an update; stop polling
+   */
+  showVersionMismatch(error) {
+    clearInterval(this.updateInterval);
+    this.isMonitoring = false;
+    this.toggleBtn.disabled = true;
+    this.errorRetryBtn.hidden = true;
+    this.updateErrorBanner({ title: 'Extension Updated', message: error.message });
+  }
+
+  /**
+   * Show what detection is doing until posture results arrive
+   * @param {string|null} state - DetectionState value
+   */
+  updateDetectionState(state) {
+    const text = DetectionStateTexts[state];
+    
+    if (text) {
+      this.statusCard.classList.remove('good', 'warning', 'poor');
+      this.statusText.textContent = text;
+    }
+  }
+
+  /**
+   * Explain paused and away-from-desk sessions
+   * @param {Object} status - {isPaused, pauseReason, isAbsent}
+   */
+  updateAwayStatus({ isPaused, pauseReason, isAbsent }) {
+    if (!isPaused && !isAbsent) {
+      return;
+    }
+    
+    this.statusCard.classList.remove('good', 'warning', 'poor');
+    this.statusText.textContent = isPaused
+      ? PauseReasonTexts[pauseReason] || PauseReasonTexts[PauseReason.USER]
+      : 'Away from desk';
+  }
+
+  /**
+   * Show the snooze countdown, or the snooze button while monitoring
+   * @param {number|null} snoozedUntil - Time alerts resume
+   * @param {Object} schedule - Working-hours schedule
+   */
+  updateSnooze(snoozedUntil, schedule) {
+    this.snoozedUntil = snoozedUntil;
+    const remaining = snoozedUntil ? snoozedUntil - Date.now() : 0;
+    const snoozed = remaining > 0;
+    
+    this.snoozeBanner.hidden = !snoozed;
+    this.snoozeBtn.style.display = this.isMonitoring && !snoozed ? 'flex' : 'none';
+    
+    if (snoozed) {
+      this.snoozeMenu.hidden = true;
+      this.snoozeText.textContent = `Alerts snoozed · ${this.formatDuration(remaining)} left`;
+    }
+    
+    // "Until work ends" only makes sense during working hours
+    this.snoozePresetBtns.forEach(button => {
+      if (button.dataset.preset === SnoozePreset.END_OF_SCHEDULE) {
+        button.hidden = !schedule?.enabled || !isWithinSchedule(schedule, Date.now());
+      }
+    });
+  }
+
+  updatePauseButton() {
+    this.pauseBtnText.textContent = this.isPaused ? 'Resume' : 'Pause';
+    this.pauseBtn.querySelector('svg').innerHTML = this.isPaused
+      ? '<polygon points="5 3 19 12 5 21 5 3"></polygon>'
+      : '<rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect>';
+  }
+
   updatePostureStatus(status) {
     // Remove all status classes
     this.statusCard.classList.remove('good', 'warning', 'poor');
@@ -139,7 +286,43 @@ class PopupController {
     }
     
     // Update alert count
-    this.alertCount.textContent = stats.alertCount;
+    this.alertCount.textContent = stats.suppressedAlertCount > 0
+      ? `${stats.alertCount} (+${stats.suppressedAlertCount} quiet)`
+      : stats.alertCount;
+  }
+
+  updateEngineInfo(poseBackend, tfBackend, performance, diagnostics) {
+    const backendNames = {
+      webgl: 'WebGL',
+      wasm: 'WebAssembly',
+      cpu: 'CPU'
+    };
+    
+    if (!tfBackend) {
+      this.engineInfo.textContent = '';
+      return;
+    }
+    
+    const engine = backendNames[tfBackend] || tfBackend;
+    let text = poseBackend
+      ? `Running ${poseBackend} on ${engine}`
+      : `Running on ${engine}`;
+    
+    if (performance) {
+      text += ` · ${performance.effectiveFPS}/${performance.targetFPS} FPS`;
+      if (performance.fpsMode === 'auto') {
+        text += ' auto';
+      }
+      if (performance.droppedFrames > 0) {
+        text += ` (${performance.droppedFrames} dropped)`;
+      }
+    }
+    
+    if (diagnostics?.restarts > 0) {
+      text += ` · ${diagnostics.restarts} restart${diagnostics.restarts === 1 ? '' : 's'}`;
+    }
+    
+    this.engineInfo.textContent = text;
   }
 
   updateScoreCircle(score) {
@@ -168,17 +351,11 @@ class PopupController {
       this.toggleBtn.disabled = true;
       
       if (this.isMonitoring) {
-        const result = await browser.runtime.sendMessage({ type: 'stop_monitoring' });
-        if (result.success) {
-          this.isMonitoring = false;
-        }
+        await sendMessage(RuntimeMessage.STOP_MONITORING);
+        this.isMonitoring = false;
       } else {
-        const result = await browser.runtime.sendMessage({ type: 'start_monitoring' });
-        if (result.success) {
-          this.isMonitoring = true;
-        } else {
-          this.showError(result.error || 'Failed to start monitoring');
-        }
+        await sendMessage(RuntimeMessage.START_MONITORING);
+        this.isMonitoring = true;
       }
       
       await this.loadStatus();
@@ -191,19 +368,68 @@ class PopupController {
     }
   }
 
-  async handleSnooze() {
+  async handlePauseToggle() {
     try {
-      const result = await browser.runtime.sendMessage({ 
-        type: 'snooze_alerts',
-        data: { duration: 15 }
-      });
+      this.pauseBtn.disabled = true;
+      
+      await sendMessage(this.isPaused ? RuntimeMessage.RESUME_MONITORING : RuntimeMessage.PAUSE_MONITORING);
+      await this.loadStatus();
       
-      if (result.success) {
-        this.showNotification('Alerts snoozed for 15 minutes');
+    } catch (error) {
+      console.error('Error pausing monitoring:', error);
+      this.showError(error.message);
+    } finally {
+      this.pauseBtn.disabled = false;
+    }
+  }
+
+  async handleRetry() {
+    try {
+      this.errorRetryBtn.disabled = true;
+      
+      if (this.isMonitoring) {
+        await sendMessage(RuntimeMessage.STOP_MONITORING);
       }
       
+      await sendMessage(RuntimeMessage.START_MONITORING);
+      await this.loadStatus();
+      
+    } catch (error) {
+      console.error('Error restarting monitoring:', error);
+      this.showError(error.message);
+    } finally {
+      this.errorRetryBtn.disabled = false;
+    }
+  }
+
+  async handleDismissError() {
+    try {
+      await sendMessage(RuntimeMessage.CLEAR_ERROR);
+      this.updateErrorBanner(null);
+    } catch (error) {
+      console.error('Error dismissing error:', error);
+    }
+  }
+
+  async handleSnooze(preset) {
+    try {
+      const { snoozedUntil } = await sendMessage(RuntimeMessage.SNOOZE_ALERTS, { preset });
+      this.snoozeMenu.hidden = true;
+      this.updateSnooze(snoozedUntil, this.settings?.schedule);
+      
     } catch (error) {
       console.error('Error snoozing alerts:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async handleCancelSnooze() {
+    try {
+      await sendMessage(RuntimeMessage.CANCEL_SNOOZE);
+      this.updateSnooze(null, this.settings?.schedule);
+      
+    } catch (error) {
+      console.error('Error cancelling snooze:', error);
     }
   }
 
@@ -0,0 +1,69 @@
+/**
+ * Camera utilities for device selection and capture constraints
+ */
+
+import { VideoConstraints, CameraResolution, CameraResolutionSize, CameraRecovery } from './constants.js';
+
+/**
+ * Build getUserMedia video constraints from camera settings
+ * @param {Object} camera - Camera settings {deviceId, resolution}
+ * @param {Object} options
+ * @param {boolean} options.useDevice - Whether to require the saved device
+ * @returns {Object} Video constraints
+ */
+export function getVideoConstraints(camera = {}, { useDevice = true } = {}) {
+  const size = CameraResolutionSize[camera?.resolution] || CameraResolutionSize[CameraResolution.MEDIUM];
+  const constraints = {
+    ...VideoConstraints,
+    width: { ideal: size.width },
+    height: { ideal: size.height }
+  };
+
+  if (useDevice && camera?.deviceId) {
+    // Exact device replaces the facing-mode hint
+    delete constraints.facingMode;
+    constraints.deviceId = { exact: camera.deviceId };
+  }
+
+  return constraints;
+}
+
+/**
+ * Whether a getUserMedia error means the requested device is gone
+ * @param {Error} error - getUserMedia rejection
+ * @returns {boolean}
+ */
+export function isDeviceUnavailableError(error) {
+  return error?.name === 'OverconstrainedError' || error?.name === 'NotFoundError';
+}
+
+/**
+ * Delay before the next attempt to reacquire a lost camera
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} config - Backoff settings, defaults to CameraRecovery
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, config = CameraRecovery) {
+  const delay = config.INITIAL_DELAY * Math.pow(config.BACKOFF_FACTOR, Math.max(0, attempt));
+  return Math.min(delay, config.MAX_DELAY);
+}
+
+/**
+ * List available video input devices
+ * Labels are empty until the extension has been granted camera access.
+ * @returns {Promise<Array>} Cameras as {deviceId, label}
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return [];
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+
+  return devices
+    .filter(device => device.kind === 'videoinput' && device.deviceId)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${index + 1}`
+    }));
+}
@@ -10,13 +10,71 @@ export const PostureStatus = Object.freeze({
   UNKNOWN: 'unknown'
 });
 
-// Detection states
+// Detection lifecycle states
 export const DetectionState = Object.freeze({
   IDLE: 'idle',
-  STARTING: 'starting',
+  ACQUIRING_CAMERA: 'acquiring_camera', // Waiting on getUserMedia (and the permission prompt)
+  LOADING_MODEL: 'loading_model',       // Camera ready, worker still loading the model
+  WARMING_UP: 'warming_up',             // Frames flowing, no pose result yet
   RUNNING: 'running',
-  STOPPING: 'stopping',
-  ERROR: 'error'
+  PAUSED: 'paused',
+  ERROR: 'error',
+  STOPPING: 'stopping'
+});
+
+// Legal lifecycle transitions (from -> allowed next states)
+export const DetectionTransitions = Object.freeze({
+  // IDLE -> PAUSED restarts a paused session without opening the camera
+  [DetectionState.IDLE]: Object.freeze([
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.PAUSED,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.ACQUIRING_CAMERA]: Object.freeze([
+    DetectionState.LOADING_MODEL,
+    DetectionState.WARMING_UP,
+    DetectionState.PAUSED,
+    DetectionState.ERROR,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.LOADING_MODEL]: Object.freeze([
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.WARMING_UP,
+    DetectionState.PAUSED,
+    DetectionState.ERROR,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.WARMING_UP]: Object.freeze([
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.LOADING_MODEL,
+    DetectionState.RUNNING,
+    DetectionState.PAUSED,
+    DetectionState.ERROR,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.RUNNING]: Object.freeze([
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.LOADING_MODEL,
+    DetectionState.PAUSED,
+    DetectionState.ERROR,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.PAUSED]: Object.freeze([
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.STOPPING
+  ]),
+  // ERROR -> ERROR reports another camera retry
+  [DetectionState.ERROR]: Object.freeze([
+    DetectionState.ERROR,
+    DetectionState.ACQUIRING_CAMERA,
+    DetectionState.LOADING_MODEL,
+    DetectionState.WARMING_UP,
+    DetectionState.PAUSED,
+    DetectionState.STOPPING
+  ]),
+  [DetectionState.STOPPING]: Object.freeze([
+    DetectionState.IDLE
+  ])
 });
 
 // Message types for worker communication
@@ -31,8 +89,68 @@ export const MessageType = Object.freeze({
   // Worker -> Main
   READY: 'ready',
   POSE_RESULT: 'pose_result',
+  FRAME_DROPPED: 'frame_dropped',
   ERROR: 'error',
-  STATUS: 'status'
+  STATUS: 'status',
+  
+  // Main -> Frame clock
+  SET_RATE: 'set_rate',
+  
+  // Frame clock -> Main
+  TICK: 'tick'
+});
+
+// Runtime message types between background, popup, options and detection
+// (schemas live in utils/protocol.js)
+export const RuntimeMessage = Object.freeze({
+  // Popup/options -> Background
+  START_MONITORING: 'start_monitoring',
+  STOP_MONITORING: 'stop_monitoring',
+  PAUSE_MONITORING: 'pause_monitoring',
+  RESUME_MONITORING: 'resume_monitoring',
+  GET_STATUS: 'get_status',
+  GET_SETTINGS: 'get_settings',
+  UPDATE_SETTINGS: 'update_settings',
+  GET_STATISTICS: 'get_statistics',
+  CLEAR_ERROR: 'clear_error',
+  SNOOZE_ALERTS: 'snooze_alerts',
+  CANCEL_SNOOZE: 'cancel_snooze',
+  CALIBRATE: 'calibrate',
+
+  // Detection -> Background
+  POSTURE_UPDATE: 'posture_update',
+  DETECTION_STATUS: 'detection_status',
+  DETECTION_STATE: 'detection_state',
+  DETECTION_ERROR: 'detection_error',
+  CAMERA_FALLBACK: 'camera_fallback',
+  PRESENCE_UPDATE: 'presence_update',
+  CALIBRATION_RESULT: 'calibration_result',
+  POSE_PREVIEW: 'pose_preview',
+  HEARTBEAT: 'heartbeat',
+
+  // Background -> Detection
+  SETTINGS_UPDATED: 'settings_updated',
+  PLAY_ALERT_SOUND: 'play_alert_sound',
+  PAUSE_DETECTION: 'pause_detection',
+  RESUME_DETECTION: 'resume_detection',
+  START_CALIBRATION: 'start_calibration',
+  SET_PREVIEW: 'set_preview'
+});
+
+// runtime.connect port names
+export const PortNames = Object.freeze({
+  POSE_PREVIEW: 'pose_preview'   // Options preview <- background, open while the preview is shown
+});
+
+// Failure codes in runtime message responses
+export const ResponseCode = Object.freeze({
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  INVALID_DATA: 'INVALID_DATA',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  VERSION_MISMATCH: 'VERSION_MISMATCH',
+  REJECTED: 'REJECTED',
+  NO_RESPONSE: 'NO_RESPONSE',
+  HANDLER_FAILED: 'HANDLER_FAILED'
 });
 
 // Storage keys
@@ -41,7 +159,8 @@ export const StorageKeys = Object.freeze({
   STATISTICS: 'statistics',
   CALIBRATION: 'calibration',
   LAST_ALERT: 'lastAlert',
-  SESSION_DATA: 'sessionData'
+  SESSION_DATA: 'sessionData',
+  SNOOZE: 'snooze'
 });
 
 // Sensitivity multipliers (higher = more strict)
@@ -51,6 +170,19 @@ export const SensitivityMultipliers = Object.freeze({
   high: 1.5
 });
 
+// Default posture thresholds (degrees, or % for shoulderDrop and
+// screenProximity; seconds for poorPostureDuration)
+export const DefaultThresholds = Object.freeze({
+  headForwardAngle: 15,
+  shoulderAsymmetry: 10,
+  torsoLean: 15,
+  shoulderDrop: 8,
+  screenProximity: 15,        // % closer than calibrated, judged by eye then shoulder width
+  headRoll: 15,
+  headYaw: 25,
+  poorPostureDuration: 30
+});
+
 // Score thresholds for posture classification
 export const ScoreThresholds = Object.freeze({
   GOOD: 80,
@@ -78,11 +210,39 @@ export const KeypointParts = Object.freeze({
 // Notification IDs
 export const NotificationIds = Object.freeze({
   POOR_POSTURE: 'poor-posture-alert',
+  TOO_CLOSE: 'too-close-alert',
   WARNING_POSTURE: 'warning-posture-alert',
   CAMERA_ERROR: 'camera-error',
+  CAMERA_FALLBACK: 'camera-fallback',
+  MODEL_ERROR: 'model-error',
   PERMISSION_DENIED: 'permission-denied'
 });
 
+// Why an alert was raised
+export const AlertReason = Object.freeze({
+  POOR_POSTURE: 'poor_posture',
+  TOO_CLOSE: 'too_close'       // Leaning in toward the screen
+});
+
+// What happened to an alert that passed the enabled, snooze and cooldown checks
+export const AlertOutcome = Object.freeze({
+  SHOWN: 'shown',
+  SUPPRESSED: 'suppressed'   // Quiet hours: recorded but not shown
+});
+
+// Snooze lengths offered in the popup and on notifications
+export const SnoozePreset = Object.freeze({
+  MINUTES_15: '15m',
+  HOUR: '1h',
+  TOMORROW: 'tomorrow',                  // Until local midnight
+  END_OF_SCHEDULE: 'end_of_schedule'     // Until today's working hours end
+});
+
+// browser.alarms names
+export const AlarmNames = Object.freeze({
+  SCHEDULE: 'working-hours'
+});
+
 // Time constants (in milliseconds)
 export const Time = Object.freeze({
   SECOND: 1000,
@@ -117,6 +277,28 @@ export const VideoConstraints = Object.freeze({
   facingMode: 'user'
 });
 
+// Camera resolution presets
+export const CameraResolution = Object.freeze({
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+});
+
+// Ideal capture size for each resolution preset
+export const CameraResolutionSize = Object.freeze({
+  [CameraResolution.LOW]: Object.freeze({ width: 320, height: 240 }),
+  [CameraResolution.MEDIUM]: Object.freeze({ width: 640, height: 480 }),
+  [CameraResolution.HIGH]: Object.freeze({ width: 1280, height: 720 })
+});
+
+// Camera reacquisition after a disconnect (milliseconds)
+export const CameraRecovery = Object.freeze({
+  INITIAL_DELAY: 1000,
+  MAX_DELAY: 30000,
+  BACKOFF_FACTOR: 2,
+  MUTE_GRACE: 3000    // A muted track this long is treated as lost
+});
+
 // PoseNet configuration
 export const PoseNetConfig = Object.freeze({
   architecture: 'MobileNetV1',
@@ -126,15 +308,153 @@ export const PoseNetConfig = Object.freeze({
   quantBytes: 2
 });
 
+// Pose estimation backends
+export const PoseBackend = Object.freeze({
+  POSENET: 'posenet',
+  MOVENET_LIGHTNING: 'movenet-lightning',
+  MOVENET_THUNDER: 'movenet-thunder',
+  BLAZEPOSE: 'blazepose'
+});
+
+// Model configuration per pose backend
+export const PoseBackendConfig = Object.freeze({
+  [PoseBackend.POSENET]: PoseNetConfig,
+  [PoseBackend.MOVENET_LIGHTNING]: Object.freeze({
+    modelType: 'SinglePose.Lightning',
+    inputResolution: Object.freeze({ width: 192, height: 192 })
+  }),
+  [PoseBackend.MOVENET_THUNDER]: Object.freeze({
+    modelType: 'SinglePose.Thunder',
+    inputResolution: Object.freeze({ width: 256, height: 256 })
+  }),
+  [PoseBackend.BLAZEPOSE]: Object.freeze({
+    modelType: 'full',
+    inputResolution: Object.freeze({ width: 256, height: 256 })
+  })
+});
+
+// TensorFlow.js compute backends
+export const TfBackend = Object.freeze({
+  WEBGL: 'webgl',
+  WASM: 'wasm',
+  CPU: 'cpu'
+});
+
+// Order in which the worker probes compute backends
+export const TfBackendOrder = Object.freeze([
+  TfBackend.WEBGL,
+  TfBackend.WASM,
+  TfBackend.CPU
+]);
+
+// Frame rate modes
+export const FpsMode = Object.freeze({
+  FIXED: 'fixed',
+  AUTO: 'auto'
+});
+
+// Adaptive frame rate tuning (auto mode; detection.fps is the ceiling)
+export const AdaptiveFpsConfig = Object.freeze({
+  MIN_FPS: 1,
+  BATTERY_MAX_FPS: 2,     // Ceiling while the laptop is discharging
+  STABLE_DURATION: 10000, // ms of steady metrics before dropping to MIN_FPS
+  SCORE_DELTA: 5,         // Score change that counts as movement
+  METRIC_DELTA: 3         // Angle/asymmetry change (degrees) that counts as movement
+});
+
+// Model assets bundled with the extension (paths relative to extension root)
+// The integrity manifest is src/vendor/asset-manifest.js, loaded by the worker itself
+export const ModelAssets = Object.freeze({
+  RUNTIME: 'src/vendor/tfjs/tf.min.js',
+  WASM: Object.freeze({
+    script: 'src/vendor/tfjs/tf-backend-wasm.min.js',
+    binaries: Object.freeze([
+      'src/vendor/tfjs/tfjs-backend-wasm.wasm',
+      'src/vendor/tfjs/tfjs-backend-wasm-simd.wasm'
+    ])
+  }),
+  BACKENDS: Object.freeze({
+    [PoseBackend.POSENET]: Object.freeze({
+      scripts: Object.freeze(['src/vendor/tfjs/posenet.min.js']),
+      models: Object.freeze({
+        model: 'assets/models/posenet/mobilenet-quant2-075/model-stride16.json'
+      })
+    }),
+    [PoseBackend.MOVENET_LIGHTNING]: Object.freeze({
+      scripts: Object.freeze(['src/vendor/tfjs/pose-detection.min.js']),
+      models: Object.freeze({
+        model: 'assets/models/movenet/singlepose-lightning/model.json'
+      })
+    }),
+    [PoseBackend.MOVENET_THUNDER]: Object.freeze({
+      scripts: Object.freeze(['src/vendor/tfjs/pose-detection.min.js']),
+      models: Object.freeze({
+        model: 'assets/models/movenet/singlepose-thunder/model.json'
+      })
+    }),
+    [PoseBackend.BLAZEPOSE]: Object.freeze({
+      scripts: Object.freeze(['src/vendor/tfjs/pose-detection.min.js']),
+      models: Object.freeze({
+        detector: 'assets/models/blazepose/detector/model.json',
+        landmark: 'assets/models/blazepose/landmark-full/model.json'
+      })
+    })
+  })
+});
+
+// Why a monitoring session is paused; IDLE and LOCKED match browser.idle states
+export const PauseReason = Object.freeze({
+  USER: 'user',
+  IDLE: 'idle',
+  LOCKED: 'locked'
+});
+
+// Away-from-desk detection
+export const Presence = Object.freeze({
+  ABSENT_AFTER: 30000,        // ms without a usable pose before the user counts as away
+  IDLE_THRESHOLD: 300         // Seconds without input before browser.idle reports idle
+});
+
+// Calibration baseline capture
+export const Calibration = Object.freeze({
+  DURATION: 5000,             // Minimum ms of frames sampled for the baseline
+  MAX_DURATION: 15000,        // Keep sampling up to this long when frames arrive slowly
+  RESULT_TIMEOUT: 5000,       // Extra ms to wait for the detection page to report
+  MIN_FPS: 10,                // Frame rate floor while sampling
+  MIN_SAMPLES: 10,            // Usable poses needed after outliers are dropped
+  MIN_CONFIDENCE: 0.6,        // Median keypoint confidence needed
+  OUTLIER_DEVIATIONS: 2,      // Samples further than this many deviations from the median are dropped
+  // Spread allowed in what remains, per metric in the metric's own unit
+  MAX_DEVIATIONS: Object.freeze({
+    headForwardAngle: 3,      // Degrees
+    shoulderAsymmetry: 3,     // Degrees
+    shoulderHeight: 4,        // % of frame height; shifts with breathing
+    shoulderWidth: 3          // % of frame width; grows as you lean toward the camera
+  })
+});
+
+// Detection window watchdog (milliseconds)
+export const Watchdog = Object.freeze({
+  HEARTBEAT_INTERVAL: 5000,   // Detection window -> background
+  CHECK_INTERVAL: 10000,      // Background stall check
+  HEARTBEAT_TIMEOUT: 20000,   // Window closed, crashed or hung
+  RESULT_TIMEOUT: 30000,      // Worker stopped returning pose results
+  STARTUP_GRACE: 60000,       // Model loading can be slow on CPU
+  MAX_RESTARTS: 5             // Per monitoring session
+});
+
 // Maximum history sizes
 export const MaxHistory = Object.freeze({
   METRICS: 30,        // 30 data points for smoothing
   STATISTICS: 90,     // 90 days of daily stats
+  SESSIONS: 100,      // Last 100 monitoring sessions
   NOTIFICATIONS: 100  // Last 100 notifications
 });
 
 // UI update intervals (milliseconds)
 export const UpdateIntervals = Object.freeze({
   POPUP: 500,         // Popup UI refresh
-  STATISTICS: 60000   // Statistics calculation
+  STATISTICS: 60000,  // Statistics calculation
+  PERFORMANCE: 2000,  // Frame rate report to background
+  SESSION_CHECKPOINT: 10000  // Live session written to storage
 });
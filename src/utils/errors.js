@@ -0,0 +1,81 @@
+/**
+ * Error classification and user-facing error descriptions
+ */
+
+import { ErrorCode, NotificationIds } from './constants.js';
+
+// getUserMedia DOMException names
+const PERMISSION_ERRORS = ['NotAllowedError', 'PermissionDeniedError', 'SecurityError'];
+const DEVICE_ERRORS = ['NotFoundError', 'OverconstrainedError', 'NotReadableError', 'AbortError'];
+
+// What to tell the user for each error code, and which notification to raise
+const ERROR_DESCRIPTIONS = Object.freeze({
+  [ErrorCode.CAMERA_PERMISSION_DENIED]: Object.freeze({
+    title: 'Camera Access Denied',
+    message: 'Posture Monitor needs your camera. Allow camera access when Firefox asks, then start monitoring again.',
+    notificationId: NotificationIds.PERMISSION_DENIED
+  }),
+  [ErrorCode.CAMERA_NOT_FOUND]: Object.freeze({
+    title: 'Camera Not Available',
+    message: 'No camera was found, or it is in use by another app. Connect a camera or close the other app, then try again.',
+    notificationId: NotificationIds.CAMERA_ERROR
+  }),
+  [ErrorCode.MODEL_LOAD_FAILED]: Object.freeze({
+    title: 'Pose Model Failed to Load',
+    message: 'The pose detection model could not be loaded. Try another pose model in Settings or reinstall the extension.',
+    notificationId: NotificationIds.MODEL_ERROR
+  }),
+  [ErrorCode.DETECTION_FAILED]: Object.freeze({
+    title: 'Detection Error',
+    message: 'Pose detection hit an error. Monitoring will keep trying.',
+    notificationId: null
+  }),
+  [ErrorCode.INVALID_SETTINGS]: Object.freeze({
+    title: 'Invalid Settings',
+    message: 'Some settings are invalid. Review them in Settings.',
+    notificationId: null
+  }),
+  [ErrorCode.STORAGE_ERROR]: Object.freeze({
+    title: 'Storage Error',
+    message: 'Posture data could not be saved.',
+    notificationId: null
+  })
+});
+
+/**
+ * Map a reported error to an ErrorCode
+ * @param {Object} error - Error data {code, name, message}
+ * @returns {string} ErrorCode value
+ */
+export function classifyError(error) {
+  if (!error) {
+    return ErrorCode.DETECTION_FAILED;
+  }
+
+  if (Object.values(ErrorCode).includes(error.code)) {
+    return error.code;
+  }
+
+  if (PERMISSION_ERRORS.includes(error.name)) {
+    return ErrorCode.CAMERA_PERMISSION_DENIED;
+  }
+
+  if (DEVICE_ERRORS.includes(error.name)) {
+    return ErrorCode.CAMERA_NOT_FOUND;
+  }
+
+  if (/model/i.test(error.message || '')) {
+    return ErrorCode.MODEL_LOAD_FAILED;
+  }
+
+  return ErrorCode.DETECTION_FAILED;
+}
+
+/**
+ * Get the user-facing description of an error code
+ * @param {string} code - ErrorCode value
+ * @returns {Object} {title, message, notificationId}
+ */
+export function describeError(code) {
+  return ERROR_DESCRIPTIONS[code] || ERROR_DESCRIPTIONS[ErrorCode.DETECTION_FAILED];
+}
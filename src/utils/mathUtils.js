@@ -36,6 +36,25 @@ export function calculateDistance(point1, point2) {
   return Math.sqrt(deltaX * deltaX + deltaY * deltaY);
 }
 
+/**
+ * Scale a size down to fit within bounds, preserving aspect ratio
+ * @param {Object} size - Source size {width, height}
+ * @param {Object} bounds - Maximum size {width, height}
+ * @returns {Object} Fitted size {width, height}, never larger than the source
+ */
+export function fitWithin(size, bounds) {
+  if (!size || !bounds || size.width <= 0 || size.height <= 0) {
+    return { width: 0, height: 0 };
+  }
+  
+  const scale = Math.min(1, bounds.width / size.width, bounds.height / size.height);
+  
+  return {
+    width: Math.max(1, Math.round(size.width * scale)),
+    height: Math.max(1, Math.round(size.height * scale))
+  };
+}
+
 /**
  * Normalize a value to 0-1 range
  * @param {number} value - Value to normalize
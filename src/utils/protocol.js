@@ -0,0 +1,345 @@
+/**
+ * Runtime messaging protocol shared by background, popup, options and detection
+ * Every message is {version, type, data}; every response is
+ * {ok, version, data} or {ok: false, version, error, code}.
+ */
+
+import { RuntimeMessage, ResponseCode, PostureStatus, DetectionState, SnoozePreset } from './constants.js';
+
+// Bump whenever a message type or payload changes incompatibly
+export const PROTOCOL_VERSION = 1;
+
+// Payload schema for each runtime message; null means no payload
+const MessageSchemas = Object.freeze({
+  [RuntimeMessage.START_MONITORING]: null,
+  [RuntimeMessage.STOP_MONITORING]: null,
+  [RuntimeMessage.PAUSE_MONITORING]: null,
+  [RuntimeMessage.RESUME_MONITORING]: null,
+  [RuntimeMessage.GET_STATUS]: null,
+  [RuntimeMessage.GET_SETTINGS]: null,
+  [RuntimeMessage.UPDATE_SETTINGS]: { type: 'object' },
+  [RuntimeMessage.GET_STATISTICS]: null,
+  [RuntimeMessage.CLEAR_ERROR]: null,
+  [RuntimeMessage.SNOOZE_ALERTS]: {
+    type: 'object',
+    fields: {
+      duration: { type: 'number', optional: true, min: 1, max: 1440 },
+      preset: { type: 'string', optional: true, values: Object.values(SnoozePreset) }
+    }
+  },
+  [RuntimeMessage.CANCEL_SNOOZE]: null,
+  [RuntimeMessage.CALIBRATE]: null,
+  [RuntimeMessage.POSTURE_UPDATE]: {
+    type: 'object',
+    fields: {
+      status: { type: 'string', values: Object.values(PostureStatus) },
+      score: { type: 'number', min: 0, max: 100 },
+      metrics: { type: 'object', optional: true, nullable: true }
+    }
+  },
+  [RuntimeMessage.DETECTION_STATUS]: {
+    type: 'object',
+    fields: {
+      poseBackend: { type: 'string', optional: true, nullable: true },
+      tfBackend: { type: 'string', optional: true, nullable: true },
+      performance: { type: 'object', optional: true, nullable: true }
+    }
+  },
+  [RuntimeMessage.DETECTION_STATE]: {
+    type: 'object',
+    fields: {
+      state: { type: 'string', values: Object.values(DetectionState) },
+      previous: { type: 'string', optional: true, values: Object.values(DetectionState) },
+      code: { type: 'string', optional: true },
+      reason: { type: 'string', optional: true, nullable: true },
+      attempt: { type: 'number', optional: true, min: 0 },
+      retryInMs: { type: 'number', optional: true, min: 0 }
+    }
+  },
+  [RuntimeMessage.DETECTION_ERROR]: {
+    type: 'object',
+    fields: {
+      code: { type: 'string', optional: true },
+      name: { type: 'string', optional: true },
+      message: { type: 'string' },
+      detail: { type: 'string', optional: true },
+      stack: { type: 'string', optional: true }
+    }
+  },
+  [RuntimeMessage.CAMERA_FALLBACK]: {
+    type: 'object',
+    fields: {
+      deviceId: { type: 'string', nullable: true }
+    }
+  },
+  [RuntimeMessage.PRESENCE_UPDATE]: {
+    type: 'object',
+    fields: {
+      present: { type: 'boolean' },
+      since: { type: 'number', min: 0 }
+    }
+  },
+  [RuntimeMessage.CALIBRATION_RESULT]: {
+    type: 'object',
+    fields: {
+      baseline: {
+        type: 'object',
+        nullable: true,
+        fields: {
+          headForwardAngle: { type: 'number', min: 0, max: 90 },
+          shoulderAsymmetry: { type: 'number', min: 0, max: 90 },
+          shoulderHeight: { type: 'number', min: 0, max: 100 },
+          shoulderWidth: { type: 'number', min: 0, max: 100 },
+          eyeDistance: { type: 'number', nullable: true, min: 0, max: 100 },
+          headRoll: { type: 'number', nullable: true, min: -90, max: 90 },
+          headYaw: { type: 'number', nullable: true, min: -90, max: 90 }
+        }
+      },
+      cameraId: { type: 'string', nullable: true },
+      error: { type: 'string', optional: true }
+    }
+  },
+  [RuntimeMessage.POSE_PREVIEW]: {
+    type: 'object',
+    fields: {
+      width: { type: 'number', min: 0 },
+      height: { type: 'number', min: 0 },
+      keypoints: { type: 'array' },
+      guides: { type: 'array' },
+      score: { type: 'number', nullable: true, min: 0, max: 100 },
+      status: { type: 'string', nullable: true, values: Object.values(PostureStatus) },
+      cameraId: { type: 'string', nullable: true }
+    }
+  },
+  [RuntimeMessage.HEARTBEAT]: {
+    type: 'object',
+    fields: {
+      state: { type: 'string', nullable: true, values: Object.values(DetectionState) },
+      lastResultAt: { type: 'number', optional: true, nullable: true }
+    }
+  },
+  [RuntimeMessage.SETTINGS_UPDATED]: { type: 'object' },
+  [RuntimeMessage.PLAY_ALERT_SOUND]: null,
+  [RuntimeMessage.PAUSE_DETECTION]: null,
+  [RuntimeMessage.RESUME_DETECTION]: null,
+  [RuntimeMessage.START_CALIBRATION]: {
+    type: 'object',
+    fields: {
+      duration: { type: 'number', min: 1000 }
+    }
+  },
+  [RuntimeMessage.SET_PREVIEW]: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' }
+    }
+  }
+});
+
+/**
+ * Error carrying a response code across the messaging boundary
+ */
+export class MessageError extends Error {
+  constructor(message, code = ResponseCode.HANDLER_FAILED) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check a value against a schema descriptor
+ * @param {*} value - Value to check
+ * @param {Object} schema - {type, optional, nullable, values, min, max, fields};
+ *   type is string, number, boolean, object or array
+ * @param {string} path - Name used in error messages
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function checkValue(value, schema, path) {
+  if (value === undefined) {
+    return schema.optional ? [] : [`${path} is required`];
+  }
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${path} must not be null`];
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return [`${path} must be a string`];
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [`${path} must be a number`];
+      }
+      if ((schema.min !== undefined && value < schema.min) ||
+          (schema.max !== undefined && value > schema.max)) {
+        return [`${path} must be between ${schema.min ?? '-∞'} and ${schema.max ?? '∞'}`];
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return [`${path} must be a boolean`];
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      break;
+  }
+
+  if (schema.values && !schema.values.includes(value)) {
+    return [`${path} must be one of ${schema.values.join(', ')}`];
+  }
+
+  if (schema.fields) {
+    return Object.entries(schema.fields)
+      .flatMap(([key, field]) => checkValue(value[key], field, `${path}.${key}`));
+  }
+
+  return [];
+}
+
+/**
+ * Validate a runtime message envelope and payload
+ * @param {Object} message - {version, type, data}
+ * @returns {Object} {valid: boolean, code?: string, errors: Array<string>}
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+    return { valid: false, code: ResponseCode.INVALID_MESSAGE, errors: ['Message must be an object with a type'] };
+  }
+
+  if (message.version !== PROTOCOL_VERSION) {
+    return {
+      valid: false,
+      code: ResponseCode.VERSION_MISMATCH,
+      errors: [`Protocol version ${message.version} does not match ${PROTOCOL_VERSION}`]
+    };
+  }
+
+  if (!Object.hasOwn(MessageSchemas, message.type)) {
+    return { valid: false, code: ResponseCode.UNKNOWN_TYPE, errors: [`Unknown message type: ${message.type}`] };
+  }
+
+  const schema = MessageSchemas[message.type];
+  const hasData = message.data !== undefined && message.data !== null;
+  const errors = schema
+    ? checkValue(message.data, schema, 'data')
+    : (hasData ? [`${message.type} takes no data`] : []);
+
+  return errors.length > 0
+    ? { valid: false, code: ResponseCode.INVALID_DATA, errors }
+    : { valid: true, errors: [] };
+}
+
+/**
+ * Build a runtime message
+ * @param {string} type - RuntimeMessage type
+ * @param {*} data - Payload
+ * @returns {Object} Versioned message
+ */
+export function createMessage(type, data) {
+  return data === undefined
+    ? { version: PROTOCOL_VERSION, type }
+    : { version: PROTOCOL_VERSION, type, data };
+}
+
+function success(data) {
+  return { ok: true, version: PROTOCOL_VERSION, data: data ?? null };
+}
+
+function failure(code, error) {
+  return { ok: false, version: PROTOCOL_VERSION, error, code };
+}
+
+/**
+ * Create a runtime.onMessage listener that validates messages and
+ * dispatches them to handlers
+ * @param {Object} handlers - Map of message type to handler(data, sender)
+ * @param {Object} options - {respond}: false for pages that only listen,
+ *   so they never race the background to answer a broadcast
+ * @returns {Function} Listener
+ */
+export function createRouter(handlers, { respond = true } = {}) {
+  const route = async (message, sender) => {
+    const validation = validateMessage(message);
+
+    if (!validation.valid) {
+      return failure(validation.code, validation.errors.join('. '));
+    }
+
+    if (!Object.hasOwn(handlers, message.type)) {
+      return failure(ResponseCode.UNKNOWN_TYPE, `Unhandled message type: ${message.type}`);
+    }
+
+    try {
+      return success(await handlers[message.type](message.data, sender));
+    } catch (error) {
+      if (error instanceof MessageError) {
+        return failure(error.code, error.message);
+      }
+
+      console.error(`Error handling ${message.type}:`, error);
+      return failure(ResponseCode.HANDLER_FAILED, error.message || 'Unknown error');
+    }
+  };
+
+  if (respond) {
+    return route;
+  }
+
+  return (message, sender) => {
+    // Messages for other listeners pass through silently
+    if (!Object.hasOwn(handlers, message?.type)) {
+      return undefined;
+    }
+
+    route(message, sender).then(response => {
+      if (!response.ok) {
+        console.warn(`Dropped ${message.type} message:`, response.error);
+      }
+    });
+    return undefined;
+  };
+}
+
+/**
+ * Unwrap a response, throwing MessageError on failure
+ * @param {Object} response - Router response
+ * @returns {*} Response data
+ */
+export function unwrapResponse(response) {
+  if (!response || typeof response !== 'object') {
+    throw new MessageError('No response from the extension', ResponseCode.NO_RESPONSE);
+  }
+
+  if (response.version !== PROTOCOL_VERSION || response.code === ResponseCode.VERSION_MISMATCH) {
+    throw new MessageError('Posture Monitor was updated. Reopen this page to continue.', ResponseCode.VERSION_MISMATCH);
+  }
+
+  if (!response.ok) {
+    throw new MessageError(response.error || 'Request failed', response.code || ResponseCode.HANDLER_FAILED);
+  }
+
+  return response.data;
+}
+
+/**
+ * Send a runtime message to the background and unwrap the response
+ * @param {string} type - RuntimeMessage type
+ * @param {*} data - Payload
+ * @returns {Promise<*>} Response data
+ */
+export async function sendMessage(type, data) {
+  const response = await browser.runtime.sendMessage(createMessage(type, data));
+  return unwrapResponse(response);
+}
@@ -0,0 +1,155 @@
+/**
+ * Working-hours schedule utilities
+ * A schedule is {enabled, days}: days holds seven lists of {start, end}
+ * ranges in local 'HH:MM' time, indexed like Date.getDay() (0 = Sunday).
+ */
+
+// Days to look ahead for the next boundary; covers a full week plus today
+const LOOKAHEAD_DAYS = 8;
+
+/**
+ * Parse an 'HH:MM' time into minutes after midnight
+ * @param {string} time - 24-hour time
+ * @returns {number|null} Minutes, or null if malformed
+ */
+export function parseTime(time) {
+  const match = typeof time === 'string' ? /^(\d{2}):(\d{2})$/.exec(time) : null;
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a range has valid times and ends after it starts
+ * @param {Object} range - {start, end}
+ * @param {Object} options - {overnight}: also accept ranges that end earlier
+ *   in the day than they start, running past midnight into the next day
+ * @returns {boolean}
+ */
+export function isValidRange(range, { overnight = false } = {}) {
+  const start = parseTime(range?.start);
+  const end = parseTime(range?.end);
+  return start !== null && end !== null && (end > start || (overnight && end < start));
+}
+
+/**
+ * Format a day's ranges for editing, e.g. '09:00-12:30, 13:30-17:30'
+ * @param {Array<Object>} ranges - [{start, end}]
+ * @returns {string}
+ */
+export function formatRanges(ranges = []) {
+  return ranges.map(range => `${range.start}-${range.end}`).join(', ');
+}
+
+/**
+ * Parse ranges typed as 'HH:MM-HH:MM, ...'; malformed entries are kept so
+ * validateSettings can report them
+ * @param {string} text - Comma-separated ranges
+ * @returns {Array<Object>} [{start, end}]
+ */
+export function parseRanges(text) {
+  return text.split(',')
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const [start = '', end = ''] = part.split('-').map(time => time.trim());
+      return { start, end };
+    });
+}
+
+/**
+ * Whether a timestamp falls inside the schedule's working hours
+ * @param {Object} schedule - {enabled, days}
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {Object} options - {overnight}: a range such as 22:00-07:00 listed
+ *   on one day runs until 07:00 the next day
+ * @returns {boolean}
+ */
+export function isWithinSchedule(schedule, timestamp, { overnight = false } = {}) {
+  const date = new Date(timestamp);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const ranges = schedule?.days?.[date.getDay()] || [];
+
+  const today = ranges.some(range => {
+    if (!isValidRange(range, { overnight })) {
+      return false;
+    }
+
+    const start = parseTime(range.start);
+    const end = parseTime(range.end);
+    return start <= minutes && (minutes < end || end < start);
+  });
+
+  if (today || !overnight) {
+    return today;
+  }
+
+  // The early hours may still be inside a range that started yesterday
+  const yesterday = schedule?.days?.[(date.getDay() + 6) % 7] || [];
+  return yesterday.some(range =>
+    isValidRange(range, { overnight }) &&
+    parseTime(range.end) < parseTime(range.start) &&
+    minutes < parseTime(range.end));
+}
+
+/**
+ * When today's working hours end, if they are in progress
+ * @param {Object} schedule - {enabled, days}
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number|null} End of the day's last range, or null outside working hours
+ */
+export function getWorkdayEnd(schedule, timestamp) {
+  if (!isWithinSchedule(schedule, timestamp)) {
+    return null;
+  }
+
+  const date = new Date(timestamp);
+  const end = Math.max(...schedule.days[date.getDay()]
+    .filter(isValidRange)
+    .map(range => parseTime(range.end)));
+
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+    Math.floor(end / 60), end % 60).getTime();
+}
+
+/**
+ * Next time working hours start or end after a timestamp
+ * @param {Object} schedule - {enabled, days}
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number|null} Boundary timestamp, or null if the schedule has no ranges
+ */
+export function getNextBoundary(schedule, timestamp) {
+  const from = new Date(timestamp);
+  let next = null;
+
+  for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    const ranges = (schedule?.days?.[day.getDay()] || []).filter(isValidRange);
+
+    for (const range of ranges) {
+      for (const minutes of [parseTime(range.start), parseTime(range.end)]) {
+        // The Date constructor keeps wall-clock times right across DST changes
+        const boundary = new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+          Math.floor(minutes / 60), minutes % 60).getTime();
+
+        if (boundary > timestamp && (next === null || boundary < next)) {
+          next = boundary;
+        }
+      }
+    }
+
+    if (next !== null) {
+      return next;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,30 @@
+/**
+ * Snooze preset utilities
+ */
+
+import { SnoozePreset, Time } from './constants.js';
+import { getWorkdayEnd } from './schedule.js';
+
+/**
+ * When a snooze preset ends
+ * @param {string} preset - SnoozePreset value
+ * @param {number} now - Current timestamp
+ * @param {Object} schedule - Working-hours schedule, for END_OF_SCHEDULE
+ * @returns {number|null} Snooze end, or null if the preset doesn't apply now
+ */
+export function getSnoozeEnd(preset, now, schedule) {
+  const date = new Date(now);
+
+  switch (preset) {
+    case SnoozePreset.MINUTES_15:
+      return now + 15 * Time.MINUTE;
+    case SnoozePreset.HOUR:
+      return now + Time.HOUR;
+    case SnoozePreset.TOMORROW:
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    case SnoozePreset.END_OF_SCHEDULE:
+      return schedule?.enabled ? getWorkdayEnd(schedule, now) : null;
+    default:
+      return null;
+  }
+}
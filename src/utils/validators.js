@@ -2,6 +2,9 @@
  * Validation utilities for settings and data
  */
 
+import { PoseBackend, FpsMode, CameraResolution, DefaultThresholds } from './constants.js';
+import { isValidRange } from './schedule.js';
+
 /**
  * Validate settings object
  * @param {Object} settings - Settings to validate
@@ -24,7 +27,10 @@ export function validateSettings(settings) {
   
   // Validate thresholds
   if (settings.thresholds) {
-    const { headForwardAngle, shoulderAsymmetry, poorPostureDuration } = settings.thresholds;
+    const {
+      headForwardAngle, shoulderAsymmetry, torsoLean, shoulderDrop, screenProximity, headRoll, headYaw,
+      poorPostureDuration
+    } = settings.thresholds;
     
     if (headForwardAngle !== undefined) {
       if (typeof headForwardAngle !== 'number' || headForwardAngle < 0 || headForwardAngle > 90) {
@@ -38,6 +44,36 @@ export function validateSettings(settings) {
       }
     }
     
+    if (torsoLean !== undefined) {
+      if (typeof torsoLean !== 'number' || torsoLean < 0 || torsoLean > 90) {
+        errors.push('torsoLean must be a number between 0 and 90');
+      }
+    }
+    
+    if (shoulderDrop !== undefined) {
+      if (typeof shoulderDrop !== 'number' || shoulderDrop < 0 || shoulderDrop > 100) {
+        errors.push('shoulderDrop must be a number between 0 and 100');
+      }
+    }
+    
+    if (screenProximity !== undefined) {
+      if (typeof screenProximity !== 'number' || screenProximity < 0 || screenProximity > 100) {
+        errors.push('screenProximity must be a number between 0 and 100');
+      }
+    }
+    
+    if (headRoll !== undefined) {
+      if (typeof headRoll !== 'number' || headRoll < 0 || headRoll > 90) {
+        errors.push('headRoll must be a number between 0 and 90');
+      }
+    }
+    
+    if (headYaw !== undefined) {
+      if (typeof headYaw !== 'number' || headYaw < 0 || headYaw > 90) {
+        errors.push('headYaw must be a number between 0 and 90');
+      }
+    }
+    
     if (poorPostureDuration !== undefined) {
       if (typeof poorPostureDuration !== 'number' || poorPostureDuration < 1 || poorPostureDuration > 600) {
         errors.push('poorPostureDuration must be a number between 1 and 600 seconds');
@@ -66,7 +102,7 @@ export function validateSettings(settings) {
   
   // Validate detection settings
   if (settings.detection) {
-    const { fps, confidenceThreshold } = settings.detection;
+    const { fps, fpsMode, confidenceThreshold, backend } = settings.detection;
     
     if (fps !== undefined) {
       if (typeof fps !== 'number' || fps < 1 || fps > 30) {
@@ -74,11 +110,115 @@ export function validateSettings(settings) {
       }
     }
     
+    if (fpsMode !== undefined && !Object.values(FpsMode).includes(fpsMode)) {
+      errors.push(`detection.fpsMode must be one of ${Object.values(FpsMode).join(', ')}`);
+    }
+    
     if (confidenceThreshold !== undefined) {
       if (typeof confidenceThreshold !== 'number' || confidenceThreshold < 0 || confidenceThreshold > 1) {
         errors.push('detection.confidenceThreshold must be a number between 0 and 1');
       }
     }
+    
+    if (backend !== undefined) {
+      const validBackends = Object.values(PoseBackend);
+      if (!validBackends.includes(backend)) {
+        errors.push(`detection.backend must be one of ${validBackends.join(', ')}`);
+      }
+    }
+  }
+  
+  // Validate camera settings
+  if (settings.camera) {
+    const { deviceId, resolution } = settings.camera;
+    
+    if (deviceId !== undefined && deviceId !== null) {
+      if (typeof deviceId !== 'string' || deviceId.length === 0) {
+        errors.push('camera.deviceId must be a non-empty string or null');
+      }
+    }
+    
+    if (resolution !== undefined) {
+      const validResolutions = Object.values(CameraResolution);
+      if (!validResolutions.includes(resolution)) {
+        errors.push(`camera.resolution must be one of ${validResolutions.join(', ')}`);
+      }
+    }
+  }
+  
+  // Validate working-hours schedule
+  if (settings.schedule) {
+    const { enabled, days } = settings.schedule;
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push('schedule.enabled must be a boolean');
+    }
+    
+    if (days !== undefined) {
+      errors.push(...validateDays(days, 'schedule.days'));
+    }
+  }
+  
+  // Validate alert quiet hours
+  if (settings.quietHours) {
+    const { days, fullscreen } = settings.quietHours;
+    
+    if (days !== undefined) {
+      errors.push(...validateDays(days, 'quietHours.days', { overnight: true }));
+    }
+    
+    if (fullscreen !== undefined && typeof fullscreen !== 'boolean') {
+      errors.push('quietHours.fullscreen must be a boolean');
+    }
+  }
+  
+  // Validate calibration baseline (null when uncalibrated)
+  if (settings.calibration) {
+    const {
+      headForwardAngle, shoulderAsymmetry, shoulderHeight, shoulderWidth, eyeDistance, headRoll, headYaw,
+      timestamp, cameraId
+    } = settings.calibration;
+    
+    if (typeof headForwardAngle !== 'number' || headForwardAngle < 0 || headForwardAngle > 90) {
+      errors.push('calibration.headForwardAngle must be a number between 0 and 90');
+    }
+    
+    if (typeof shoulderAsymmetry !== 'number' || shoulderAsymmetry < 0 || shoulderAsymmetry > 90) {
+      errors.push('calibration.shoulderAsymmetry must be a number between 0 and 90');
+    }
+    
+    // Missing from calibrations taken before slump detection
+    if (shoulderHeight !== undefined && shoulderHeight !== null &&
+        (typeof shoulderHeight !== 'number' || shoulderHeight < 0 || shoulderHeight > 100)) {
+      errors.push('calibration.shoulderHeight must be a number between 0 and 100');
+    }
+    
+    // Missing from calibrations taken before screen distance detection
+    if (shoulderWidth !== undefined && shoulderWidth !== null &&
+        (typeof shoulderWidth !== 'number' || shoulderWidth < 0 || shoulderWidth > 100)) {
+      errors.push('calibration.shoulderWidth must be a number between 0 and 100');
+    }
+    
+    if (eyeDistance !== undefined && eyeDistance !== null &&
+        (typeof eyeDistance !== 'number' || eyeDistance < 0 || eyeDistance > 100)) {
+      errors.push('calibration.eyeDistance must be a number between 0 and 100');
+    }
+    
+    // Signed angles; missing from calibrations taken before head tilt and
+    // rotation detection
+    for (const [metric, value] of Object.entries({ headRoll, headYaw })) {
+      if (value !== undefined && value !== null && (typeof value !== 'number' || value < -90 || value > 90)) {
+        errors.push(`calibration.${metric} must be a number between -90 and 90`);
+      }
+    }
+    
+    if (timestamp !== undefined && typeof timestamp !== 'number') {
+      errors.push('calibration.timestamp must be a number');
+    }
+    
+    if (cameraId !== undefined && cameraId !== null && typeof cameraId !== 'string') {
+      errors.push('calibration.cameraId must be a string or null');
+    }
   }
   
   return {
@@ -87,6 +227,29 @@ export function validateSettings(settings) {
   };
 }
 
+/**
+ * Validate per-weekday time ranges (schedule and quiet hours)
+ * @param {*} days - Seven lists of {start, end}
+ * @param {string} path - Name used in error messages
+ * @param {Object} options - {overnight}: allow ranges that run past midnight
+ * @returns {Array<string>} Errors
+ */
+function validateDays(days, path, { overnight = false } = {}) {
+  if (!Array.isArray(days) || days.length !== 7 || !days.every(Array.isArray)) {
+    return [`${path} must list time ranges for each of the 7 weekdays`];
+  }
+  
+  const requirement = overnight
+    ? 'different HH:MM start and end times'
+    : 'HH:MM start and end times with the end after the start';
+  
+  return days.flatMap((ranges, day) => ranges
+    .map((range, index) => (isValidRange(range, { overnight })
+      ? null
+      : `${path}[${day}][${index}] must be ${requirement}`))
+    .filter(Boolean));
+}
+
 /**
  * Validate pose data from detection
  * @param {Object} poseData - Pose data to validate
@@ -145,9 +308,14 @@ export function sanitizeSettings(settings) {
   
   if (settings.thresholds) {
     sanitized.thresholds = {
-      headForwardAngle: clampNumber(settings.thresholds.headForwardAngle, 0, 90, 15),
-      shoulderAsymmetry: clampNumber(settings.thresholds.shoulderAsymmetry, 0, 90, 10),
-      poorPostureDuration: clampNumber(settings.thresholds.poorPostureDuration, 1, 600, 30)
+      headForwardAngle: clampNumber(settings.thresholds.headForwardAngle, 0, 90, DefaultThresholds.headForwardAngle),
+      shoulderAsymmetry: clampNumber(settings.thresholds.shoulderAsymmetry, 0, 90, DefaultThresholds.shoulderAsymmetry),
+      torsoLean: clampNumber(settings.thresholds.torsoLean, 0, 90, DefaultThresholds.torsoLean),
+      shoulderDrop: clampNumber(settings.thresholds.shoulderDrop, 0, 100, DefaultThresholds.shoulderDrop),
+      screenProximity: clampNumber(settings.thresholds.screenProximity, 0, 100, DefaultThresholds.screenProximity),
+      headRoll: clampNumber(settings.thresholds.headRoll, 0, 90, DefaultThresholds.headRoll),
+      headYaw: clampNumber(settings.thresholds.headYaw, 0, 90, DefaultThresholds.headYaw),
+      poorPostureDuration: clampNumber(settings.thresholds.poorPostureDuration, 1, 600, DefaultThresholds.poorPostureDuration)
     };
   }
   
@@ -162,13 +330,73 @@ export function sanitizeSettings(settings) {
   if (settings.detection) {
     sanitized.detection = {
       fps: clampNumber(settings.detection.fps, 1, 30, 5),
-      confidenceThreshold: clampNumber(settings.detection.confidenceThreshold, 0, 1, 0.5)
+      fpsMode: Object.values(FpsMode).includes(settings.detection.fpsMode)
+        ? settings.detection.fpsMode
+        : FpsMode.FIXED,
+      confidenceThreshold: clampNumber(settings.detection.confidenceThreshold, 0, 1, 0.5),
+      backend: Object.values(PoseBackend).includes(settings.detection.backend)
+        ? settings.detection.backend
+        : PoseBackend.POSENET
+    };
+  }
+  
+  if (settings.camera) {
+    const { deviceId, resolution } = settings.camera;
+    sanitized.camera = {
+      deviceId: typeof deviceId === 'string' && deviceId.length > 0 ? deviceId : null,
+      resolution: Object.values(CameraResolution).includes(resolution)
+        ? resolution
+        : CameraResolution.MEDIUM
+    };
+  }
+  
+  if (settings.schedule) {
+    const { enabled, days } = settings.schedule;
+    sanitized.schedule = {
+      enabled: enabled === true,
+      days: sanitizeDays(days)
+    };
+  }
+  
+  if (settings.quietHours) {
+    sanitized.quietHours = {
+      days: sanitizeDays(settings.quietHours.days, { overnight: true }),
+      fullscreen: settings.quietHours.fullscreen === true
+    };
+  }
+  
+  if (settings.calibration) {
+    const {
+      headForwardAngle, shoulderAsymmetry, shoulderHeight, shoulderWidth, eyeDistance, headRoll, headYaw,
+      timestamp, cameraId
+    } = settings.calibration;
+    sanitized.calibration = {
+      headForwardAngle: clampNumber(headForwardAngle, 0, 90, 0),
+      shoulderAsymmetry: clampNumber(shoulderAsymmetry, 0, 90, 0),
+      shoulderHeight: typeof shoulderHeight === 'number' ? clampNumber(shoulderHeight, 0, 100, null) : null,
+      shoulderWidth: typeof shoulderWidth === 'number' ? clampNumber(shoulderWidth, 0, 100, null) : null,
+      eyeDistance: typeof eyeDistance === 'number' ? clampNumber(eyeDistance, 0, 100, null) : null,
+      headRoll: typeof headRoll === 'number' ? clampNumber(headRoll, -90, 90, null) : null,
+      headYaw: typeof headYaw === 'number' ? clampNumber(headYaw, -90, 90, null) : null,
+      timestamp: typeof timestamp === 'number' ? timestamp : null,
+      cameraId: typeof cameraId === 'string' ? cameraId : null
     };
   }
   
   return sanitized;
 }
 
+/**
+ * Keep the valid ranges of seven weekdays
+ * @param {*} days - Seven lists of {start, end}
+ * @param {Object} options - {overnight}: keep ranges that run past midnight
+ * @returns {Array<Array<Object>>}
+ */
+function sanitizeDays(days, { overnight = false } = {}) {
+  return Array.from({ length: 7 }, (_, day) =>
+    (Array.isArray(days?.[day]) ? days[day] : []).filter(range => isValidRange(range, { overnight })));
+}
+
 /**
  * Clamp number to range with default
  * @param {*} value - Value to clamp
@@ -191,11 +419,7 @@ function clampNumber(value, min, max, defaultValue) {
 export function getDefaultSettings() {
   return {
     sensitivity: 'medium',
-    thresholds: {
-      headForwardAngle: 15,
-      shoulderAsymmetry: 10,
-      poorPostureDuration: 30
-    },
+    thresholds: { ...DefaultThresholds },
     alerts: {
       enabled: true,
       cooldown: 300,
@@ -203,7 +427,25 @@ export function getDefaultSettings() {
     },
     detection: {
       fps: 5,
-      confidenceThreshold: 0.5
+      fpsMode: FpsMode.FIXED,
+      confidenceThreshold: 0.5,
+      backend: PoseBackend.POSENET
+    },
+    camera: {
+      deviceId: null,
+      resolution: CameraResolution.MEDIUM
+    },
+    schedule: {
+      enabled: false,
+      // Sunday first, matching Date.getDay(); weekdays with a lunch break
+      days: Array.from({ length: 7 }, (_, day) => (day === 0 || day === 6 ? [] : [
+        { start: '09:00', end: '12:30' },
+        { start: '13:30', end: '17:30' }
+      ]))
+    },
+    quietHours: {
+      days: Array.from({ length: 7 }, () => []),
+      fullscreen: false
     },
     calibration: null
   };
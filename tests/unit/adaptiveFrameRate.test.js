@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for adaptiveFrameRate.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { AdaptiveFrameRate } from '../../src/detection/adaptiveFrameRate.js';
+import { PoseAnalyzer } from '../../src/detection/poseAnalyzer.js';
+import { AdaptiveFpsConfig } from '../../src/utils/constants.js';
+
+const STABLE = AdaptiveFpsConfig.STABLE_DURATION;
+
+const analysis = (score, headForwardAngle = 10, shoulderAsymmetry = 2) => ({
+  score,
+  metrics: { headForwardAngle, shoulderAsymmetry, neckAngle: 0 }
+});
+
+describe('AdaptiveFrameRate', () => {
+  let adaptive;
+
+  beforeEach(() => {
+    adaptive = new AdaptiveFrameRate({ maxFPS: 5 });
+  });
+
+  test('should start at the configured frame rate', () => {
+    expect(adaptive.getTargetFPS()).toBe(5);
+    expect(adaptive.update(analysis(90), 0)).toBe(5);
+  });
+
+  test('should drop to the minimum rate after a stable period', () => {
+    adaptive.update(analysis(90), 0);
+    expect(adaptive.update(analysis(91), STABLE - 1)).toBe(5);
+    expect(adaptive.update(analysis(92, 11), STABLE)).toBe(AdaptiveFpsConfig.MIN_FPS);
+  });
+
+  test('should ramp back up when the score starts changing', () => {
+    adaptive.update(analysis(90), 0);
+    adaptive.update(analysis(90), STABLE);
+
+    expect(adaptive.update(analysis(84), STABLE + 1000)).toBe(5);
+  });
+
+  test('should ramp back up when a metric starts changing', () => {
+    adaptive.update(analysis(90), 0);
+    adaptive.update(analysis(90), STABLE);
+
+    expect(adaptive.update(analysis(90, 15), STABLE + 1000)).toBe(5);
+  });
+
+  test('should ramp back up when the score crosses a threshold', () => {
+    adaptive.update(analysis(81), 0);
+    adaptive.update(analysis(81), STABLE);
+
+    // Only 2 points, but crosses ScoreThresholds.GOOD
+    expect(adaptive.update(analysis(79), STABLE + 1000)).toBe(5);
+  });
+
+  test('should ignore timestamp and confidence changes', () => {
+    adaptive.update({ score: 90, metrics: { headForwardAngle: 10, timestamp: 0, confidence: 0.9 } }, 0);
+
+    expect(adaptive.update(
+      { score: 90, metrics: { headForwardAngle: 10, timestamp: STABLE, confidence: 0.6 } },
+      STABLE
+    )).toBe(AdaptiveFpsConfig.MIN_FPS);
+  });
+
+  test('should stabilize on real analyses of a steady pose', () => {
+    const analyzer = new PoseAnalyzer({ detection: { confidenceThreshold: 0.5 } });
+    const pose = {
+      width: 640,
+      height: 480,
+      keypoints: [
+        { part: 'nose', position: { x: 320, y: 150 }, score: 0.95 },
+        { part: 'leftEye', position: { x: 300, y: 135 }, score: 0.9 },
+        { part: 'rightEye', position: { x: 340, y: 135 }, score: 0.9 },
+        { part: 'leftEar', position: { x: 280, y: 145 }, score: 0.8 },
+        { part: 'rightEar', position: { x: 360, y: 145 }, score: 0.8 },
+        { part: 'leftShoulder', position: { x: 240, y: 260 }, score: 0.9 },
+        { part: 'rightShoulder', position: { x: 400, y: 260 }, score: 0.9 },
+      ],
+    };
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    let fps;
+
+    try {
+      // 5 FPS for 100 s of steady posture
+      for (; now <= 100000; now += 200) {
+        fps = adaptive.update(analyzer.analyzePose(pose), now);
+      }
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    expect(fps).toBe(AdaptiveFpsConfig.MIN_FPS);
+    expect(adaptive.stable).toBe(true);
+  });
+
+  test('should restart the stability window after a change', () => {
+    adaptive.update(analysis(90), 0);
+    adaptive.update(analysis(70), 5000);
+
+    expect(adaptive.update(analysis(70), STABLE)).toBe(5);
+    expect(adaptive.update(analysis(70), 5000 + STABLE)).toBe(AdaptiveFpsConfig.MIN_FPS);
+  });
+
+  test('should cap the rate while on battery', () => {
+    adaptive.setOnBattery(true);
+    expect(adaptive.update(analysis(90), 0)).toBe(AdaptiveFpsConfig.BATTERY_MAX_FPS);
+
+    adaptive.setOnBattery(false);
+    expect(adaptive.getTargetFPS()).toBe(5);
+  });
+
+  test('should never exceed the configured rate', () => {
+    adaptive.setMaxFPS(1);
+    adaptive.setOnBattery(true);
+    expect(adaptive.update(analysis(90), 0)).toBe(1);
+  });
+
+  test('should forget stability on reset', () => {
+    adaptive.update(analysis(90), 0);
+    adaptive.update(analysis(90), STABLE);
+    adaptive.reset();
+
+    expect(adaptive.getTargetFPS()).toBe(5);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for alertController.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { AlertController } from '../../src/background/alertController.js';
+import { PostureStatus, Time, AlertOutcome } from '../../src/utils/constants.js';
+
+// Real clocks are far past the zero lastAlertTime of a fresh controller
+const T0 = Date.UTC(2026, 0, 1);
+
+function createSettings(alerts = {}) {
+  return {
+    thresholds: { poorPostureDuration: 30, screenProximity: 15 },
+    alerts: { enabled: true, cooldown: 300, sound: false, ...alerts }
+  };
+}
+
+describe('AlertController', () => {
+  let notifications;
+  let playSound;
+  let controller;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    notifications = {
+      showPostureAlert: jest.fn().mockResolvedValue('⚠️ Poor Posture Detected'),
+      showDistanceAlert: jest.fn().mockResolvedValue('📏 Too Close to the Screen')
+    };
+    playSound = jest.fn();
+    controller = new AlertController({ settings: createSettings(), notifications, playSound, now: () => T0 });
+  });
+
+  describe('evaluate', () => {
+    test('should not alert for GOOD posture', async () => {
+      expect(await controller.evaluate(PostureStatus.GOOD, 90, T0)).toBeNull();
+      expect(await controller.evaluate(PostureStatus.GOOD, 90, T0 + 60 * Time.SECOND)).toBeNull();
+      expect(notifications.showPostureAlert).not.toHaveBeenCalled();
+    });
+
+    test('should alert after poor posture duration threshold', async () => {
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0)).toBeNull();
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 30 * Time.SECOND)).toBe(AlertOutcome.SHOWN);
+      expect(notifications.showPostureAlert).toHaveBeenCalledWith(PostureStatus.POOR, 30);
+    });
+
+    test('should not alert if duration below threshold', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 29 * Time.SECOND)).toBeNull();
+    });
+
+    test('should reset timer when posture improves', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+      await controller.evaluate(PostureStatus.WARNING, 60, T0 + 20 * Time.SECOND);
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 40 * Time.SECOND)).toBeNull();
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 70 * Time.SECOND)).toBe(AlertOutcome.SHOWN);
+    });
+
+    test('should not alert when alerts are disabled', async () => {
+      controller.updateSettings(createSettings({ enabled: false }));
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 60 * Time.SECOND)).toBeNull();
+    });
+  });
+
+  describe('evaluateDistance', () => {
+    test('should alert after sitting too close for the poor posture duration', async () => {
+      expect(await controller.evaluateDistance(25, T0)).toBeNull();
+      expect(await controller.evaluateDistance(25, T0 + 30 * Time.SECOND)).toBe(AlertOutcome.SHOWN);
+      expect(notifications.showDistanceAlert).toHaveBeenCalledTimes(1);
+      expect(notifications.showPostureAlert).not.toHaveBeenCalled();
+    });
+
+    test('should reset the timer within the threshold or without a measurement', async () => {
+      await controller.evaluateDistance(25, T0);
+      await controller.evaluateDistance(10, T0 + 10 * Time.SECOND);
+      await controller.evaluateDistance(25, T0 + 20 * Time.SECOND);
+      await controller.evaluateDistance(null, T0 + 40 * Time.SECOND);
+
+      expect(await controller.evaluateDistance(25, T0 + 50 * Time.SECOND)).toBeNull();
+      expect(notifications.showDistanceAlert).not.toHaveBeenCalled();
+    });
+
+    test('should share the cooldown with posture alerts', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+      await controller.evaluateDistance(25, T0);
+      await controller.evaluate(PostureStatus.POOR, 30, T0 + 30 * Time.SECOND);
+
+      expect(await controller.evaluateDistance(25, T0 + 30 * Time.SECOND)).toBeNull();
+      expect(notifications.showDistanceAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cooldown', () => {
+    test('should not alert again during the cooldown', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+      await controller.evaluate(PostureStatus.POOR, 30, T0 + 30 * Time.SECOND);
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 300 * Time.SECOND)).toBeNull();
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 330 * Time.SECOND)).toBe(AlertOutcome.SHOWN);
+      expect(notifications.showPostureAlert).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('sound', () => {
+    test('should play the alert sound once the notification is shown', async () => {
+      controller.updateSettings(createSettings({ sound: true }));
+      await controller.alert(PostureStatus.POOR, 30, T0);
+      await Promise.resolve();
+
+      expect(playSound).toHaveBeenCalled();
+    });
+
+    test('should stay silent when sound is off', async () => {
+      await controller.alert(PostureStatus.POOR, 30, T0);
+      await Promise.resolve();
+
+      expect(playSound).not.toHaveBeenCalled();
+    });
+
+    test('should skip the sound if the notification failed', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      notifications.showPostureAlert.mockRejectedValue(new Error('denied'));
+      controller.updateSettings(createSettings({ sound: true }));
+
+      expect(await controller.alert(PostureStatus.POOR, 30, T0)).toBe(AlertOutcome.SHOWN);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(playSound).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('snooze functionality', () => {
+    test('should disable alerts during snooze period', async () => {
+      expect(controller.snooze(15, T0)).toBe(T0 + 15 * Time.MINUTE);
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+
+      expect(controller.isSnoozed(T0 + 10 * Time.MINUTE)).toBe(true);
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 10 * Time.MINUTE)).toBeNull();
+    });
+
+    test('should resume alerts after snooze expires', async () => {
+      controller.snooze(15, T0);
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 15 * Time.MINUTE)).toBe(AlertOutcome.SHOWN);
+    });
+
+    test('should snooze until a given time', async () => {
+      expect(controller.snoozeUntil(T0 + Time.HOUR)).toBe(T0 + Time.HOUR);
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 59 * Time.MINUTE)).toBeNull();
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + Time.HOUR)).toBe(AlertOutcome.SHOWN);
+    });
+
+    test('should allow manual snooze cancellation', async () => {
+      controller.snooze(15, T0);
+      controller.cancelSnooze();
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+
+      expect(controller.isSnoozed(T0 + Time.MINUTE)).toBe(false);
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + Time.MINUTE)).toBe(AlertOutcome.SHOWN);
+    });
+  });
+
+  describe('quiet hours', () => {
+    test('should record but not show alerts during quiet hours', async () => {
+      const quiet = new AlertController({
+        settings: createSettings({ sound: true }),
+        notifications,
+        playSound,
+        isQuiet: async () => true
+      });
+
+      expect(await quiet.alert(PostureStatus.POOR, 30, T0)).toBe(AlertOutcome.SUPPRESSED);
+      expect(notifications.showPostureAlert).not.toHaveBeenCalled();
+      expect(playSound).not.toHaveBeenCalled();
+    });
+
+    test('should apply the cooldown to suppressed alerts', async () => {
+      const isQuiet = jest.fn().mockResolvedValue(true);
+      const quiet = new AlertController({ settings: createSettings(), notifications, isQuiet });
+
+      await quiet.alert(PostureStatus.POOR, 30, T0);
+
+      expect(await quiet.alert(PostureStatus.POOR, 30, T0 + 60 * Time.SECOND)).toBeNull();
+      expect(isQuiet).toHaveBeenCalledTimes(1);
+      expect(isQuiet).toHaveBeenCalledWith(T0);
+    });
+
+    test('should not alert twice while the quiet check is pending', async () => {
+      const results = await Promise.all([
+        controller.alert(PostureStatus.POOR, 30, T0),
+        controller.alert(PostureStatus.POOR, 30, T0 + 200)
+      ]);
+
+      expect(results).toEqual([AlertOutcome.SHOWN, null]);
+      expect(notifications.showPostureAlert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('state', () => {
+    test('should round-trip its checkpoint state', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0 + 1000);
+      controller.snooze(5, T0 + 2000);
+
+      const restored = new AlertController({ settings: createSettings(), notifications });
+      restored.restore(controller.getState());
+
+      expect(restored.getState()).toEqual({
+        poorPostureStartTime: T0 + 1000,
+        tooCloseStartTime: null,
+        lastAlertTime: 0
+      });
+      expect(restored.isSnoozed(T0 + 3000)).toBe(false);
+    });
+
+    test('should default missing checkpoint fields', () => {
+      controller.restore({ lastAlertTime: 500 });
+      expect(controller.getState()).toEqual({ poorPostureStartTime: null, tooCloseStartTime: null, lastAlertTime: 500 });
+    });
+
+    test('should clear the poor posture and distance timers on reset', async () => {
+      await controller.evaluate(PostureStatus.POOR, 30, T0);
+      await controller.evaluateDistance(25, T0);
+      controller.reset();
+
+      expect(await controller.evaluate(PostureStatus.POOR, 30, T0 + 30 * Time.SECOND)).toBeNull();
+      expect(await controller.evaluateDistance(25, T0 + 30 * Time.SECOND)).toBeNull();
+    });
+  });
+});
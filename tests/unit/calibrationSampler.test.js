@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for calibrationSampler.js
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { CalibrationSampler } from '../../src/detection/calibrationSampler.js';
+
+function sample(headForwardAngle, shoulderAsymmetry = 2, confidence = 0.9, eyeDistance = null) {
+  return {
+    headForwardAngle, shoulderAsymmetry, shoulderHeight: 60, shoulderWidth: 40, eyeDistance, neckAngle: 10, confidence
+  };
+}
+
+describe('CalibrationSampler', () => {
+  let sampler;
+
+  beforeEach(() => {
+    sampler = new CalibrationSampler({ MIN_SAMPLES: 5 });
+  });
+
+  test('should use the median of steady samples as the baseline', () => {
+    [8, 8.5, 9, 9.5, 10, 8.8].forEach(angle => sampler.add(sample(angle)));
+
+    expect(sampler.finish()).toEqual({
+      baseline: {
+        headForwardAngle: 8.9,
+        shoulderAsymmetry: 2,
+        shoulderHeight: 60,
+        shoulderWidth: 40,
+        eyeDistance: null,
+        headRoll: null,
+        headYaw: null
+      }
+    });
+  });
+
+  test('should keep eye distance only when enough frames measured it', () => {
+    [8, 8, 8, 8, 8].forEach(angle => sampler.add(sample(angle, 2, 0.9, 10)));
+    expect(sampler.finish().baseline.eyeDistance).toBe(10);
+
+    sampler = new CalibrationSampler({ MIN_SAMPLES: 5 });
+    [8, 8, 8, 8].forEach(angle => sampler.add(sample(angle, 2, 0.9, 10)));
+    sampler.add(sample(8));
+    expect(sampler.finish().baseline.eyeDistance).toBeNull();
+  });
+
+  test('should drop outliers before computing the baseline', () => {
+    [8, 8, 8, 8, 8, 8, 8, 8, 9, 9, 9, 9].forEach(angle => sampler.add(sample(angle)));
+    sampler.add(sample(40));
+
+    const { baseline } = sampler.finish();
+    expect(baseline.headForwardAngle).toBe(8);
+  });
+
+  test('should ignore frames without a usable pose', () => {
+    [8, 8, 8, 8].forEach(angle => sampler.add(sample(angle)));
+    sampler.add(null);
+
+    expect(sampler.finish().baseline).toBeNull();
+  });
+
+  test('should blame slow detection, not visibility, when too few frames arrive', () => {
+    [8, 8, 8].forEach(angle => sampler.add(sample(angle)));
+
+    const result = sampler.finish();
+    expect(result.baseline).toBeNull();
+    expect(result.error).toMatch(/too slowly/);
+  });
+
+  test('should blame visibility when frames arrive without a usable pose', () => {
+    [1, 2, 3, 4, 5, 6].forEach(() => sampler.add(null));
+
+    expect(sampler.finish().error).toMatch(/could not see you clearly/);
+  });
+
+  test('should stop after the minimum duration once enough poses arrived', () => {
+    sampler = new CalibrationSampler({ MIN_SAMPLES: 5, DURATION: 5000, MAX_DURATION: 15000 }, 0);
+    [8, 8, 8, 8, 8].forEach(angle => sampler.add(sample(angle)));
+
+    expect(sampler.isDone(4999)).toBe(false);
+    expect(sampler.isDone(5000)).toBe(true);
+  });
+
+  test('should keep sampling slow captures until the time limit', () => {
+    sampler = new CalibrationSampler({ MIN_SAMPLES: 5, DURATION: 5000, MAX_DURATION: 15000 }, 0);
+    [8, 8, 8].forEach(angle => sampler.add(sample(angle)));
+
+    expect(sampler.isDone(5000)).toBe(false);
+    expect(sampler.isDone(15000)).toBe(true);
+  });
+
+  test('should refuse low confidence captures', () => {
+    [8, 8, 8, 8, 8, 8].forEach(angle => sampler.add(sample(angle, 2, 0.4)));
+
+    const result = sampler.finish();
+    expect(result.baseline).toBeNull();
+    expect(result.error).toMatch(/could not see you clearly/);
+  });
+
+  test('should judge shoulder height steadiness in percent of the frame', () => {
+    // Breathing moves the shoulders by a few percent of the frame
+    [56, 58.5, 61, 63.5, 66, 56, 58.5, 61, 63.5, 66].forEach(shoulderHeight =>
+      sampler.add({ ...sample(8), shoulderHeight }));
+
+    expect(sampler.finish().baseline.shoulderHeight).toBe(61);
+  });
+
+  test('should judge shoulder width steadiness in percent of the frame', () => {
+    [37, 38.5, 40, 41.5, 43, 37, 38.5, 40, 41.5, 43].forEach(shoulderWidth =>
+      sampler.add({ ...sample(8), shoulderWidth }));
+    expect(sampler.finish().baseline.shoulderWidth).toBe(40);
+
+    sampler = new CalibrationSampler({ MIN_SAMPLES: 5 });
+    [30, 35, 40, 45, 50, 30, 35, 40, 45, 50].forEach(shoulderWidth =>
+      sampler.add({ ...sample(8), shoulderWidth }));
+    expect(sampler.finish().error).toMatch(/moved too much/);
+  });
+
+  test('should refuse captures with too much movement', () => {
+    [2, 6, 10, 14, 18, 22, 26, 30].forEach(angle => sampler.add(sample(angle)));
+
+    const result = sampler.finish();
+    expect(result.baseline).toBeNull();
+    expect(result.error).toMatch(/moved too much/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for camera.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { getVideoConstraints, isDeviceUnavailableError, getRetryDelay, listCameras } from '../../src/utils/camera.js';
+import { VideoConstraints, CameraRecovery } from '../../src/utils/constants.js';
+
+describe('camera', () => {
+  describe('getVideoConstraints', () => {
+    test('should use the default camera and medium resolution by default', () => {
+      const constraints = getVideoConstraints();
+
+      expect(constraints.facingMode).toBe(VideoConstraints.facingMode);
+      expect(constraints.width).toEqual({ ideal: 640 });
+      expect(constraints.height).toEqual({ ideal: 480 });
+      expect(constraints.deviceId).toBeUndefined();
+    });
+
+    test('should apply the resolution preset', () => {
+      const constraints = getVideoConstraints({ resolution: 'high' });
+
+      expect(constraints.width).toEqual({ ideal: 1280 });
+      expect(constraints.height).toEqual({ ideal: 720 });
+    });
+
+    test('should fall back to medium for an unknown resolution', () => {
+      expect(getVideoConstraints({ resolution: '8k' }).width).toEqual({ ideal: 640 });
+    });
+
+    test('should require the saved device instead of a facing mode', () => {
+      const constraints = getVideoConstraints({ deviceId: 'cam-2', resolution: 'low' });
+
+      expect(constraints.deviceId).toEqual({ exact: 'cam-2' });
+      expect(constraints.facingMode).toBeUndefined();
+      expect(constraints.width).toEqual({ ideal: 320 });
+    });
+
+    test('should ignore the saved device when useDevice is false', () => {
+      const constraints = getVideoConstraints({ deviceId: 'cam-2' }, { useDevice: false });
+
+      expect(constraints.deviceId).toBeUndefined();
+      expect(constraints.facingMode).toBe('user');
+    });
+
+    test('should not mutate the shared VideoConstraints', () => {
+      getVideoConstraints({ deviceId: 'cam-2', resolution: 'high' });
+      expect(VideoConstraints.facingMode).toBe('user');
+      expect(VideoConstraints.width).toEqual({ ideal: 640 });
+    });
+  });
+
+  describe('isDeviceUnavailableError', () => {
+    test('should match missing-device errors', () => {
+      expect(isDeviceUnavailableError({ name: 'OverconstrainedError' })).toBe(true);
+      expect(isDeviceUnavailableError({ name: 'NotFoundError' })).toBe(true);
+    });
+
+    test('should not match permission errors', () => {
+      expect(isDeviceUnavailableError({ name: 'NotAllowedError' })).toBe(false);
+      expect(isDeviceUnavailableError(null)).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should back off exponentially from the initial delay', () => {
+      expect(getRetryDelay(0)).toBe(CameraRecovery.INITIAL_DELAY);
+      expect(getRetryDelay(1)).toBe(CameraRecovery.INITIAL_DELAY * CameraRecovery.BACKOFF_FACTOR);
+      expect(getRetryDelay(2)).toBe(CameraRecovery.INITIAL_DELAY * CameraRecovery.BACKOFF_FACTOR ** 2);
+    });
+
+    test('should cap the delay', () => {
+      expect(getRetryDelay(20)).toBe(CameraRecovery.MAX_DELAY);
+    });
+
+    test('should accept custom backoff settings', () => {
+      const config = { INITIAL_DELAY: 100, BACKOFF_FACTOR: 3, MAX_DELAY: 500 };
+      expect(getRetryDelay(1, config)).toBe(300);
+      expect(getRetryDelay(2, config)).toBe(500);
+    });
+  });
+
+  describe('listCameras', () => {
+    beforeEach(() => {
+      navigator.mediaDevices = {
+        enumerateDevices: jest.fn().mockResolvedValue([
+          { kind: 'audioinput', deviceId: 'mic-1', label: 'Microphone' },
+          { kind: 'videoinput', deviceId: 'cam-1', label: 'Built-in Camera' },
+          { kind: 'videoinput', deviceId: 'cam-2', label: '' },
+          { kind: 'videoinput', deviceId: '', label: '' },
+        ]),
+      };
+    });
+
+    test('should list video inputs with labels', async () => {
+      const cameras = await listCameras();
+
+      expect(cameras).toEqual([
+        { deviceId: 'cam-1', label: 'Built-in Camera' },
+        { deviceId: 'cam-2', label: 'Camera 2' },
+      ]);
+    });
+
+    test('should return an empty list without enumerateDevices', async () => {
+      navigator.mediaDevices = undefined;
+      expect(await listCameras()).toEqual([]);
+    });
+  });
+});
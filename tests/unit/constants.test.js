@@ -6,9 +6,13 @@ import { describe, test, expect } from '@jest/globals';
 import {
   PostureStatus,
   DetectionState,
+  DetectionTransitions,
   MessageType,
+  RuntimeMessage,
+  ResponseCode,
   StorageKeys,
   SensitivityMultipliers,
+  DefaultThresholds,
   ScoreThresholds,
   KeypointParts,
   NotificationIds,
@@ -16,10 +20,30 @@ import {
   StatsPeriod,
   ErrorCode,
   VideoConstraints,
+  CameraResolution,
+  CameraResolutionSize,
+  CameraRecovery,
   PoseNetConfig,
+  PoseBackend,
+  PoseBackendConfig,
+  TfBackend,
+  TfBackendOrder,
+  FpsMode,
+  AdaptiveFpsConfig,
+  ModelAssets,
+  Watchdog,
+  PauseReason,
+  Presence,
+  Calibration,
+  PortNames,
+  AlarmNames,
+  AlertOutcome,
+  AlertReason,
+  SnoozePreset,
   MaxHistory,
   UpdateIntervals,
 } from '../../src/utils/constants.js';
+import { getDefaultSettings, validateSettings } from '../../src/utils/validators.js';
 
 describe('constants', () => {
   describe('PostureStatus', () => {
@@ -48,15 +72,37 @@ describe('constants', () => {
   describe('DetectionState', () => {
     test('should have correct state values', () => {
       expect(DetectionState.IDLE).toBe('idle');
-      expect(DetectionState.STARTING).toBe('starting');
+      expect(DetectionState.ACQUIRING_CAMERA).toBe('acquiring_camera');
+      expect(DetectionState.LOADING_MODEL).toBe('loading_model');
+      expect(DetectionState.WARMING_UP).toBe('warming_up');
       expect(DetectionState.RUNNING).toBe('running');
+      expect(DetectionState.PAUSED).toBe('paused');
       expect(DetectionState.STOPPING).toBe('stopping');
       expect(DetectionState.ERROR).toBe('error');
     });
 
     test('should have all required states', () => {
       const states = Object.keys(DetectionState);
-      expect(states.length).toBe(5);
+      expect(states.length).toBe(8);
+    });
+  });
+
+  describe('DetectionTransitions', () => {
+    test('should list transitions for every state', () => {
+      expect(Object.keys(DetectionTransitions).sort()).toEqual(Object.values(DetectionState).sort());
+    });
+
+    test('should only lead to known states', () => {
+      const states = Object.values(DetectionState);
+      Object.values(DetectionTransitions).forEach(targets => {
+        targets.forEach(target => expect(states).toContain(target));
+      });
+    });
+
+    test('should let every active state stop', () => {
+      Object.entries(DetectionTransitions)
+        .filter(([state]) => state !== DetectionState.STOPPING)
+        .forEach(([, targets]) => expect(targets).toContain(DetectionState.STOPPING));
     });
   });
 
@@ -72,10 +118,16 @@ describe('constants', () => {
     test('should have main message types', () => {
       expect(MessageType.READY).toBe('ready');
       expect(MessageType.POSE_RESULT).toBe('pose_result');
+      expect(MessageType.FRAME_DROPPED).toBe('frame_dropped');
       expect(MessageType.ERROR).toBe('error');
       expect(MessageType.STATUS).toBe('status');
     });
 
+    test('should have frame clock message types', () => {
+      expect(MessageType.SET_RATE).toBe('set_rate');
+      expect(MessageType.TICK).toBe('tick');
+    });
+
     test('should have unique message types', () => {
       const values = Object.values(MessageType);
       const uniqueValues = [...new Set(values)];
@@ -83,6 +135,34 @@ describe('constants', () => {
     });
   });
 
+  describe('RuntimeMessage', () => {
+    test('should keep the existing wire names', () => {
+      expect(RuntimeMessage.START_MONITORING).toBe('start_monitoring');
+      expect(RuntimeMessage.STOP_MONITORING).toBe('stop_monitoring');
+      expect(RuntimeMessage.PAUSE_MONITORING).toBe('pause_monitoring');
+      expect(RuntimeMessage.RESUME_MONITORING).toBe('resume_monitoring');
+      expect(RuntimeMessage.POSTURE_UPDATE).toBe('posture_update');
+      expect(RuntimeMessage.SETTINGS_UPDATED).toBe('settings_updated');
+    });
+
+    test('should have unique values', () => {
+      const values = Object.values(RuntimeMessage);
+      expect(new Set(values).size).toBe(values.length);
+    });
+  });
+
+  describe('ResponseCode', () => {
+    test('should define protocol failure codes', () => {
+      expect(ResponseCode.INVALID_DATA).toBe('INVALID_DATA');
+      expect(ResponseCode.UNKNOWN_TYPE).toBe('UNKNOWN_TYPE');
+      expect(ResponseCode.VERSION_MISMATCH).toBe('VERSION_MISMATCH');
+    });
+
+    test('should be frozen', () => {
+      expect(Object.isFrozen(ResponseCode)).toBe(true);
+    });
+  });
+
   describe('StorageKeys', () => {
     test('should have all storage keys', () => {
       expect(StorageKeys.SETTINGS).toBe('settings');
@@ -124,6 +204,16 @@ describe('constants', () => {
     });
   });
 
+  describe('DefaultThresholds', () => {
+    test('should be the default settings thresholds', () => {
+      expect(getDefaultSettings().thresholds).toEqual(DefaultThresholds);
+    });
+
+    test('should pass settings validation', () => {
+      expect(validateSettings({ thresholds: { ...DefaultThresholds } }).valid).toBe(true);
+    });
+  });
+
   describe('ScoreThresholds', () => {
     test('should have correct threshold values', () => {
       expect(ScoreThresholds.GOOD).toBe(80);
@@ -177,6 +267,8 @@ describe('constants', () => {
       expect(NotificationIds.POOR_POSTURE).toBe('poor-posture-alert');
       expect(NotificationIds.WARNING_POSTURE).toBe('warning-posture-alert');
       expect(NotificationIds.CAMERA_ERROR).toBe('camera-error');
+      expect(NotificationIds.CAMERA_FALLBACK).toBe('camera-fallback');
+      expect(NotificationIds.MODEL_ERROR).toBe('model-error');
       expect(NotificationIds.PERMISSION_DENIED).toBe('permission-denied');
     });
 
@@ -287,10 +379,125 @@ describe('constants', () => {
     });
   });
 
+  describe('PoseBackend', () => {
+    test('should have all supported backends', () => {
+      expect(PoseBackend.POSENET).toBe('posenet');
+      expect(PoseBackend.MOVENET_LIGHTNING).toBe('movenet-lightning');
+      expect(PoseBackend.MOVENET_THUNDER).toBe('movenet-thunder');
+      expect(PoseBackend.BLAZEPOSE).toBe('blazepose');
+    });
+
+    test('should have a config with input resolution for every backend', () => {
+      Object.values(PoseBackend).forEach((backend) => {
+        expect(PoseBackendConfig[backend].inputResolution.width).toBeGreaterThan(0);
+        expect(PoseBackendConfig[backend].inputResolution.height).toBeGreaterThan(0);
+      });
+    });
+
+    test('should reuse PoseNetConfig for the posenet backend', () => {
+      expect(PoseBackendConfig[PoseBackend.POSENET]).toBe(PoseNetConfig);
+    });
+  });
+
+  describe('TfBackendOrder', () => {
+    test('should fall back from WebGL to WASM to CPU', () => {
+      expect(TfBackendOrder).toEqual([TfBackend.WEBGL, TfBackend.WASM, TfBackend.CPU]);
+    });
+
+    test('should end with the always-available CPU backend', () => {
+      expect(TfBackendOrder[TfBackendOrder.length - 1]).toBe('cpu');
+    });
+  });
+
+  describe('CameraResolution', () => {
+    test('should define a size for every preset', () => {
+      Object.values(CameraResolution).forEach((resolution) => {
+        expect(CameraResolutionSize[resolution].width).toBeGreaterThan(0);
+        expect(CameraResolutionSize[resolution].height).toBeGreaterThan(0);
+      });
+    });
+
+    test('should use the default capture size for medium', () => {
+      expect(CameraResolutionSize[CameraResolution.MEDIUM]).toEqual({
+        width: VideoConstraints.width.ideal,
+        height: VideoConstraints.height.ideal,
+      });
+    });
+  });
+
+  describe('CameraRecovery', () => {
+    test('should back off from a short initial delay to a capped maximum', () => {
+      expect(CameraRecovery.INITIAL_DELAY).toBeGreaterThan(0);
+      expect(CameraRecovery.MAX_DELAY).toBeGreaterThan(CameraRecovery.INITIAL_DELAY);
+      expect(CameraRecovery.BACKOFF_FACTOR).toBeGreaterThan(1);
+      expect(CameraRecovery.MUTE_GRACE).toBeGreaterThan(0);
+    });
+  });
+
+  describe('FpsMode', () => {
+    test('should have fixed and auto modes', () => {
+      expect(FpsMode.FIXED).toBe('fixed');
+      expect(FpsMode.AUTO).toBe('auto');
+    });
+  });
+
+  describe('AdaptiveFpsConfig', () => {
+    test('should throttle to at least 1 FPS', () => {
+      expect(AdaptiveFpsConfig.MIN_FPS).toBe(1);
+      expect(AdaptiveFpsConfig.BATTERY_MAX_FPS).toBeGreaterThanOrEqual(AdaptiveFpsConfig.MIN_FPS);
+    });
+
+    test('should require a positive stability window and deltas', () => {
+      expect(AdaptiveFpsConfig.STABLE_DURATION).toBeGreaterThan(0);
+      expect(AdaptiveFpsConfig.SCORE_DELTA).toBeGreaterThan(0);
+      expect(AdaptiveFpsConfig.METRIC_DELTA).toBeGreaterThan(0);
+    });
+  });
+
+  describe('ModelAssets', () => {
+    const allPaths = () => [
+      ModelAssets.RUNTIME,
+      ModelAssets.WASM.script,
+      ...ModelAssets.WASM.binaries,
+      ...Object.values(ModelAssets.BACKENDS).flatMap((backend) => [
+        ...backend.scripts,
+        ...Object.values(backend.models),
+      ]),
+    ];
+
+    test('should reference only bundled extension paths', () => {
+      allPaths().forEach((path) => {
+        expect(path).not.toMatch(/^https?:/);
+        expect(path).not.toMatch(/^\//);
+      });
+    });
+
+    test('should load the models as JSON', () => {
+      Object.values(ModelAssets.BACKENDS).forEach((backend) => {
+        Object.values(backend.models).forEach((model) => {
+          expect(model).toMatch(/\.json$/);
+        });
+      });
+    });
+
+    test('should have assets for every backend', () => {
+      Object.values(PoseBackend).forEach((backend) => {
+        expect(ModelAssets.BACKENDS[backend].scripts.length).toBeGreaterThan(0);
+      });
+    });
+
+    test('should not allow modifying script lists', () => {
+      expect(() => {
+        ModelAssets.BACKENDS[PoseBackend.POSENET].scripts.push('https://cdn.example.com/tf.js');
+      }).toThrow();
+    });
+  });
+
   describe('MaxHistory', () => {
     test('should have all history limits', () => {
       expect(MaxHistory.METRICS).toBe(30);
       expect(MaxHistory.STATISTICS).toBe(90);
+      expect(MaxHistory.SESSIONS).toBe(100);
       expect(MaxHistory.NOTIFICATIONS).toBe(100);
     });
 
@@ -301,9 +508,85 @@ describe('constants', () => {
     });
   });
 
+  describe('AlertOutcome', () => {
+    test('should tell shown and suppressed alerts apart', () => {
+      expect(AlertOutcome.SHOWN).toBe('shown');
+      expect(AlertOutcome.SUPPRESSED).toBe('suppressed');
+    });
+  });
+
+  describe('AlertReason', () => {
+    test('should have unique values', () => {
+      const values = Object.values(AlertReason);
+      expect(new Set(values).size).toBe(values.length);
+      expect(AlertReason.TOO_CLOSE).toBe('too_close');
+    });
+  });
+
+  describe('SnoozePreset', () => {
+    test('should have unique values', () => {
+      const values = Object.values(SnoozePreset);
+      expect(values).toContain('15m');
+      expect(new Set(values).size).toBe(values.length);
+    });
+  });
+
+  describe('AlarmNames', () => {
+    test('should name the working-hours alarm', () => {
+      expect(AlarmNames.SCHEDULE).toBe('working-hours');
+    });
+  });
+
+  describe('PauseReason', () => {
+    test('should match the browser.idle states it pauses for', () => {
+      expect(PauseReason.USER).toBe('user');
+      expect(PauseReason.IDLE).toBe('idle');
+      expect(PauseReason.LOCKED).toBe('locked');
+    });
+  });
+
+  describe('Presence', () => {
+    test('should stay within browser.idle limits', () => {
+      // browser.idle rejects detection intervals under 15 seconds
+      expect(Presence.IDLE_THRESHOLD).toBeGreaterThanOrEqual(15);
+      expect(Presence.ABSENT_AFTER).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Calibration', () => {
+    test('should sample enough frames for a baseline', () => {
+      expect(Calibration.DURATION / 1000 * Calibration.MIN_FPS).toBeGreaterThan(Calibration.MIN_SAMPLES);
+      expect(Calibration.MIN_CONFIDENCE).toBeLessThanOrEqual(1);
+    });
+
+    test('should allow slow frames extra time to reach the minimum samples', () => {
+      expect(Calibration.MAX_DURATION).toBeGreaterThan(Calibration.DURATION);
+      // 1 FPS, as on a CPU backend, still reaches MIN_SAMPLES within the limit
+      expect(Calibration.MAX_DURATION / 1000).toBeGreaterThan(Calibration.MIN_SAMPLES);
+    });
+  });
+
+  describe('PortNames', () => {
+    test('should have correct values', () => {
+      expect(PortNames.POSE_PREVIEW).toBe('pose_preview');
+    });
+  });
+
+  describe('Watchdog', () => {
+    test('should send heartbeats well within the heartbeat timeout', () => {
+      expect(Watchdog.HEARTBEAT_INTERVAL * 2).toBeLessThanOrEqual(Watchdog.HEARTBEAT_TIMEOUT);
+    });
+
+    test('should give the model time to load before checking results', () => {
+      expect(Watchdog.STARTUP_GRACE).toBeGreaterThanOrEqual(Watchdog.RESULT_TIMEOUT);
+      expect(Watchdog.MAX_RESTARTS).toBeGreaterThan(0);
+    });
+  });
+
   describe('UpdateIntervals', () => {
     test('should have all intervals', () => {
       expect(UpdateIntervals.POPUP).toBe(500);
+      expect(UpdateIntervals.PERFORMANCE).toBe(2000);
       expect(UpdateIntervals.STATISTICS).toBe(60000);
     });
 
@@ -0,0 +1,257 @@
+/**
+ * Unit Tests for detectionHost.js
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  TabDetectionHost,
+  OffscreenDetectionHost,
+  createDetectionHost,
+} from '../../src/background/detectionHost.js';
+
+describe('detectionHost', () => {
+  let cameraPermission;
+
+  beforeEach(() => {
+    cameraPermission = 'granted';
+    Object.defineProperty(navigator, 'permissions', {
+      configurable: true,
+      value: { query: jest.fn(async () => ({ state: cameraPermission })) },
+    });
+  });
+
+  afterEach(() => {
+    ['create', 'remove', 'get', 'hide', 'update'].forEach(method => delete browser.tabs[method]);
+    delete navigator.permissions;
+    delete global.chrome;
+  });
+
+  describe('TabDetectionHost', () => {
+    let host;
+
+    beforeEach(() => {
+      browser.tabs.create = jest.fn().mockResolvedValue({ id: 7 });
+      browser.tabs.remove = jest.fn().mockResolvedValue();
+      browser.tabs.get = jest.fn();
+      browser.tabs.hide = jest.fn().mockResolvedValue([7]);
+      browser.tabs.update = jest.fn().mockResolvedValue({ id: 3 });
+      browser.tabs.query.mockResolvedValue([{ id: 3 }]);
+      browser.runtime.getURL.mockImplementation((path) => `moz-extension://fake-id/${path}`);
+      host = new TabDetectionHost();
+    });
+
+    test('should open the detection page in a hidden background tab', async () => {
+      await host.open();
+
+      expect(navigator.permissions.query).toHaveBeenCalledWith({ name: 'camera' });
+      expect(browser.tabs.create).toHaveBeenCalledWith({
+        url: 'moz-extension://fake-id/src/detection/detection.html',
+        active: false,
+      });
+      expect(browser.tabs.hide).toHaveBeenCalledWith(7);
+      expect(host.isOpen()).toBe(true);
+      expect(host.id).toBe(7);
+      expect(host.owns(7)).toBe(true);
+    });
+
+    test('should open in front while the camera permission prompt is pending', async () => {
+      cameraPermission = 'prompt';
+
+      await host.open();
+
+      expect(browser.tabs.create).toHaveBeenCalledWith(expect.objectContaining({ active: true }));
+      expect(browser.tabs.hide).not.toHaveBeenCalled();
+    });
+
+    test('should reopen a paused session hidden, without the camera', async () => {
+      cameraPermission = 'prompt';
+
+      await host.open({ paused: true });
+
+      expect(browser.tabs.create).toHaveBeenCalledWith({
+        url: 'moz-extension://fake-id/src/detection/detection.html?paused',
+        active: false,
+      });
+      expect(browser.tabs.hide).toHaveBeenCalledWith(7);
+    });
+
+    test('should assume a prompt when camera permission cannot be queried', async () => {
+      navigator.permissions.query.mockRejectedValue(new TypeError("'camera' is not a valid value"));
+
+      await host.open();
+
+      expect(browser.tabs.create).toHaveBeenCalledWith(expect.objectContaining({ active: true }));
+    });
+
+    test('should hide the tab and return to the previous one once the camera is open', async () => {
+      cameraPermission = 'prompt';
+      await host.open();
+
+      await host.conceal();
+
+      expect(browser.tabs.update).toHaveBeenCalledWith(3, { active: true });
+      expect(browser.tabs.hide).toHaveBeenCalledWith(7);
+      
+      // Only once, and never for a tab that opened hidden
+      await host.conceal();
+      expect(browser.tabs.hide).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not switch tabs when concealing a tab that opened hidden', async () => {
+      await host.open();
+      await host.conceal();
+
+      expect(browser.tabs.update).not.toHaveBeenCalled();
+      expect(browser.tabs.hide).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep a visible tab when it cannot be hidden', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      browser.tabs.hide.mockRejectedValue(new Error('Permission denied'));
+
+      await host.open();
+      expect(host.isOpen()).toBe(true);
+
+      delete browser.tabs.hide;
+      await host.open();
+      expect(host.id).toBe(7);
+    });
+
+    test('should stop owning the tab before removing it', async () => {
+      await host.open();
+      browser.tabs.remove.mockImplementation(async () => {
+        expect(host.owns(7)).toBe(false);
+      });
+
+      await host.close();
+
+      expect(browser.tabs.remove).toHaveBeenCalledWith(7);
+      expect(host.isOpen()).toBe(false);
+    });
+
+    test('should reattach to a tab that still exists', async () => {
+      browser.tabs.get.mockResolvedValue({ id: 9 });
+
+      expect(await host.reattach(9)).toBe(true);
+      expect(host.id).toBe(9);
+    });
+
+    test('should not reattach to a tab that is gone', async () => {
+      browser.tabs.get.mockRejectedValue(new Error('Invalid tab ID: 9'));
+
+      expect(await host.reattach(9)).toBe(false);
+      expect(await host.reattach('offscreen')).toBe(false);
+      expect(host.isOpen()).toBe(false);
+    });
+
+    test('should message the detection tab', async () => {
+      await host.open();
+
+      await host.sendMessage({ type: 'play_alert_sound' });
+
+      expect(browser.tabs.sendMessage).toHaveBeenCalledWith(7, { type: 'play_alert_sound' });
+    });
+
+    test('should forget a tab closed from outside', async () => {
+      await host.open();
+      host.detach();
+
+      expect(host.isOpen()).toBe(false);
+      expect(host.owns(7)).toBe(false);
+    });
+  });
+
+  describe('OffscreenDetectionHost', () => {
+    let host;
+    let hasDocument;
+
+    beforeEach(() => {
+      hasDocument = false;
+      global.chrome = {
+        offscreen: {
+          createDocument: jest.fn(async () => { hasDocument = true; }),
+          closeDocument: jest.fn(async () => { hasDocument = false; }),
+          hasDocument: jest.fn(async () => hasDocument),
+        },
+        runtime: { sendMessage: jest.fn().mockResolvedValue() },
+      };
+      host = new OffscreenDetectionHost();
+    });
+
+    test('should create an offscreen document for camera access', async () => {
+      await host.open();
+
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'src/detection/detection.html',
+        reasons: expect.arrayContaining(['USER_MEDIA']),
+      }));
+      expect(host.isOpen()).toBe(true);
+      expect(host.id).toBe('offscreen');
+    });
+
+    test('should create a paused offscreen document for a paused session', async () => {
+      await host.open({ paused: true });
+
+      expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'src/detection/detection.html?paused',
+      }));
+    });
+
+    test('should reuse an existing offscreen document', async () => {
+      hasDocument = true;
+      await host.open();
+
+      expect(chrome.offscreen.createDocument).not.toHaveBeenCalled();
+      expect(host.isOpen()).toBe(true);
+    });
+
+    test('should close the offscreen document', async () => {
+      await host.open();
+      await host.close();
+
+      expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+      expect(host.isOpen()).toBe(false);
+    });
+
+    test('should reattach only to a live offscreen document', async () => {
+      expect(await host.reattach('offscreen')).toBe(false);
+
+      hasDocument = true;
+      expect(await host.reattach('offscreen')).toBe(true);
+      expect(await host.reattach(7)).toBe(false);
+    });
+
+    test('should fall back to runtime.getContexts without hasDocument', async () => {
+      delete chrome.offscreen.hasDocument;
+      chrome.runtime.getContexts = jest.fn().mockResolvedValue([{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+
+      expect(await host.hasDocument()).toBe(true);
+    });
+
+    test('should message the document through runtime messaging', async () => {
+      await host.sendMessage({ type: 'settings_updated', data: {} });
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'settings_updated', data: {} });
+    });
+  });
+
+  describe('createDetectionHost', () => {
+    test('should use an offscreen document in Chrome, which has only the chrome namespace', () => {
+      const firefoxBrowser = global.browser;
+      delete global.browser;
+      global.chrome = { offscreen: { createDocument: jest.fn() } };
+
+      try {
+        expect(createDetectionHost()).toBeInstanceOf(OffscreenDetectionHost);
+      } finally {
+        global.browser = firefoxBrowser;
+      }
+    });
+
+    test('should use a hidden tab in Firefox, which has no offscreen API', () => {
+      // Firefox aliases chrome to browser, without offscreen
+      global.chrome = global.browser;
+      expect(createDetectionHost()).toBeInstanceOf(TabDetectionHost);
+    });
+  });
+});
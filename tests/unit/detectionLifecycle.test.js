@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for detectionLifecycle.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { DetectionLifecycle } from '../../src/detection/detectionLifecycle.js';
+import { DetectionState } from '../../src/utils/constants.js';
+
+describe('DetectionLifecycle', () => {
+  let onTransition;
+  let lifecycle;
+
+  beforeEach(() => {
+    onTransition = jest.fn();
+    lifecycle = new DetectionLifecycle({ onTransition });
+  });
+
+  test('should start idle', () => {
+    expect(lifecycle.state).toBe(DetectionState.IDLE);
+    expect(lifecycle.is(DetectionState.IDLE, DetectionState.STOPPING)).toBe(true);
+  });
+
+  test('should walk through a normal start', () => {
+    expect(lifecycle.transition(DetectionState.ACQUIRING_CAMERA)).toBe(true);
+    expect(lifecycle.transition(DetectionState.LOADING_MODEL)).toBe(true);
+    expect(lifecycle.transition(DetectionState.WARMING_UP)).toBe(true);
+    expect(lifecycle.transition(DetectionState.RUNNING)).toBe(true);
+
+    expect(lifecycle.state).toBe(DetectionState.RUNNING);
+  });
+
+  test('should broadcast every transition with the previous state', () => {
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+
+    expect(onTransition).toHaveBeenCalledWith({
+      state: DetectionState.ACQUIRING_CAMERA,
+      previous: DetectionState.IDLE
+    });
+  });
+
+  test('should include transition details', () => {
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+    lifecycle.transition(DetectionState.ERROR, { reason: 'ended', retryInMs: 1000 });
+
+    expect(onTransition).toHaveBeenLastCalledWith({
+      state: DetectionState.ERROR,
+      previous: DetectionState.ACQUIRING_CAMERA,
+      reason: 'ended',
+      retryInMs: 1000
+    });
+  });
+
+  test('should reject illegal transitions', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(lifecycle.canTransition(DetectionState.RUNNING)).toBe(false);
+    expect(lifecycle.transition(DetectionState.RUNNING)).toBe(false);
+
+    expect(lifecycle.state).toBe(DetectionState.IDLE);
+    expect(onTransition).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('Rejected detection state transition: idle -> running');
+  });
+
+  test('should not report a result-less state as running', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+
+    expect(lifecycle.transition(DetectionState.RUNNING)).toBe(false);
+  });
+
+  test('should allow repeated camera retry reports while in error', () => {
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+    lifecycle.transition(DetectionState.ERROR, { attempt: 0 });
+
+    expect(lifecycle.transition(DetectionState.ERROR, { attempt: 1 })).toBe(true);
+    expect(lifecycle.transition(DetectionState.WARMING_UP)).toBe(true);
+  });
+
+  test('should pause from any active state and resume by reacquiring the camera', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+    lifecycle.transition(DetectionState.WARMING_UP);
+    lifecycle.transition(DetectionState.RUNNING);
+
+    expect(lifecycle.transition(DetectionState.PAUSED)).toBe(true);
+    expect(lifecycle.transition(DetectionState.RUNNING)).toBe(false);
+    expect(lifecycle.transition(DetectionState.ACQUIRING_CAMERA)).toBe(true);
+  });
+
+  test('should only return to idle by stopping', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    lifecycle.transition(DetectionState.ACQUIRING_CAMERA);
+
+    expect(lifecycle.transition(DetectionState.IDLE)).toBe(false);
+    expect(lifecycle.transition(DetectionState.STOPPING)).toBe(true);
+    expect(lifecycle.transition(DetectionState.IDLE)).toBe(true);
+  });
+
+  test('should accept a custom transition table', () => {
+    const custom = new DetectionLifecycle({
+      transitions: { [DetectionState.IDLE]: [DetectionState.RUNNING] }
+    });
+
+    expect(custom.transition(DetectionState.RUNNING)).toBe(true);
+  });
+});
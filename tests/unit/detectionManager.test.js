@@ -0,0 +1,148 @@
+/**
+ * Unit Tests for detectionManager.js
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DetectionManager } from '../../src/detection/detectionManager.js';
+import { createMessage, PROTOCOL_VERSION } from '../../src/utils/protocol.js';
+import { DetectionState, MessageType, PoseBackend, RuntimeMessage } from '../../src/utils/constants.js';
+import { waitFor } from '../helpers/testUtils.js';
+
+const SETTINGS = { detection: { fps: 5 }, camera: {} };
+
+// jsdom has no setImmediate
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.postMessage = jest.fn();
+    this.terminate = jest.fn();
+    FakeWorker.instances.push(this);
+  }
+
+  // Deliver a message as if posted by the worker
+  emit(type, data) {
+    this.onmessage({ data: { type, data } });
+  }
+}
+
+describe('DetectionManager', () => {
+  let manager;
+  let camera;
+  let track;
+
+  const poseWorker = () => FakeWorker.instances.filter(worker => worker.url.endsWith('detectionWorker.js')).at(-1);
+
+  // Deliver a runtime message from the background
+  const receive = async (type, data) => {
+    const [listener] = browser.runtime.onMessage.addListener.mock.calls.at(-1);
+    listener(createMessage(type, data), {});
+    await flushPromises();
+  };
+
+  // Grant the pending getUserMedia call and let the video load
+  const grantCamera = async () => {
+    camera.resolve({ getTracks: () => [track], getVideoTracks: () => [track] });
+    await waitFor(() => manager.video.onloadedmetadata);
+    manager.video.onloadedmetadata();
+    await flushPromises();
+  };
+
+  beforeEach(async () => {
+    FakeWorker.instances = [];
+    global.Worker = FakeWorker;
+    document.body.innerHTML = '<video id="video"></video><canvas id="canvas"></canvas>';
+    
+    track = { stop: jest.fn(), addEventListener: jest.fn() };
+    navigator.mediaDevices.getUserMedia = jest.fn(() => new Promise((resolve, reject) => {
+      camera = { resolve, reject };
+    }));
+    browser.runtime.getURL.mockImplementation((path) => `moz-extension://fake-id/${path}`);
+    browser.runtime.sendMessage.mockImplementation(async (message) => ({
+      ok: true,
+      version: PROTOCOL_VERSION,
+      data: message.type === RuntimeMessage.GET_SETTINGS ? SETTINGS : null,
+    }));
+
+    manager = new DetectionManager();
+    await waitFor(() => navigator.mediaDevices.getUserMedia.mock.calls.length > 0);
+  });
+
+  afterEach(() => {
+    manager.cleanup();
+    delete global.Worker;
+  });
+
+  describe('camera permission prompt', () => {
+    test('should take messages while the prompt is open', () => {
+      expect(manager.state).toBe(DetectionState.ACQUIRING_CAMERA);
+      expect(browser.runtime.onMessage.addListener).toHaveBeenCalled();
+    });
+
+    test('should release a camera granted after pausing during the prompt', async () => {
+      await receive(RuntimeMessage.PAUSE_DETECTION);
+      expect(manager.state).toBe(DetectionState.PAUSED);
+
+      await grantCamera();
+
+      expect(track.stop).toHaveBeenCalled();
+      expect(manager.stream).toBeNull();
+      expect(manager.state).toBe(DetectionState.PAUSED);
+    });
+
+    test('should release a camera granted after stopping during the prompt', async () => {
+      await receive(RuntimeMessage.STOP_MONITORING);
+      await grantCamera();
+
+      expect(track.stop).toHaveBeenCalled();
+      expect(manager.state).toBe(DetectionState.IDLE);
+    });
+  });
+
+  describe('pose backend switch', () => {
+    test('should restart detection with a new backend after the model failed to load', async () => {
+      await grantCamera();
+      expect(manager.state).toBe(DetectionState.LOADING_MODEL);
+
+      poseWorker().emit(MessageType.ERROR, { message: 'Model asset missing' });
+      expect(manager.state).toBe(DetectionState.ERROR);
+
+      const failedWorker = poseWorker();
+      await receive(RuntimeMessage.SETTINGS_UPDATED, {
+        ...SETTINGS,
+        detection: { ...SETTINGS.detection, backend: PoseBackend.MOVENET_LIGHTNING },
+      });
+
+      expect(failedWorker.terminate).toHaveBeenCalled();
+      expect(poseWorker()).not.toBe(failedWorker);
+      expect(manager.state).toBe(DetectionState.LOADING_MODEL);
+
+      poseWorker().emit(MessageType.READY, 'Model loaded');
+
+      expect(manager.state).toBe(DetectionState.WARMING_UP);
+      expect(poseWorker().postMessage).toHaveBeenCalledWith({ type: MessageType.START_DETECTION });
+    });
+  });
+
+  describe('restart of a paused session', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    test('should start paused and open the camera only on resume', async () => {
+      manager.cleanup();
+      navigator.mediaDevices.getUserMedia.mockClear();
+      window.history.replaceState(null, '', '/src/detection/detection.html?paused');
+
+      manager = new DetectionManager();
+      await waitFor(() => manager.state === DetectionState.PAUSED);
+      expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+
+      await receive(RuntimeMessage.RESUME_DETECTION);
+
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled();
+      expect(manager.state).toBe(DetectionState.ACQUIRING_CAMERA);
+    });
+  });
+});
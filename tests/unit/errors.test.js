@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for errors.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { classifyError, describeError } from '../../src/utils/errors.js';
+import { ErrorCode, NotificationIds } from '../../src/utils/constants.js';
+
+describe('errors', () => {
+  describe('classifyError', () => {
+    test('should keep a known error code', () => {
+      expect(classifyError({ code: 'MODEL_LOAD_FAILED', message: 'Failed to load AI model' }))
+        .toBe(ErrorCode.MODEL_LOAD_FAILED);
+    });
+
+    test('should map permission errors from getUserMedia', () => {
+      expect(classifyError({ name: 'NotAllowedError', message: 'Permission denied' }))
+        .toBe(ErrorCode.CAMERA_PERMISSION_DENIED);
+      expect(classifyError({ name: 'SecurityError' })).toBe(ErrorCode.CAMERA_PERMISSION_DENIED);
+    });
+
+    test('should map missing or busy camera errors', () => {
+      expect(classifyError({ name: 'NotFoundError' })).toBe(ErrorCode.CAMERA_NOT_FOUND);
+      expect(classifyError({ name: 'NotReadableError' })).toBe(ErrorCode.CAMERA_NOT_FOUND);
+      expect(classifyError({ name: 'OverconstrainedError' })).toBe(ErrorCode.CAMERA_NOT_FOUND);
+    });
+
+    test('should recognize model failures without a code', () => {
+      expect(classifyError({ message: 'Model asset corrupt: model.json' }))
+        .toBe(ErrorCode.MODEL_LOAD_FAILED);
+    });
+
+    test('should default to DETECTION_FAILED', () => {
+      expect(classifyError({ code: 'SOMETHING_ELSE', message: 'Pose detection failed' }))
+        .toBe(ErrorCode.DETECTION_FAILED);
+      expect(classifyError(undefined)).toBe(ErrorCode.DETECTION_FAILED);
+    });
+  });
+
+  describe('describeError', () => {
+    test('should describe every error code', () => {
+      Object.values(ErrorCode).forEach((code) => {
+        const description = describeError(code);
+        expect(description.title).toBeTruthy();
+        expect(description.message).toBeTruthy();
+      });
+    });
+
+    test('should notify for errors the user can act on', () => {
+      expect(describeError(ErrorCode.CAMERA_PERMISSION_DENIED).notificationId)
+        .toBe(NotificationIds.PERMISSION_DENIED);
+      expect(describeError(ErrorCode.CAMERA_NOT_FOUND).notificationId)
+        .toBe(NotificationIds.CAMERA_ERROR);
+      expect(describeError(ErrorCode.MODEL_LOAD_FAILED).notificationId)
+        .toBe(NotificationIds.MODEL_ERROR);
+    });
+
+    test('should not notify for per-frame detection failures', () => {
+      expect(describeError(ErrorCode.DETECTION_FAILED).notificationId).toBeNull();
+    });
+
+    test('should fall back for unknown codes', () => {
+      expect(describeError('NOPE')).toEqual(describeError(ErrorCode.DETECTION_FAILED));
+    });
+  });
+});
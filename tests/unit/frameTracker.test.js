@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for frameTracker.js
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { FrameTracker } from '../../src/detection/frameTracker.js';
+
+describe('FrameTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new FrameTracker({ windowMs: 5000, staleMs: 3000 });
+  });
+
+  describe('tryAcquire', () => {
+    test('should hand out increasing frame ids when idle', () => {
+      const first = tracker.tryAcquire(0);
+      tracker.release(first, 100);
+      const second = tracker.tryAcquire(200);
+
+      expect(first).toBe(1);
+      expect(second).toBe(2);
+    });
+
+    test('should allow only one frame in flight', () => {
+      tracker.tryAcquire(0);
+
+      expect(tracker.isBusy()).toBe(true);
+      expect(tracker.tryAcquire(200)).toBeNull();
+      expect(tracker.tryAcquire(400)).toBeNull();
+      expect(tracker.getStats(5, 400).droppedFrames).toBe(2);
+    });
+
+    test('should abandon a stale frame and count it as dropped', () => {
+      const stale = tracker.tryAcquire(0);
+      const next = tracker.tryAcquire(3000);
+
+      expect(next).not.toBeNull();
+      expect(next).not.toBe(stale);
+      expect(tracker.getStats(5, 3000).droppedFrames).toBe(1);
+    });
+  });
+
+  describe('release', () => {
+    test('should free the slot and record latency', () => {
+      const id = tracker.tryAcquire(1000);
+
+      expect(tracker.release(id, 1150)).toBe(true);
+      expect(tracker.isBusy()).toBe(false);
+      expect(tracker.getStats(5, 1150)).toMatchObject({
+        processedFrames: 1,
+        droppedFrames: 0,
+        latencyMs: 150
+      });
+    });
+
+    test('should ignore ids that are not in flight', () => {
+      const id = tracker.tryAcquire(0);
+
+      expect(tracker.release(id + 1, 100)).toBe(false);
+      expect(tracker.isBusy()).toBe(true);
+    });
+
+    test('should count frames the worker skipped as dropped', () => {
+      const id = tracker.tryAcquire(0);
+      tracker.release(id, 50, false);
+
+      const stats = tracker.getStats(5, 50);
+      expect(stats.processedFrames).toBe(0);
+      expect(stats.droppedFrames).toBe(1);
+      expect(tracker.isBusy()).toBe(false);
+    });
+  });
+
+  describe('cancel', () => {
+    test('should free the slot without counting the frame', () => {
+      tracker.tryAcquire(0);
+      tracker.cancel();
+
+      expect(tracker.isBusy()).toBe(false);
+      expect(tracker.getStats(5, 0)).toMatchObject({ processedFrames: 0, droppedFrames: 0 });
+    });
+  });
+
+  describe('getStats', () => {
+    test('should report zero FPS before any frame', () => {
+      expect(tracker.getStats(5, 0)).toEqual({
+        targetFPS: 5,
+        effectiveFPS: 0,
+        processedFrames: 0,
+        droppedFrames: 0,
+        latencyMs: null
+      });
+    });
+
+    test('should match target FPS when the worker keeps up', () => {
+      for (let t = 0; t < 5000; t += 200) {
+        const id = tracker.tryAcquire(t);
+        tracker.release(id, t + 50);
+      }
+
+      expect(tracker.getStats(5, 5000).effectiveFPS).toBe(5);
+    });
+
+    test('should report the sustained rate when the worker is slow', () => {
+      // Ticks every 200ms, but each frame takes 450ms
+      let current = null;
+      for (let t = 0; t <= 5000; t += 200) {
+        if (current && t >= current.doneAt) {
+          tracker.release(current.id, current.doneAt);
+          current = null;
+        }
+        const id = tracker.tryAcquire(t);
+        if (id !== null) {
+          current = { id, doneAt: t + 450 };
+        }
+      }
+
+      const stats = tracker.getStats(5, 5000);
+      expect(stats.effectiveFPS).toBeLessThan(5);
+      expect(stats.effectiveFPS).toBeGreaterThan(1.5);
+      expect(stats.droppedFrames).toBeGreaterThan(0);
+    });
+
+    test('should only count completions inside the window', () => {
+      const id = tracker.tryAcquire(0);
+      tracker.release(id, 100);
+
+      expect(tracker.getStats(5, 1000).effectiveFPS).toBe(1);
+      expect(tracker.getStats(5, 6000).effectiveFPS).toBe(0);
+      expect(tracker.getStats(5, 6000).processedFrames).toBe(1);
+    });
+  });
+
+  describe('reset', () => {
+    test('should clear counters and the in-flight frame', () => {
+      tracker.tryAcquire(0);
+      tracker.tryAcquire(100);
+      tracker.reset();
+
+      expect(tracker.isBusy()).toBe(false);
+      expect(tracker.tryAcquire(200)).toBe(1);
+      expect(tracker.getStats(5, 200).droppedFrames).toBe(0);
+    });
+  });
+});
@@ -6,6 +6,7 @@ import { describe, test, expect } from '@jest/globals';
 import {
   calculateAngle,
   calculateDistance,
+  fitWithin,
   normalizeValue,
   movingAverage,
   median,
@@ -76,6 +77,37 @@ describe('mathUtils', () => {
     });
   });
 
+  describe('fitWithin', () => {
+    test('should downscale preserving aspect ratio', () => {
+      expect(fitWithin({ width: 640, height: 480 }, { width: 257, height: 257 })).toEqual({
+        width: 257,
+        height: 193,
+      });
+    });
+
+    test('should fit portrait sizes by height', () => {
+      expect(fitWithin({ width: 480, height: 640 }, { width: 192, height: 192 })).toEqual({
+        width: 144,
+        height: 192,
+      });
+    });
+
+    test('should never upscale', () => {
+      expect(fitWithin({ width: 160, height: 120 }, { width: 256, height: 256 })).toEqual({
+        width: 160,
+        height: 120,
+      });
+    });
+
+    test('should return zero size for invalid input', () => {
+      expect(fitWithin({ width: 0, height: 480 }, { width: 256, height: 256 })).toEqual({
+        width: 0,
+        height: 0,
+      });
+      expect(fitWithin(null, { width: 256, height: 256 })).toEqual({ width: 0, height: 0 });
+    });
+  });
+
   describe('normalizeValue', () => {
     test('should normalize value to 0-1 range', () => {
       expect(normalizeValue(50, 0, 100)).toBe(0.5);
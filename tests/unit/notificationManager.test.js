@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for notificationManager.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { NotificationManager, PostureAlertActions } from '../../src/background/notificationManager.js';
+import { NotificationIds, PostureStatus, SnoozePreset } from '../../src/utils/constants.js';
+
+describe('NotificationManager', () => {
+  let api;
+  let now;
+  let manager;
+
+  beforeEach(() => {
+    api = {
+      create: jest.fn().mockResolvedValue('id'),
+      clear: jest.fn().mockResolvedValue(true)
+    };
+    now = 1000;
+    manager = new NotificationManager({ notifications: api, now: () => now, maxHistory: 3 });
+  });
+
+  describe('show', () => {
+    test('should create a basic notification with the default icon', async () => {
+      await manager.show(NotificationIds.CAMERA_FALLBACK, { title: 'Camera Not Found', message: 'Using default' });
+
+      expect(api.create).toHaveBeenCalledWith(NotificationIds.CAMERA_FALLBACK, {
+        type: 'basic',
+        iconUrl: 'assets/icons/icon-96.png',
+        title: 'Camera Not Found',
+        message: 'Using default'
+      });
+    });
+
+    test('should not record notifications that failed', async () => {
+      api.create.mockRejectedValue(new Error('denied'));
+
+      await expect(manager.show(NotificationIds.MODEL_ERROR, { title: 't', message: 'm' })).rejects.toThrow('denied');
+      expect(manager.getHistory()).toEqual([]);
+    });
+  });
+
+  describe('showPostureAlert', () => {
+    test('should show the poor posture alert with the score', async () => {
+      api.onButtonClicked = { addListener: jest.fn() };
+
+      const title = await manager.showPostureAlert(PostureStatus.POOR, 42);
+
+      expect(title).toBe('⚠️ Poor Posture Detected');
+      expect(api.create).toHaveBeenCalledWith(NotificationIds.POOR_POSTURE, expect.objectContaining({
+        iconUrl: 'assets/icons/icon-poor.png',
+        message: 'Your posture score is 42/100. Please adjust your position.'
+      }));
+    });
+
+    test('should replace snooze buttons with a click hint where unsupported', async () => {
+      await manager.showPostureAlert(PostureStatus.POOR, 42);
+
+      expect(api.create.mock.calls[0][1]).not.toHaveProperty('buttons');
+      expect(api.create.mock.calls[0][1].message).toBe(
+        'Your posture score is 42/100. Please adjust your position. Click to snooze alerts.'
+      );
+    });
+
+    test('should offer snooze buttons where supported', async () => {
+      api.onButtonClicked = { addListener: jest.fn() };
+
+      await manager.showPostureAlert(PostureStatus.POOR, 42);
+
+      expect(api.create.mock.calls[0][1].buttons).toEqual([{ title: 'Snooze 15 min' }, { title: 'Snooze 1 hour' }]);
+      expect(PostureAlertActions.map(action => action.preset)).toEqual([SnoozePreset.MINUTES_15, SnoozePreset.HOUR]);
+    });
+
+    test('should show the icon for warning severity', async () => {
+      await manager.showPostureAlert(PostureStatus.WARNING, 65);
+
+      expect(api.create).toHaveBeenCalledWith(NotificationIds.POOR_POSTURE, expect.objectContaining({
+        title: '⚡ Posture Warning',
+        iconUrl: 'assets/icons/icon-warning.png'
+      }));
+    });
+  });
+
+  describe('showDistanceAlert', () => {
+    test('should show the too close alert with snooze buttons where supported', async () => {
+      api.onButtonClicked = { addListener: jest.fn() };
+
+      const title = await manager.showDistanceAlert();
+
+      expect(title).toBe('📏 Too Close to the Screen');
+      expect(api.create).toHaveBeenCalledWith(NotificationIds.TOO_CLOSE, expect.objectContaining({
+        title,
+        buttons: [{ title: 'Snooze 15 min' }, { title: 'Snooze 1 hour' }]
+      }));
+    });
+  });
+
+  test('should clear notifications', async () => {
+    await manager.clear(NotificationIds.CAMERA_ERROR);
+    expect(api.clear).toHaveBeenCalledWith(NotificationIds.CAMERA_ERROR);
+  });
+
+  describe('notification history', () => {
+    test('should track notification timestamps', async () => {
+      await manager.showPostureAlert(PostureStatus.POOR, 40);
+      now = 5000;
+      await manager.show(NotificationIds.CAMERA_ERROR, { title: 't', message: 'm' });
+
+      expect(manager.getHistory()).toEqual([
+        { id: NotificationIds.POOR_POSTURE, timestamp: 1000 },
+        { id: NotificationIds.CAMERA_ERROR, timestamp: 5000 }
+      ]);
+    });
+
+    test('should calculate notification frequency', async () => {
+      await manager.showPostureAlert(PostureStatus.POOR, 40);
+      now = 5000;
+      await manager.showPostureAlert(PostureStatus.POOR, 40);
+      await manager.show(NotificationIds.CAMERA_ERROR, { title: 't', message: 'm' });
+
+      expect(manager.getFrequency(10000)).toBe(3);
+      expect(manager.getFrequency(2000)).toBe(2);
+      expect(manager.getFrequency(10000, NotificationIds.POOR_POSTURE)).toBe(2);
+    });
+
+    test('should limit history size', async () => {
+      for (let i = 0; i < 5; i++) {
+        now = i;
+        await manager.showPostureAlert(PostureStatus.POOR, 40);
+      }
+
+      expect(manager.getHistory().map(entry => entry.timestamp)).toEqual([2, 3, 4]);
+    });
+  });
+});
@@ -4,7 +4,7 @@
 
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import { PoseAnalyzer } from '../../src/detection/poseAnalyzer.js';
-import { PostureStatus } from '../../src/utils/constants.js';
+import { PostureStatus, DefaultThresholds } from '../../src/utils/constants.js';
 import { createGoodPosturePose, createBadPosturePose, createMockPose } from '../helpers/testUtils.js';
 
 describe('PoseAnalyzer', () => {
@@ -149,6 +149,295 @@ describe('PoseAnalyzer', () => {
     });
   });
 
+  describe('torso metrics', () => {
+    const torsoPose = (hipX, shoulderY = 120) => ({
+      height: 400,
+      keypoints: [
+        { part: 'nose', position: { x: 100, y: shoulderY - 70 }, score: 0.95 },
+        { part: 'leftShoulder', position: { x: 80, y: shoulderY }, score: 0.9 },
+        { part: 'rightShoulder', position: { x: 120, y: shoulderY }, score: 0.9 },
+        { part: 'leftHip', position: { x: hipX - 20, y: shoulderY + 100 }, score: 0.8 },
+        { part: 'rightHip', position: { x: hipX + 20, y: shoulderY + 100 }, score: 0.8 },
+      ],
+    });
+
+    test('should measure torso lean only when hips are visible', () => {
+      expect(analyzer.measurePose(torsoPose(100)).torsoLean).toBeCloseTo(0);
+      expect(analyzer.measurePose(torsoPose(0)).torsoLean).toBeCloseTo(45);
+
+      const hipless = torsoPose(100);
+      hipless.keypoints = hipless.keypoints.slice(0, 3);
+      expect(analyzer.measurePose(hipless).torsoLean).toBeNull();
+    });
+
+    test('should measure shoulder height as a percentage of the frame', () => {
+      expect(analyzer.measurePose(torsoPose(100)).shoulderHeight).toBeCloseTo(30);
+      expect(analyzer.measurePose({ ...torsoPose(100), height: undefined }).shoulderHeight).toBeNull();
+    });
+
+    test('should measure vertical collapse against the calibrated shoulder height', () => {
+      expect(analyzer.analyzePose(torsoPose(100, 160)).rawMetrics.shoulderDrop).toBeNull();
+
+      analyzer.updateSettings({ calibration: { headForwardAngle: 0, shoulderAsymmetry: 0, shoulderHeight: 30 } });
+
+      expect(analyzer.analyzePose(torsoPose(100, 160)).rawMetrics.shoulderDrop).toBeCloseTo(10);
+      expect(analyzer.calculateShoulderDrop(20, 30)).toBe(0);
+    });
+
+    test('should lower the score for a slumped torso but never raise it', () => {
+      const base = { headForwardAngle: 2, shoulderAsymmetry: 1, neckAngle: 3 };
+      const upright = analyzer.calculatePostureScore(base);
+
+      expect(analyzer.calculatePostureScore({ ...base, torsoLean: 25, shoulderDrop: 12 })).toBeLessThan(upright);
+
+      const slouched = { headForwardAngle: 25, shoulderAsymmetry: 15, neckAngle: 3 };
+      expect(analyzer.calculatePostureScore({ ...slouched, torsoLean: 0, shoulderDrop: 0 }))
+        .toBe(analyzer.calculatePostureScore(slouched));
+    });
+
+    test('should give torso feedback', () => {
+      const feedback = analyzer.getPostureFeedback({
+        status: PostureStatus.WARNING,
+        score: 60,
+        metrics: { headForwardAngle: 5, shoulderAsymmetry: 3, neckAngle: 5, torsoLean: 20, shoulderDrop: 10 },
+      });
+
+      expect(feedback).toContain('torso is leaning');
+      expect(feedback).toContain('slumped');
+    });
+
+    test('should smooth torso metrics that come and go', () => {
+      analyzer.smoothedMetrics = { headForwardAngle: 0, shoulderAsymmetry: 0, neckAngle: 0, torsoLean: null };
+
+      expect(analyzer.smoothMetrics({ headForwardAngle: 0, shoulderAsymmetry: 0, neckAngle: 0, torsoLean: 10 }).torsoLean)
+        .toBe(10);
+      expect(analyzer.smoothOptional(null, 10, 0.3)).toBeNull();
+      expect(analyzer.smoothOptional(20, 10, 0.3)).toBeCloseTo(13);
+    });
+  });
+
+  describe('screen distance', () => {
+    const facePose = (spread = 1) => ({
+      width: 400,
+      height: 400,
+      keypoints: [
+        { part: 'nose', position: { x: 200, y: 100 }, score: 0.95 },
+        { part: 'leftEye', position: { x: 200 - 10 * spread, y: 90 }, score: 0.9 },
+        { part: 'rightEye', position: { x: 200 + 10 * spread, y: 90 }, score: 0.9 },
+        { part: 'leftShoulder', position: { x: 200 - 60 * spread, y: 180 }, score: 0.9 },
+        { part: 'rightShoulder', position: { x: 200 + 60 * spread, y: 180 }, score: 0.9 },
+      ],
+    });
+
+    test('should measure eye and shoulder spans as a percentage of the frame width', () => {
+      const metrics = analyzer.measurePose(facePose());
+
+      expect(metrics.eyeDistance).toBeCloseTo(5);
+      expect(metrics.shoulderWidth).toBeCloseTo(30);
+      expect(analyzer.measurePose({ ...facePose(), width: undefined }).eyeDistance).toBeNull();
+    });
+
+    test('should measure proximity against the calibrated spans', () => {
+      expect(analyzer.analyzePose(facePose(1.25)).rawMetrics.screenProximity).toBeNull();
+
+      analyzer.updateSettings({
+        calibration: { headForwardAngle: 0, shoulderAsymmetry: 0, shoulderWidth: 30, eyeDistance: 5 }
+      });
+
+      // Spans 25% wider mean the user is at 80% of the calibrated distance
+      expect(analyzer.analyzePose(facePose(1.25)).rawMetrics.screenProximity).toBeCloseTo(20);
+      expect(analyzer.analyzePose(facePose(0.8)).rawMetrics.screenProximity).toBe(0);
+    });
+
+    test('should prefer eyes and fall back to shoulder width', () => {
+      const calibration = { shoulderWidth: 30, eyeDistance: 5 };
+
+      expect(analyzer.calculateScreenProximity({ eyeDistance: 10, shoulderWidth: 30 }, calibration)).toBeCloseTo(50);
+      expect(analyzer.calculateScreenProximity({ eyeDistance: null, shoulderWidth: 60 }, calibration)).toBeCloseTo(50);
+      expect(analyzer.calculateScreenProximity({ eyeDistance: 10, shoulderWidth: 60 }, null)).toBeNull();
+    });
+
+    test('should lower the score and give feedback when too close', () => {
+      const base = { headForwardAngle: 2, shoulderAsymmetry: 1, neckAngle: 3 };
+
+      expect(analyzer.calculatePostureScore({ ...base, screenProximity: 30 }))
+        .toBeLessThan(analyzer.calculatePostureScore(base));
+      expect(analyzer.getPostureFeedback({
+        status: PostureStatus.WARNING,
+        score: 70,
+        metrics: { ...base, screenProximity: 30 },
+      })).toContain('too close to the screen');
+    });
+  });
+
+  describe('head tilt and rotation', () => {
+    const headPose = ({ eyeDrop = 0, noseX = 100 } = {}) => ({
+      keypoints: [
+        { part: 'nose', position: { x: noseX, y: 60 }, score: 0.95 },
+        { part: 'leftEye', position: { x: 90, y: 50 }, score: 0.9 },
+        { part: 'rightEye', position: { x: 110, y: 50 + eyeDrop }, score: 0.9 },
+        { part: 'leftEar', position: { x: 80, y: 55 }, score: 0.8 },
+        { part: 'rightEar', position: { x: 120, y: 55 }, score: 0.8 },
+        { part: 'leftShoulder', position: { x: 60, y: 120 }, score: 0.9 },
+        { part: 'rightShoulder', position: { x: 140, y: 120 }, score: 0.9 },
+      ],
+    });
+
+    test('should measure signed roll from the eye line', () => {
+      expect(analyzer.measurePose(headPose()).headRoll).toBeCloseTo(0);
+      expect(analyzer.measurePose(headPose({ eyeDrop: 20 })).headRoll).toBeCloseTo(45);
+      expect(analyzer.measurePose(headPose({ eyeDrop: -20 })).headRoll).toBeCloseTo(-45);
+    });
+
+    test('should measure signed yaw from the nose offset between the ears', () => {
+      expect(analyzer.measurePose(headPose()).headYaw).toBeCloseTo(0);
+      expect(analyzer.measurePose(headPose({ noseX: 110 })).headYaw).toBeCloseTo(30);
+      expect(analyzer.measurePose(headPose({ noseX: 70 })).headYaw).toBeCloseTo(-90);
+    });
+
+    test('should score roll and yaw as unsigned deviations when uncalibrated', () => {
+      expect(analyzer.analyzePose(headPose({ eyeDrop: -20 })).rawMetrics.headRoll).toBeCloseTo(45);
+
+      analyzer.reset();
+      expect(analyzer.analyzePose(headPose({ noseX: 90 })).rawMetrics.headYaw).toBeCloseTo(30);
+    });
+
+    test('should offset roll and yaw by the calibrated baseline', () => {
+      analyzer.updateSettings({
+        calibration: { headForwardAngle: 0, shoulderAsymmetry: 0, headRoll: 0, headYaw: 20 },
+      });
+
+      expect(analyzer.analyzePose(headPose({ noseX: 110 })).rawMetrics.headYaw).toBeCloseTo(10);
+      expect(analyzer.analyzePose(headPose({ eyeDrop: 20 })).rawMetrics.headRoll).toBeCloseTo(45);
+    });
+
+    test('should count tilting past the baseline in either direction', () => {
+      // Calibrated with the head tilted about 8 degrees one way
+      const eyeDrop = 20 * Math.tan(8 * Math.PI / 180);
+      analyzer.updateSettings({
+        calibration: { headForwardAngle: 0, shoulderAsymmetry: 0, headRoll: 8, headYaw: 0 },
+      });
+
+      expect(analyzer.analyzePose(headPose({ eyeDrop })).rawMetrics.headRoll).toBeCloseTo(0);
+
+      analyzer.reset();
+      expect(analyzer.analyzePose(headPose({ eyeDrop: -eyeDrop })).rawMetrics.headRoll).toBeCloseTo(16);
+    });
+
+    test('should count turning past the baseline in either direction', () => {
+      analyzer.updateSettings({
+        calibration: { headForwardAngle: 0, shoulderAsymmetry: 0, headRoll: 0, headYaw: 30 },
+      });
+
+      expect(analyzer.analyzePose(headPose({ noseX: 110 })).rawMetrics.headYaw).toBeCloseTo(0);
+
+      analyzer.reset();
+      expect(analyzer.analyzePose(headPose({ noseX: 90 })).rawMetrics.headYaw).toBeCloseTo(60);
+    });
+
+    test('should not score roll and yaw against a calibration without their baseline', () => {
+      // Saved before head tilt and rotation were measured
+      analyzer.updateSettings({ calibration: { headForwardAngle: 0, shoulderAsymmetry: 0 } });
+
+      const { rawMetrics } = analyzer.analyzePose(headPose({ eyeDrop: 20, noseX: 110 }));
+      expect(rawMetrics.headRoll).toBeNull();
+      expect(rawMetrics.headYaw).toBeNull();
+    });
+
+    test('should leave roll and yaw unmeasured without both eyes or ears', () => {
+      const pose = headPose();
+      pose.keypoints = pose.keypoints.filter(kp => kp.part !== 'rightEye' && kp.part !== 'leftEar');
+      const metrics = analyzer.measurePose(pose);
+
+      expect(metrics.headRoll).toBeNull();
+      expect(metrics.headYaw).toBeNull();
+    });
+
+    test('should lower the score and give separate feedback for tilt and rotation', () => {
+      const base = { headForwardAngle: 2, shoulderAsymmetry: 1, neckAngle: 3 };
+      const upright = analyzer.calculatePostureScore(base);
+
+      expect(analyzer.calculatePostureScore({ ...base, headRoll: 25 })).toBeLessThan(upright);
+      expect(analyzer.calculatePostureScore({ ...base, headYaw: 40 })).toBeLessThan(upright);
+
+      const tilted = analyzer.getPostureFeedback({
+        status: PostureStatus.WARNING, score: 70, metrics: { ...base, headRoll: 25, headYaw: 5 },
+      });
+      expect(tilted).toContain('tilted to one side');
+      expect(tilted).not.toContain('turned to one side');
+
+      const turned = analyzer.getPostureFeedback({
+        status: PostureStatus.WARNING, score: 70, metrics: { ...base, headRoll: 5, headYaw: 40 },
+      });
+      expect(turned).toContain('turned to one side');
+      expect(turned).not.toContain('tilted to one side');
+    });
+  });
+
+  describe('getGuideLines', () => {
+    test('should draw the lines each metric is measured along', () => {
+      const pose = {
+        keypoints: [
+          { part: 'nose', position: { x: 100, y: 50 }, score: 0.95 },
+          { part: 'leftEye', position: { x: 95, y: 45 }, score: 0.9 },
+          { part: 'rightEye', position: { x: 105, y: 45 }, score: 0.9 },
+          { part: 'leftEar', position: { x: 90, y: 60 }, score: 0.8 },
+          { part: 'rightEar', position: { x: 110, y: 60 }, score: 0.8 },
+          { part: 'leftShoulder', position: { x: 80, y: 120 }, score: 0.9 },
+          { part: 'rightShoulder', position: { x: 120, y: 120 }, score: 0.9 },
+        ],
+      };
+
+      expect(analyzer.getGuideLines(pose)).toEqual([
+        { metric: 'shoulderAsymmetry', from: { x: 80, y: 120 }, to: { x: 120, y: 120 } },
+        { metric: 'headForwardAngle', from: { x: 100, y: 120 }, to: { x: 100, y: 50 } },
+        { metric: 'neckAngle', from: { x: 100, y: 120 }, to: { x: 100, y: 60 } },
+        { metric: 'headRoll', from: { x: 95, y: 45 }, to: { x: 105, y: 45 } },
+        { metric: 'headYaw', from: { x: 100, y: 60 }, to: { x: 100, y: 50 } },
+      ]);
+    });
+
+    test('should fall back to the nose for the neck and skip lines without shoulders', () => {
+      const pose = {
+        keypoints: [
+          { part: 'nose', position: { x: 100, y: 50 }, score: 0.95 },
+          { part: 'leftShoulder', position: { x: 80, y: 120 }, score: 0.9 },
+          { part: 'rightShoulder', position: { x: 120, y: 120 }, score: 0.9 },
+        ],
+      };
+
+      expect(analyzer.getGuideLines(pose)[2]).toEqual({
+        metric: 'neckAngle', from: { x: 100, y: 120 }, to: { x: 100, y: 50 }
+      });
+      expect(analyzer.getGuideLines({ keypoints: pose.keypoints.slice(0, 2) })).toEqual([]);
+      expect(analyzer.getGuideLines(null)).toEqual([]);
+    });
+  });
+
+  describe('measurePose', () => {
+    test('should return metrics without calibration applied', () => {
+      const pose = {
+        keypoints: [
+          { part: 'nose', position: { x: 130, y: 50 }, score: 0.95 },
+          { part: 'leftShoulder', position: { x: 80, y: 120 }, score: 0.9 },
+          { part: 'rightShoulder', position: { x: 120, y: 120 }, score: 0.9 },
+        ],
+      };
+      const uncalibrated = analyzer.measurePose(pose);
+
+      analyzer.updateSettings({ calibration: { headForwardAngle: 5, shoulderAsymmetry: 2 } });
+
+      expect(analyzer.measurePose(pose).headForwardAngle).toBeCloseTo(uncalibrated.headForwardAngle);
+      expect(analyzer.analyzePose(pose).rawMetrics.headForwardAngle)
+        .toBeCloseTo(Math.max(0, uncalibrated.headForwardAngle - 5));
+    });
+
+    test('should return null for unusable poses', () => {
+      expect(analyzer.measurePose(null)).toBeNull();
+      expect(analyzer.measurePose({ keypoints: [] })).toBeNull();
+    });
+  });
+
   describe('extractKeypoints', () => {
     test('should extract keypoints into accessible format', () => {
       const keypoints = [
@@ -445,6 +734,17 @@ describe('PoseAnalyzer', () => {
       // High sensitivity should penalize more
       expect(highScore).toBeLessThan(lowScore);
     });
+
+    test('should fall back to the default thresholds for unset ones', () => {
+      const metrics = { headForwardAngle: 2, shoulderAsymmetry: 1, headYaw: 40 };
+
+      analyzer.updateSettings({ thresholds: { headForwardAngle: 15 } });
+      const partial = analyzer.calculatePostureScore(metrics);
+
+      analyzer.updateSettings({ thresholds: { ...DefaultThresholds } });
+      expect(partial).toBe(analyzer.calculatePostureScore(metrics));
+      expect(partial).toBeLessThan(80);
+    });
   });
 
   describe('classifyPosture', () => {
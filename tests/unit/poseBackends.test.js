@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for poseBackends.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  BLAZEPOSE_LANDMARKS,
+  toPartName,
+  normalizeNamedKeypoints,
+  normalizeLandmarks,
+  scaleKeypoints,
+  createPoseBackend,
+} from '../../src/detection/poseBackends.js';
+import { PoseAnalyzer } from '../../src/detection/poseAnalyzer.js';
+import { PoseBackend, PoseBackendConfig } from '../../src/utils/constants.js';
+import { GOOD_POSTURE_POSE, BAD_POSTURE_FORWARD_HEAD } from '../fixtures/mockPoseData.js';
+
+describe('poseBackends', () => {
+  describe('toPartName', () => {
+    test('should convert snake_case names to PoseNet part names', () => {
+      expect(toPartName('left_shoulder')).toBe('leftShoulder');
+      expect(toPartName('left_eye_inner')).toBe('leftEyeInner');
+      expect(toPartName('nose')).toBe('nose');
+    });
+  });
+
+  describe('normalizeNamedKeypoints', () => {
+    test('should map pose-detection keypoints to {part, position, score}', () => {
+      const result = normalizeNamedKeypoints([
+        { name: 'nose', x: 320, y: 100, score: 0.9 },
+        { name: 'right_shoulder', x: 400, y: 240, score: 0.8 },
+      ]);
+
+      expect(result).toEqual([
+        { part: 'nose', position: { x: 320, y: 100 }, score: 0.9 },
+        { part: 'rightShoulder', position: { x: 400, y: 240 }, score: 0.8 },
+      ]);
+    });
+
+    test('should skip keypoints without a name or coordinates', () => {
+      const result = normalizeNamedKeypoints([
+        { x: 1, y: 2, score: 0.9 },
+        { name: 'nose', score: 0.9 },
+        null,
+      ]);
+      expect(result).toEqual([]);
+    });
+
+    test('should handle missing keypoints', () => {
+      expect(normalizeNamedKeypoints(undefined)).toEqual([]);
+    });
+  });
+
+  describe('normalizeLandmarks', () => {
+    test('should define the 33-landmark BlazePose topology', () => {
+      expect(BLAZEPOSE_LANDMARKS).toHaveLength(33);
+      expect(BLAZEPOSE_LANDMARKS[0]).toBe('nose');
+      expect(BLAZEPOSE_LANDMARKS[11]).toBe('leftShoulder');
+      expect(BLAZEPOSE_LANDMARKS[12]).toBe('rightShoulder');
+      expect(BLAZEPOSE_LANDMARKS[23]).toBe('leftHip');
+    });
+
+    test('should scale normalized poseLandmarks to image size', () => {
+      const result = normalizeLandmarks(GOOD_POSTURE_POSE.poseLandmarks, { width: 640, height: 480 });
+      const nose = result.find((kp) => kp.part === 'nose');
+
+      expect(result).toHaveLength(33);
+      expect(nose.position.x).toBeCloseTo(320);
+      expect(nose.position.y).toBeCloseTo(144);
+      expect(nose.score).toBe(0.99);
+    });
+
+    test('should use score when visibility is absent', () => {
+      const result = normalizeLandmarks([{ x: 10, y: 20, score: 0.7 }]);
+      expect(result).toEqual([{ part: 'nose', position: { x: 10, y: 20 }, score: 0.7 }]);
+    });
+
+    test('should map named keypoints by name rather than position', () => {
+      const result = normalizeLandmarks([
+        { name: 'right_shoulder', x: 300, y: 200, score: 0.8 },
+        { name: 'left_eye_inner', x: 100, y: 50, score: 0.9 },
+        { name: 'tail', x: 0, y: 0, score: 1 },
+      ]);
+
+      expect(result).toEqual([
+        { part: 'rightShoulder', position: { x: 300, y: 200 }, score: 0.8 },
+        { part: 'leftEyeInner', position: { x: 100, y: 50 }, score: 0.9 },
+      ]);
+    });
+
+    test('should skip missing landmarks and extra indices', () => {
+      const landmarks = [null, { x: 0.5, y: 0.5 }];
+      landmarks[40] = { x: 0.5, y: 0.5, visibility: 1 };
+
+      const result = normalizeLandmarks(landmarks);
+      expect(result.map((kp) => kp.part)).toEqual(['leftEyeInner']);
+    });
+
+    test('should produce keypoints PoseAnalyzer can analyze', () => {
+      const analyzer = new PoseAnalyzer({ detection: { confidenceThreshold: 0.5 } });
+      const keypoints = normalizeLandmarks(GOOD_POSTURE_POSE.poseLandmarks, { width: 640, height: 480 });
+
+      const analysis = analyzer.analyzePose({ keypoints });
+      expect(analysis).not.toBeNull();
+      expect(analysis.score).toBeGreaterThan(0);
+    });
+
+    test('should score forward head posture lower than good posture', () => {
+      const size = { width: 640, height: 480 };
+      const good = new PoseAnalyzer().analyzePose({
+        keypoints: normalizeLandmarks(GOOD_POSTURE_POSE.poseLandmarks, size),
+      });
+      const bad = new PoseAnalyzer().analyzePose({
+        keypoints: normalizeLandmarks(BAD_POSTURE_FORWARD_HEAD.poseLandmarks, size),
+      });
+
+      expect(bad.score).toBeLessThan(good.score);
+    });
+  });
+
+  describe('scaleKeypoints', () => {
+    test('should map model input coordinates back to video coordinates', () => {
+      const keypoints = [{ part: 'nose', position: { x: 128.5, y: 96.5 }, score: 0.9 }];
+      const result = scaleKeypoints(keypoints, 640 / 257, 480 / 193);
+
+      expect(result[0].position.x).toBeCloseTo(320, 0);
+      expect(result[0].position.y).toBeCloseTo(240, 0);
+      expect(result[0].part).toBe('nose');
+      expect(result[0].score).toBe(0.9);
+    });
+
+    test('should not mutate the input keypoints', () => {
+      const keypoints = [{ part: 'nose', position: { x: 10, y: 20 }, score: 0.9 }];
+      scaleKeypoints(keypoints, 2, 2);
+      expect(keypoints[0].position).toEqual({ x: 10, y: 20 });
+    });
+
+    test('should preserve analysis angles after downscale and rescale', () => {
+      const size = { width: 640, height: 480 };
+      const videoKeypoints = normalizeLandmarks(BAD_POSTURE_FORWARD_HEAD.poseLandmarks, size);
+      const modelKeypoints = scaleKeypoints(videoKeypoints, 257 / 640, 193 / 480);
+      const restored = scaleKeypoints(modelKeypoints, 640 / 257, 480 / 193);
+
+      const direct = new PoseAnalyzer().analyzePose({ keypoints: videoKeypoints });
+      const roundTrip = new PoseAnalyzer().analyzePose({ keypoints: restored });
+
+      expect(roundTrip.metrics.headForwardAngle).toBeCloseTo(direct.metrics.headForwardAngle, 5);
+      expect(roundTrip.score).toBe(direct.score);
+    });
+  });
+
+  describe('createPoseBackend', () => {
+    beforeEach(() => {
+      global.posenet = {
+        load: jest.fn().mockResolvedValue({
+          estimateSinglePose: jest.fn().mockResolvedValue({
+            score: 0.8,
+            keypoints: [{ part: 'nose', position: { x: 1, y: 2 }, score: 0.9 }],
+          }),
+          dispose: jest.fn(),
+        }),
+      };
+      global.poseDetection = {
+        SupportedModels: { MoveNet: 'MoveNet', BlazePose: 'BlazePose' },
+        createDetector: jest.fn().mockResolvedValue({
+          estimatePoses: jest.fn().mockResolvedValue([
+            { keypoints: [{ name: 'left_shoulder', x: 5, y: 6, score: 0.6 }] },
+          ]),
+          dispose: jest.fn(),
+        }),
+      };
+    });
+
+    test('should throw for an unknown backend', () => {
+      expect(() => createPoseBackend('openpose', {}, {})).toThrow('Unknown pose backend');
+    });
+
+    test('should load PoseNet with the shared config and bundled model URL', async () => {
+      const config = PoseBackendConfig[PoseBackend.POSENET];
+      const backend = createPoseBackend(PoseBackend.POSENET, config, { model: 'moz-extension://id/model.json' });
+
+      await backend.load();
+
+      expect(global.posenet.load).toHaveBeenCalledWith(expect.objectContaining({
+        architecture: config.architecture,
+        quantBytes: config.quantBytes,
+        modelUrl: 'moz-extension://id/model.json',
+      }));
+
+      const pose = await backend.estimate({});
+      expect(pose.keypoints[0]).toEqual({ part: 'nose', position: { x: 1, y: 2 }, score: 0.9 });
+    });
+
+    test('should load MoveNet and normalize its keypoints', async () => {
+      const config = PoseBackendConfig[PoseBackend.MOVENET_LIGHTNING];
+      const backend = createPoseBackend(PoseBackend.MOVENET_LIGHTNING, config, { model: 'movenet.json' });
+
+      await backend.load();
+      const pose = await backend.estimate({});
+
+      expect(global.poseDetection.createDetector).toHaveBeenCalledWith('MoveNet', expect.objectContaining({
+        modelType: 'SinglePose.Lightning',
+        modelUrl: 'movenet.json',
+      }));
+      expect(pose.keypoints).toEqual([
+        { part: 'leftShoulder', position: { x: 5, y: 6 }, score: 0.6 },
+      ]);
+      expect(pose.score).toBe(0.6);
+    });
+
+    test('should load BlazePose with detector and landmark models', async () => {
+      const config = PoseBackendConfig[PoseBackend.BLAZEPOSE];
+      const backend = createPoseBackend(PoseBackend.BLAZEPOSE, config, {
+        detector: 'detector.json',
+        landmark: 'landmark.json',
+      });
+
+      await backend.load();
+
+      expect(global.poseDetection.createDetector).toHaveBeenCalledWith('BlazePose', expect.objectContaining({
+        runtime: 'tfjs',
+        detectorModelUrl: 'detector.json',
+        landmarkModelUrl: 'landmark.json',
+      }));
+
+      const pose = await backend.estimate({});
+      expect(pose.keypoints).toEqual([
+        { part: 'leftShoulder', position: { x: 5, y: 6 }, score: 0.6 },
+      ]);
+    });
+
+    test('should return no keypoints when no pose is found', async () => {
+      global.poseDetection.createDetector.mockResolvedValue({
+        estimatePoses: jest.fn().mockResolvedValue([]),
+        dispose: jest.fn(),
+      });
+      const backend = createPoseBackend(PoseBackend.BLAZEPOSE, {}, {});
+
+      await backend.load();
+      const pose = await backend.estimate({});
+
+      expect(pose).toEqual({ keypoints: [], score: 0 });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for presenceTracker.js
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { PresenceTracker } from '../../src/detection/presenceTracker.js';
+
+describe('PresenceTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new PresenceTracker({ absentAfter: 30000 });
+    tracker.reset(0);
+  });
+
+  test('should start present', () => {
+    expect(tracker.present).toBe(true);
+    expect(tracker.update(true, 1000)).toBeNull();
+  });
+
+  test('should tolerate missing poses shorter than the window', () => {
+    tracker.update(true, 1000);
+
+    expect(tracker.update(false, 10000)).toBeNull();
+    expect(tracker.update(false, 30999)).toBeNull();
+    expect(tracker.present).toBe(true);
+  });
+
+  test('should report absence from when the user was last seen', () => {
+    tracker.update(true, 1000);
+    tracker.update(false, 20000);
+
+    expect(tracker.update(false, 31000)).toEqual({ present: false, since: 1000 });
+    expect(tracker.update(false, 40000)).toBeNull();
+  });
+
+  test('should count a missing pose from the start of detection', () => {
+    expect(tracker.update(false, 30000)).toEqual({ present: false, since: 0 });
+  });
+
+  test('should report the return on the first pose', () => {
+    tracker.update(false, 30000);
+
+    expect(tracker.update(true, 45000)).toEqual({ present: true, since: 45000 });
+    expect(tracker.update(true, 46000)).toBeNull();
+  });
+
+  test('should start over as present on reset', () => {
+    tracker.update(false, 30000);
+    tracker.reset(50000);
+
+    expect(tracker.present).toBe(true);
+    expect(tracker.update(false, 70000)).toBeNull();
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Unit Tests for protocol.js
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  PROTOCOL_VERSION,
+  MessageError,
+  validateMessage,
+  createMessage,
+  createRouter,
+  unwrapResponse,
+  sendMessage,
+} from '../../src/utils/protocol.js';
+import { RuntimeMessage, ResponseCode, PostureStatus, DetectionState } from '../../src/utils/constants.js';
+
+describe('protocol', () => {
+  describe('createMessage', () => {
+    test('should stamp the protocol version', () => {
+      expect(createMessage(RuntimeMessage.GET_STATUS)).toEqual({
+        version: PROTOCOL_VERSION,
+        type: 'get_status'
+      });
+      expect(createMessage(RuntimeMessage.SNOOZE_ALERTS, { duration: 15 })).toEqual({
+        version: PROTOCOL_VERSION,
+        type: 'snooze_alerts',
+        data: { duration: 15 }
+      });
+    });
+  });
+
+  describe('validateMessage', () => {
+    test('should accept valid messages', () => {
+      expect(validateMessage(createMessage(RuntimeMessage.START_MONITORING)).valid).toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.POSTURE_UPDATE, {
+        status: PostureStatus.GOOD,
+        score: 92,
+        metrics: { headForwardAngle: 4 }
+      })).valid).toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.HEARTBEAT, {
+        state: DetectionState.RUNNING,
+        lastResultAt: null
+      })).valid).toBe(true);
+    });
+
+    test('should reject malformed envelopes', () => {
+      expect(validateMessage(null).code).toBe(ResponseCode.INVALID_MESSAGE);
+      expect(validateMessage({ version: PROTOCOL_VERSION }).code).toBe(ResponseCode.INVALID_MESSAGE);
+    });
+
+    test('should reject other protocol versions', () => {
+      expect(validateMessage({ type: 'get_status' }).code).toBe(ResponseCode.VERSION_MISMATCH);
+      expect(validateMessage({ version: PROTOCOL_VERSION + 1, type: 'get_status' }).code)
+        .toBe(ResponseCode.VERSION_MISMATCH);
+    });
+
+    test('should reject unknown types', () => {
+      expect(validateMessage(createMessage('launch_rockets')).code).toBe(ResponseCode.UNKNOWN_TYPE);
+      expect(validateMessage(createMessage('toString')).code).toBe(ResponseCode.UNKNOWN_TYPE);
+    });
+
+    test('should report every invalid field', () => {
+      const result = validateMessage(createMessage(RuntimeMessage.POSTURE_UPDATE, {
+        status: 'slouching',
+        score: 120
+      }));
+
+      expect(result.valid).toBe(false);
+      expect(result.code).toBe(ResponseCode.INVALID_DATA);
+      expect(result.errors).toEqual([
+        'data.status must be one of good, warning, poor, unknown',
+        'data.score must be between 0 and 100'
+      ]);
+    });
+
+    test('should require payloads and reject unexpected ones', () => {
+      expect(validateMessage(createMessage(RuntimeMessage.UPDATE_SETTINGS)).errors)
+        .toEqual(['data is required']);
+      expect(validateMessage(createMessage(RuntimeMessage.UPDATE_SETTINGS, [])).errors)
+        .toEqual(['data must be an object']);
+      expect(validateMessage(createMessage(RuntimeMessage.GET_STATUS, { verbose: true })).errors)
+        .toEqual(['get_status takes no data']);
+      expect(validateMessage(createMessage(RuntimeMessage.PAUSE_MONITORING, { minutes: 5 })).errors)
+        .toEqual(['pause_monitoring takes no data']);
+    });
+
+    test('should accept snooze presets', () => {
+      expect(validateMessage(createMessage(RuntimeMessage.SNOOZE_ALERTS, { preset: '1h' })).valid).toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.SNOOZE_ALERTS, { preset: 'forever' })).code)
+        .toBe(ResponseCode.INVALID_DATA);
+    });
+
+    test('should check nested calibration results', () => {
+      const baseline = {
+        headForwardAngle: 4.2, shoulderAsymmetry: 1.5, shoulderHeight: 62, shoulderWidth: 35, eyeDistance: null, headRoll: 2, headYaw: null
+      };
+
+      expect(validateMessage(createMessage(RuntimeMessage.CALIBRATION_RESULT, { baseline, cameraId: 'cam-1' })).valid)
+        .toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.CALIBRATION_RESULT, {
+        baseline: null, cameraId: null, error: 'You moved too much.'
+      })).valid).toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.CALIBRATION_RESULT, {
+        baseline: { ...baseline, headForwardAngle: 120 }, cameraId: null
+      })).errors).toEqual(['data.baseline.headForwardAngle must be between 0 and 90']);
+    });
+
+    test('should check array fields', () => {
+      const preview = {
+        width: 640, height: 480, keypoints: [], guides: [], score: null, status: null, cameraId: null
+      };
+
+      expect(validateMessage(createMessage(RuntimeMessage.POSE_PREVIEW, preview)).valid).toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.POSE_PREVIEW, { ...preview, keypoints: {} })).errors)
+        .toEqual(['data.keypoints must be an array']);
+    });
+
+    test('should check boolean fields', () => {
+      expect(validateMessage(createMessage(RuntimeMessage.PRESENCE_UPDATE, { present: false, since: 1000 })).valid)
+        .toBe(true);
+      expect(validateMessage(createMessage(RuntimeMessage.PRESENCE_UPDATE, { present: 'no', since: 1000 })).errors)
+        .toEqual(['data.present must be a boolean']);
+    });
+
+    test('should reject non-finite numbers and nulls where not allowed', () => {
+      expect(validateMessage(createMessage(RuntimeMessage.SNOOZE_ALERTS, { duration: NaN })).errors)
+        .toEqual(['data.duration must be a number']);
+      expect(validateMessage(createMessage(RuntimeMessage.DETECTION_ERROR, { message: null })).errors)
+        .toEqual(['data.message must not be null']);
+    });
+  });
+
+  describe('createRouter', () => {
+    test('should dispatch valid messages and wrap the result', async () => {
+      const handler = jest.fn().mockResolvedValue({ snoozedUntil: 5 });
+      const route = createRouter({ [RuntimeMessage.SNOOZE_ALERTS]: handler });
+      const sender = { id: 'posture-monitor' };
+
+      const response = await route(createMessage(RuntimeMessage.SNOOZE_ALERTS, { duration: 15 }), sender);
+
+      expect(handler).toHaveBeenCalledWith({ duration: 15 }, sender);
+      expect(response).toEqual({ ok: true, version: PROTOCOL_VERSION, data: { snoozedUntil: 5 } });
+    });
+
+    test('should answer handlers without a result with null data', async () => {
+      const route = createRouter({ [RuntimeMessage.CLEAR_ERROR]: () => {} });
+      expect(await route(createMessage(RuntimeMessage.CLEAR_ERROR))).toEqual({
+        ok: true,
+        version: PROTOCOL_VERSION,
+        data: null
+      });
+    });
+
+    test('should not dispatch invalid data', async () => {
+      const handler = jest.fn();
+      const route = createRouter({ [RuntimeMessage.POSTURE_UPDATE]: handler });
+
+      const response = await route(createMessage(RuntimeMessage.POSTURE_UPDATE, { score: 50 }));
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(response).toMatchObject({ ok: false, code: ResponseCode.INVALID_DATA });
+      expect(response.error).toContain('data.status is required');
+    });
+
+    test('should flag stale senders', async () => {
+      const route = createRouter({ [RuntimeMessage.GET_STATUS]: jest.fn() });
+      const response = await route({ type: 'get_status' });
+
+      expect(response).toMatchObject({ ok: false, version: PROTOCOL_VERSION, code: ResponseCode.VERSION_MISMATCH });
+    });
+
+    test('should reject types without a handler', async () => {
+      const route = createRouter({});
+      expect(await route(createMessage(RuntimeMessage.GET_STATUS))).toMatchObject({
+        ok: false,
+        code: ResponseCode.UNKNOWN_TYPE
+      });
+    });
+
+    test('should pass MessageError codes through', async () => {
+      const route = createRouter({
+        [RuntimeMessage.START_MONITORING]: () => {
+          throw new MessageError('Already monitoring', ResponseCode.REJECTED);
+        }
+      });
+
+      expect(await route(createMessage(RuntimeMessage.START_MONITORING))).toEqual({
+        ok: false,
+        version: PROTOCOL_VERSION,
+        error: 'Already monitoring',
+        code: ResponseCode.REJECTED
+      });
+    });
+
+    test('should report unexpected handler errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const route = createRouter({
+        [RuntimeMessage.GET_STATISTICS]: async () => {
+          throw new Error('storage exploded');
+        }
+      });
+
+      expect(await route(createMessage(RuntimeMessage.GET_STATISTICS))).toMatchObject({
+        ok: false,
+        error: 'storage exploded',
+        code: ResponseCode.HANDLER_FAILED
+      });
+    });
+
+    describe('listen-only', () => {
+      test('should dispatch without responding', async () => {
+        const handler = jest.fn();
+        const listener = createRouter({ [RuntimeMessage.PLAY_ALERT_SOUND]: handler }, { respond: false });
+
+        expect(listener(createMessage(RuntimeMessage.PLAY_ALERT_SOUND))).toBeUndefined();
+        await Promise.resolve();
+
+        expect(handler).toHaveBeenCalled();
+      });
+
+      test('should ignore messages meant for other listeners', () => {
+        const listener = createRouter({}, { respond: false });
+        expect(listener(createMessage(RuntimeMessage.GET_STATUS))).toBeUndefined();
+        expect(listener(undefined)).toBeUndefined();
+      });
+
+      test('should drop invalid messages with a warning', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const handler = jest.fn();
+        const listener = createRouter({ [RuntimeMessage.SETTINGS_UPDATED]: handler }, { respond: false });
+
+        listener(createMessage(RuntimeMessage.SETTINGS_UPDATED, 'fast'));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('Dropped settings_updated message:', 'data must be an object');
+      });
+    });
+  });
+
+  describe('unwrapResponse', () => {
+    test('should return the data of successful responses', () => {
+      expect(unwrapResponse({ ok: true, version: PROTOCOL_VERSION, data: { a: 1 } })).toEqual({ a: 1 });
+    });
+
+    test('should throw failures as MessageError', () => {
+      expect(() => unwrapResponse({
+        ok: false,
+        version: PROTOCOL_VERSION,
+        error: 'Already monitoring',
+        code: ResponseCode.REJECTED
+      })).toThrow(expect.objectContaining({ message: 'Already monitoring', code: ResponseCode.REJECTED }));
+    });
+
+    test('should detect a background running another protocol version', () => {
+      expect(() => unwrapResponse({ success: true })).toThrow(expect.objectContaining({
+        code: ResponseCode.VERSION_MISMATCH
+      }));
+      expect(() => unwrapResponse({
+        ok: false,
+        version: PROTOCOL_VERSION,
+        error: 'old',
+        code: ResponseCode.VERSION_MISMATCH
+      })).toThrow(/was updated/);
+    });
+
+    test('should throw when nothing answered', () => {
+      expect(() => unwrapResponse(undefined)).toThrow(expect.objectContaining({
+        code: ResponseCode.NO_RESPONSE
+      }));
+    });
+  });
+
+  describe('sendMessage', () => {
+    test('should send a versioned message and unwrap the response', async () => {
+      browser.runtime.sendMessage.mockResolvedValue({ ok: true, version: PROTOCOL_VERSION, data: 'pong' });
+
+      expect(await sendMessage(RuntimeMessage.GET_STATUS)).toBe('pong');
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+        version: PROTOCOL_VERSION,
+        type: 'get_status'
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for quietHours.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { QuietHours } from '../../src/background/quietHours.js';
+
+// Local times; 2026-01-05 is a Monday
+const MONDAY_STANDUP = new Date(2026, 0, 5, 9, 10).getTime();
+const MONDAY_AFTERNOON = new Date(2026, 0, 5, 15, 0).getTime();
+const MONDAY_NIGHT = new Date(2026, 0, 5, 23, 30).getTime();
+const TUESDAY_EARLY = new Date(2026, 0, 6, 6, 45).getTime();
+const TUESDAY_MORNING = new Date(2026, 0, 6, 7, 0).getTime();
+const MONDAY_EARLY = new Date(2026, 0, 5, 6, 45).getTime();
+
+function createSettings(quietHours) {
+  return {
+    quietHours: {
+      days: [[], [{ start: '09:00', end: '09:15' }], [], [], [], [], []],
+      fullscreen: false,
+      ...quietHours
+    }
+  };
+}
+
+describe('QuietHours', () => {
+  let windows;
+  let quietHours;
+
+  beforeEach(() => {
+    windows = { getAll: jest.fn().mockResolvedValue([{ state: 'normal' }]) };
+    quietHours = new QuietHours({ settings: createSettings(), windows });
+  });
+
+  test('should be quiet inside a configured window', async () => {
+    expect(await quietHours.isQuiet(MONDAY_STANDUP)).toBe(true);
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(false);
+  });
+
+  test('should treat a window ending before it starts as running past midnight', async () => {
+    quietHours.updateSettings(createSettings({
+      days: [[], [{ start: '22:00', end: '07:00' }], [], [], [], [], []]
+    }));
+
+    expect(await quietHours.isQuiet(MONDAY_NIGHT)).toBe(true);
+    expect(await quietHours.isQuiet(TUESDAY_EARLY)).toBe(true);
+    expect(await quietHours.isQuiet(TUESDAY_MORNING)).toBe(false);
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(false);
+    // Sunday has no window, so early Monday is not quiet
+    expect(await quietHours.isQuiet(MONDAY_EARLY)).toBe(false);
+  });
+
+  test('should ignore fullscreen windows unless enabled', async () => {
+    windows.getAll.mockResolvedValue([{ state: 'fullscreen' }]);
+
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(false);
+    expect(windows.getAll).not.toHaveBeenCalled();
+  });
+
+  test('should be quiet while a window is fullscreen when enabled', async () => {
+    quietHours.updateSettings(createSettings({ fullscreen: true }));
+
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(false);
+
+    windows.getAll.mockResolvedValue([{ state: 'normal' }, { state: 'fullscreen' }]);
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(true);
+  });
+
+  test('should not be quiet if the window check fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    quietHours.updateSettings(createSettings({ fullscreen: true }));
+    windows.getAll.mockRejectedValue(new Error('unavailable'));
+
+    expect(await quietHours.isQuiet(MONDAY_AFTERNOON)).toBe(false);
+  });
+
+  test('should not be quiet without quiet hours settings', async () => {
+    quietHours.updateSettings({});
+    expect(await quietHours.isQuiet(MONDAY_STANDUP)).toBe(false);
+  });
+});
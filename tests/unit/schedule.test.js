@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for schedule.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseTime,
+  isValidRange,
+  formatRanges,
+  parseRanges,
+  isWithinSchedule,
+  getWorkdayEnd,
+  getNextBoundary
+} from '../../src/utils/schedule.js';
+
+// Local times, so the tests hold in any time zone; 2026-01-05 is a Monday
+function at(day, hours, minutes = 0) {
+  return new Date(2026, 0, day, hours, minutes).getTime();
+}
+
+const WORKDAY = [
+  { start: '09:00', end: '12:30' },
+  { start: '13:30', end: '17:30' }
+];
+
+const schedule = {
+  enabled: true,
+  days: [[], WORKDAY, WORKDAY, WORKDAY, WORKDAY, WORKDAY, []]
+};
+
+describe('schedule', () => {
+  describe('parseTime', () => {
+    test('should convert HH:MM to minutes after midnight', () => {
+      expect(parseTime('00:00')).toBe(0);
+      expect(parseTime('09:30')).toBe(570);
+      expect(parseTime('23:59')).toBe(1439);
+    });
+
+    test('should reject malformed times', () => {
+      expect(parseTime('9:30')).toBeNull();
+      expect(parseTime('24:00')).toBeNull();
+      expect(parseTime('12:60')).toBeNull();
+      expect(parseTime(930)).toBeNull();
+    });
+  });
+
+  describe('isValidRange', () => {
+    test('should require the end after the start', () => {
+      expect(isValidRange({ start: '09:00', end: '17:30' })).toBe(true);
+      expect(isValidRange({ start: '17:30', end: '09:00' })).toBe(false);
+      expect(isValidRange({ start: '09:00', end: '09:00' })).toBe(false);
+      expect(isValidRange({ start: '09:00' })).toBe(false);
+      expect(isValidRange(null)).toBe(false);
+    });
+  });
+
+  describe('formatRanges and parseRanges', () => {
+    test('should round-trip a day with a lunch break', () => {
+      const text = formatRanges(WORKDAY);
+
+      expect(text).toBe('09:00-12:30, 13:30-17:30');
+      expect(parseRanges(text)).toEqual(WORKDAY);
+    });
+
+    test('should treat an empty day as off', () => {
+      expect(formatRanges([])).toBe('');
+      expect(parseRanges('  ')).toEqual([]);
+    });
+
+    test('should keep malformed entries for validation to report', () => {
+      expect(parseRanges('9-5, 13:00 - 14:00')).toEqual([
+        { start: '9', end: '5' },
+        { start: '13:00', end: '14:00' }
+      ]);
+      expect(parseRanges('noon')).toEqual([{ start: 'noon', end: '' }]);
+    });
+  });
+
+  describe('isWithinSchedule', () => {
+    test('should follow working hours on weekdays', () => {
+      expect(isWithinSchedule(schedule, at(5, 8, 59))).toBe(false);
+      expect(isWithinSchedule(schedule, at(5, 9))).toBe(true);
+      expect(isWithinSchedule(schedule, at(5, 12, 30))).toBe(false);
+      expect(isWithinSchedule(schedule, at(5, 13, 30))).toBe(true);
+      expect(isWithinSchedule(schedule, at(5, 17, 29))).toBe(true);
+      expect(isWithinSchedule(schedule, at(5, 17, 30))).toBe(false);
+    });
+
+    test('should be off on days without ranges', () => {
+      expect(isWithinSchedule(schedule, at(10, 10))).toBe(false);
+      expect(isWithinSchedule({ enabled: true }, at(5, 10))).toBe(false);
+    });
+  });
+
+  describe('getWorkdayEnd', () => {
+    test('should return the end of the day\'s last range', () => {
+      expect(getWorkdayEnd(schedule, at(5, 10))).toBe(at(5, 17, 30));
+      expect(getWorkdayEnd(schedule, at(5, 14))).toBe(at(5, 17, 30));
+    });
+
+    test('should return null outside working hours', () => {
+      expect(getWorkdayEnd(schedule, at(5, 12, 45))).toBeNull();
+      expect(getWorkdayEnd(schedule, at(10, 10))).toBeNull();
+    });
+  });
+
+  describe('getNextBoundary', () => {
+    test('should find the next start or end time today', () => {
+      expect(getNextBoundary(schedule, at(5, 7))).toBe(at(5, 9));
+      expect(getNextBoundary(schedule, at(5, 9))).toBe(at(5, 12, 30));
+      expect(getNextBoundary(schedule, at(5, 12, 45))).toBe(at(5, 13, 30));
+    });
+
+    test('should skip days off', () => {
+      expect(getNextBoundary(schedule, at(9, 18))).toBe(at(12, 9));
+    });
+
+    test('should return null for an empty schedule', () => {
+      expect(getNextBoundary({ enabled: true, days: [[], [], [], [], [], [], []] }, at(5, 9))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for sessionStore.js
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { saveSession, loadSession, clearSession } from '../../src/background/sessionStore.js';
+import { StorageKeys } from '../../src/utils/constants.js';
+
+const sessionStats = {
+  startTime: 1000,
+  totalTime: 5000,
+  goodPostureTime: 4000,
+  warningPostureTime: 1000,
+  poorPostureTime: 0,
+  alertCount: 1,
+  lastStatus: 'good',
+  lastUpdateTime: 6000
+};
+
+describe('sessionStore', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    browser.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(storage, items);
+    });
+    browser.storage.local.get.mockImplementation(async (key) => (
+      key in storage ? { [key]: storage[key] } : {}
+    ));
+    browser.storage.local.remove.mockImplementation(async (key) => {
+      delete storage[key];
+    });
+  });
+
+  test('should save a checkpoint under SESSION_DATA', async () => {
+    await saveSession({
+      sessionStats,
+      poorPostureStartTime: null,
+      lastAlertTime: 3000,
+      detectionHostId: 42
+    }, 7000);
+
+    expect(storage[StorageKeys.SESSION_DATA]).toEqual({
+      sessionStats,
+      poorPostureStartTime: null,
+      tooCloseStartTime: null,
+      lastAlertTime: 3000,
+      detectionHostId: 42,
+      checkpointAt: 7000
+    });
+  });
+
+  test('should round-trip a checkpoint', async () => {
+    await saveSession({ sessionStats, detectionHostId: 42 }, 7000);
+
+    const checkpoint = await loadSession();
+    expect(checkpoint.sessionStats).toEqual(sessionStats);
+    expect(checkpoint.detectionHostId).toBe(42);
+    expect(checkpoint.lastAlertTime).toBe(0);
+    expect(checkpoint.checkpointAt).toBe(7000);
+  });
+
+  test('should return null when there is no checkpoint', async () => {
+    expect(await loadSession()).toBeNull();
+  });
+
+  test('should ignore malformed checkpoints', async () => {
+    storage[StorageKeys.SESSION_DATA] = { sessionStats: {}, checkpointAt: 7000 };
+    expect(await loadSession()).toBeNull();
+
+    storage[StorageKeys.SESSION_DATA] = { sessionStats };
+    expect(await loadSession()).toBeNull();
+
+    storage[StorageKeys.SESSION_DATA] = 'corrupt';
+    expect(await loadSession()).toBeNull();
+  });
+
+  test('should clear the checkpoint', async () => {
+    await saveSession({ sessionStats }, 7000);
+    await clearSession();
+
+    expect(browser.storage.local.remove).toHaveBeenCalledWith(StorageKeys.SESSION_DATA);
+    expect(await loadSession()).toBeNull();
+  });
+});
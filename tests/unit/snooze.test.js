@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for snooze.js
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getSnoozeEnd } from '../../src/utils/snooze.js';
+import { SnoozePreset, Time } from '../../src/utils/constants.js';
+
+// Local times; 2026-01-05 is a Monday
+const NOW = new Date(2026, 0, 5, 10, 0).getTime();
+
+const schedule = {
+  enabled: true,
+  days: [[], [{ start: '09:00', end: '17:30' }], [], [], [], [], []]
+};
+
+describe('getSnoozeEnd', () => {
+  test('should add fixed durations', () => {
+    expect(getSnoozeEnd(SnoozePreset.MINUTES_15, NOW, schedule)).toBe(NOW + 15 * Time.MINUTE);
+    expect(getSnoozeEnd(SnoozePreset.HOUR, NOW, schedule)).toBe(NOW + Time.HOUR);
+  });
+
+  test('should snooze until local midnight', () => {
+    expect(getSnoozeEnd(SnoozePreset.TOMORROW, NOW, schedule)).toBe(new Date(2026, 0, 6).getTime());
+  });
+
+  test('should snooze until working hours end', () => {
+    expect(getSnoozeEnd(SnoozePreset.END_OF_SCHEDULE, NOW, schedule)).toBe(new Date(2026, 0, 5, 17, 30).getTime());
+  });
+
+  test('should not end with the schedule outside working hours or when it is off', () => {
+    const evening = new Date(2026, 0, 5, 19, 0).getTime();
+
+    expect(getSnoozeEnd(SnoozePreset.END_OF_SCHEDULE, evening, schedule)).toBeNull();
+    expect(getSnoozeEnd(SnoozePreset.END_OF_SCHEDULE, NOW, { ...schedule, enabled: false })).toBeNull();
+  });
+
+  test('should return null for unknown presets', () => {
+    expect(getSnoozeEnd('forever', NOW, schedule)).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for storageManager.js
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { StorageManager } from '../../src/background/storageManager.js';
+import { StorageKeys, MaxHistory, Time } from '../../src/utils/constants.js';
+import { getDefaultSettings } from '../../src/utils/validators.js';
+
+const NOW = Date.UTC(2026, 5, 15, 12);
+
+function createStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get: jest.fn(async (key) => (key in data ? { [key]: data[key] } : {})),
+    set: jest.fn(async (items) => {
+      Object.assign(data, items);
+    }),
+    remove: jest.fn(async (key) => {
+      delete data[key];
+    })
+  };
+}
+
+function createSession(overrides = {}) {
+  return {
+    startTime: NOW - 60000,
+    totalTime: 60000,
+    goodPostureTime: 40000,
+    warningPostureTime: 15000,
+    poorPostureTime: 5000,
+    alertCount: 1,
+    lastStatus: 'good',
+    ...overrides
+  };
+}
+
+describe('StorageManager', () => {
+  let storage;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storage = createStorage();
+    manager = new StorageManager({ storage, now: () => NOW });
+  });
+
+  describe('snooze', () => {
+    test('should round-trip an active snooze', async () => {
+      await manager.saveSnooze(NOW + Time.HOUR);
+
+      expect(storage.data[StorageKeys.SNOOZE]).toEqual({ until: NOW + Time.HOUR });
+      expect(await manager.loadSnooze()).toBe(NOW + Time.HOUR);
+    });
+
+    test('should ignore expired and malformed snoozes', async () => {
+      storage.data[StorageKeys.SNOOZE] = { until: NOW - 1 };
+      expect(await manager.loadSnooze()).toBeNull();
+
+      storage.data[StorageKeys.SNOOZE] = 'soon';
+      expect(await manager.loadSnooze()).toBeNull();
+    });
+
+    test('should remove a cleared snooze', async () => {
+      await manager.saveSnooze(NOW + Time.HOUR);
+      await manager.saveSnooze(null);
+
+      expect(StorageKeys.SNOOZE in storage.data).toBe(false);
+      expect(await manager.loadSnooze()).toBeNull();
+    });
+  });
+
+  describe('saveSettings', () => {
+    test('should save settings to storage', async () => {
+      const settings = getDefaultSettings();
+
+      expect(await manager.saveSettings(settings)).toBe(true);
+      expect(storage.data[StorageKeys.SETTINGS]).toEqual(settings);
+    });
+
+    test('should validate settings before saving', async () => {
+      const settings = { ...getDefaultSettings(), sensitivity: 'extreme' };
+
+      expect(await manager.saveSettings(settings)).toBe(false);
+      expect(storage.set).not.toHaveBeenCalled();
+    });
+
+    test('should handle storage quota errors', async () => {
+      storage.set.mockRejectedValue(new Error('QuotaExceededError'));
+
+      expect(await manager.saveSettings(getDefaultSettings())).toBe(false);
+    });
+  });
+
+  describe('loadSettings', () => {
+    test('should merge stored settings over defaults', async () => {
+      storage.data[StorageKeys.SETTINGS] = { sensitivity: 'high' };
+
+      const settings = await manager.loadSettings();
+
+      expect(settings.sensitivity).toBe('high');
+      expect(settings.thresholds).toEqual(getDefaultSettings().thresholds);
+    });
+
+    test('should store and return defaults if none exist', async () => {
+      expect(await manager.loadSettings()).toEqual(getDefaultSettings());
+      expect(storage.data[StorageKeys.SETTINGS]).toEqual(getDefaultSettings());
+    });
+
+    test('should replace corrupted data with defaults', async () => {
+      storage.data[StorageKeys.SETTINGS] = 'corrupt';
+
+      expect(await manager.loadSettings()).toEqual(getDefaultSettings());
+      expect(storage.data[StorageKeys.SETTINGS]).toEqual(getDefaultSettings());
+    });
+
+    test('should fall back to defaults when storage fails', async () => {
+      storage.get.mockRejectedValue(new Error('storage unavailable'));
+
+      expect(await manager.loadSettings()).toEqual(getDefaultSettings());
+    });
+  });
+
+  describe('getStatistics', () => {
+    test('should return empty statistics when none exist', async () => {
+      expect(await manager.getStatistics()).toEqual({ sessions: [], daily: {} });
+    });
+
+    test('should ignore malformed statistics', async () => {
+      storage.data[StorageKeys.STATISTICS] = { sessions: 'lots' };
+      expect(await manager.getStatistics()).toEqual({ sessions: [], daily: {} });
+    });
+  });
+
+  describe('saveSessionStatistics', () => {
+    test('should append to statistics history', async () => {
+      await manager.saveSessionStatistics(createSession(), NOW);
+      await manager.saveSessionStatistics(createSession({ alertCount: 3 }), NOW);
+
+      const stats = storage.data[StorageKeys.STATISTICS];
+      expect(stats.sessions).toHaveLength(2);
+      expect(stats.sessions[1]).toMatchObject({ alertCount: 3, endTime: NOW });
+    });
+
+    test('should aggregate daily statistics', async () => {
+      await manager.saveSessionStatistics(createSession(), NOW);
+      await manager.saveSessionStatistics(createSession(), NOW);
+
+      expect(storage.data[StorageKeys.STATISTICS].daily['2026-06-15']).toEqual({
+        totalTime: 120000,
+        goodPostureTime: 80000,
+        warningPostureTime: 30000,
+        poorPostureTime: 10000,
+        alertCount: 2,
+        suppressedAlertCount: 0,
+        sessionCount: 2
+      });
+    });
+
+    test('should count suppressed alerts separately', async () => {
+      storage.data[StorageKeys.STATISTICS] = {
+        sessions: [],
+        daily: {
+          '2026-06-15': {
+            totalTime: 0,
+            goodPostureTime: 0,
+            warningPostureTime: 0,
+            poorPostureTime: 0,
+            alertCount: 4,
+            sessionCount: 1
+          }
+        }
+      };
+
+      await manager.saveSessionStatistics(createSession({ suppressedAlertCount: 3 }), NOW);
+
+      const day = storage.data[StorageKeys.STATISTICS].daily['2026-06-15'];
+      expect(day.alertCount).toBe(5);
+      expect(day.suppressedAlertCount).toBe(3);
+    });
+
+    test('should file sessions under the day they ended', async () => {
+      await manager.saveSessionStatistics(createSession(), NOW - Time.DAY);
+
+      expect(Object.keys(storage.data[StorageKeys.STATISTICS].daily)).toEqual(['2026-06-14']);
+    });
+
+    test('should limit history to max entries', async () => {
+      storage.data[StorageKeys.STATISTICS] = {
+        sessions: Array.from({ length: MaxHistory.SESSIONS }, (_, i) => ({ startTime: i })),
+        daily: {}
+      };
+
+      await manager.saveSessionStatistics(createSession(), NOW);
+
+      const { sessions } = storage.data[StorageKeys.STATISTICS];
+      expect(sessions).toHaveLength(MaxHistory.SESSIONS);
+      expect(sessions[0].startTime).toBe(1);
+      expect(sessions[sessions.length - 1].endTime).toBe(NOW);
+    });
+
+    test('should drop days older than the retention period', async () => {
+      storage.data[StorageKeys.STATISTICS] = {
+        sessions: [],
+        daily: {
+          '2026-03-01': { sessionCount: 1 },
+          '2026-06-01': { sessionCount: 1 }
+        }
+      };
+
+      await manager.saveSessionStatistics(createSession(), NOW);
+
+      expect(Object.keys(storage.data[StorageKeys.STATISTICS].daily).sort())
+        .toEqual(['2026-06-01', '2026-06-15']);
+    });
+  });
+});
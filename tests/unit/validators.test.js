@@ -156,6 +156,45 @@ describe('validators', () => {
       expect(valid.valid).toBe(true);
     });
 
+    test('should validate detection.backend', () => {
+      const invalid = validateSettings({
+        detection: { backend: 'openpose' },
+      });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors[0]).toContain('detection.backend');
+
+      const valid = validateSettings({
+        detection: { backend: 'movenet-lightning' },
+      });
+      expect(valid.valid).toBe(true);
+    });
+
+    test('should validate camera settings', () => {
+      const invalid = validateSettings({
+        camera: { deviceId: '', resolution: '8k' },
+      });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors).toHaveLength(2);
+      expect(invalid.errors[0]).toContain('camera.deviceId');
+      expect(invalid.errors[1]).toContain('camera.resolution');
+
+      expect(validateSettings({ camera: { deviceId: null, resolution: 'low' } }).valid).toBe(true);
+      expect(validateSettings({ camera: { deviceId: 'abc123', resolution: 'high' } }).valid).toBe(true);
+    });
+
+    test('should validate detection.fpsMode', () => {
+      const invalid = validateSettings({
+        detection: { fpsMode: 'turbo' },
+      });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors[0]).toContain('detection.fpsMode');
+
+      const valid = validateSettings({
+        detection: { fpsMode: 'auto' },
+      });
+      expect(valid.valid).toBe(true);
+    });
+
     test('should accumulate multiple errors', () => {
       const settings = {
         sensitivity: 'invalid',
@@ -173,6 +212,81 @@ describe('validators', () => {
       expect(result.errors.length).toBeGreaterThan(2);
     });
 
+    test('should validate the working-hours schedule', () => {
+      const days = [[], [{ start: '09:00', end: '17:30' }], [], [], [], [], []];
+
+      expect(validateSettings({ schedule: { enabled: true, days } }).valid).toBe(true);
+      expect(validateSettings({ schedule: { enabled: 'yes' } }).errors)
+        .toContain('schedule.enabled must be a boolean');
+      expect(validateSettings({ schedule: { days: [[]] } }).errors)
+        .toContain('schedule.days must list time ranges for each of the 7 weekdays');
+
+      days[1] = [{ start: '17:30', end: '09:00' }];
+      expect(validateSettings({ schedule: { days } }).errors)
+        .toEqual(['schedule.days[1][0] must be HH:MM start and end times with the end after the start']);
+    });
+
+    test('should validate quiet hours', () => {
+      const days = [[], [], [], [], [], [], [{ start: '10:00', end: '10:15' }]];
+
+      expect(validateSettings({ quietHours: { days, fullscreen: true } }).valid).toBe(true);
+      expect(validateSettings({ quietHours: { days: {}, fullscreen: 1 } }).errors).toEqual([
+        'quietHours.days must list time ranges for each of the 7 weekdays',
+        'quietHours.fullscreen must be a boolean'
+      ]);
+
+      days[1] = [{ start: '22:00', end: '07:00' }];
+      expect(validateSettings({ quietHours: { days } }).valid).toBe(true);
+
+      days[1] = [{ start: '22:00', end: '22:00' }];
+      expect(validateSettings({ quietHours: { days } }).errors)
+        .toEqual(['quietHours.days[1][0] must be different HH:MM start and end times']);
+    });
+
+    test('should validate torso thresholds', () => {
+      expect(validateSettings({ thresholds: { torsoLean: 15, shoulderDrop: 8 } }).valid).toBe(true);
+      expect(validateSettings({ thresholds: { torsoLean: -1, shoulderDrop: 120 } }).errors).toEqual([
+        'torsoLean must be a number between 0 and 90',
+        'shoulderDrop must be a number between 0 and 100'
+      ]);
+    });
+
+    test('should validate head tilt and rotation thresholds', () => {
+      expect(validateSettings({ thresholds: { headRoll: 15, headYaw: 25 } }).valid).toBe(true);
+      expect(validateSettings({ thresholds: { headRoll: -5, headYaw: 91 } }).errors).toEqual([
+        'headRoll must be a number between 0 and 90',
+        'headYaw must be a number between 0 and 90'
+      ]);
+      expect(validateSettings({
+        calibration: { headForwardAngle: 4, shoulderAsymmetry: 1, headRoll: -3, headYaw: 120 }
+      }).errors).toEqual(['calibration.headYaw must be a number between -90 and 90']);
+    });
+
+    test('should validate the screen distance threshold and baseline', () => {
+      expect(validateSettings({ thresholds: { screenProximity: 15 } }).valid).toBe(true);
+      expect(validateSettings({ thresholds: { screenProximity: 150 } }).errors).toEqual([
+        'screenProximity must be a number between 0 and 100'
+      ]);
+      expect(validateSettings({
+        calibration: { headForwardAngle: 4, shoulderAsymmetry: 1, shoulderWidth: 120, eyeDistance: 'x' }
+      }).errors).toEqual([
+        'calibration.shoulderWidth must be a number between 0 and 100',
+        'calibration.eyeDistance must be a number between 0 and 100'
+      ]);
+    });
+
+    test('should validate the calibration baseline', () => {
+      const calibration = { headForwardAngle: 4.2, shoulderAsymmetry: 1.5, timestamp: 1000, cameraId: 'cam-1' };
+
+      expect(validateSettings({ calibration }).valid).toBe(true);
+      expect(validateSettings({ calibration: null }).valid).toBe(true);
+      expect(validateSettings({ calibration: { headForwardAngle: -1, cameraId: 5 } }).errors).toEqual([
+        'calibration.headForwardAngle must be a number between 0 and 90',
+        'calibration.shoulderAsymmetry must be a number between 0 and 90',
+        'calibration.cameraId must be a string or null'
+      ]);
+    });
+
     test('should accept empty object as valid', () => {
       const result = validateSettings({});
       expect(result.valid).toBe(true);
@@ -342,6 +456,45 @@ describe('validators', () => {
       expect(result.detection.confidenceThreshold).toBe(1);
     });
 
+    test('should fall back to posenet for unknown detection.backend', () => {
+      const result = sanitizeSettings({
+        detection: { backend: 'openpose' },
+      });
+      expect(result.detection.backend).toBe('posenet');
+    });
+
+    test('should sanitize camera settings', () => {
+      const result = sanitizeSettings({ camera: { deviceId: 42, resolution: '8k' } });
+      expect(result.camera).toEqual({ deviceId: null, resolution: 'medium' });
+
+      const kept = sanitizeSettings({ camera: { deviceId: 'abc123', resolution: 'high' } });
+      expect(kept.camera).toEqual({ deviceId: 'abc123', resolution: 'high' });
+    });
+
+    test('should fall back to fixed for unknown detection.fpsMode', () => {
+      expect(sanitizeSettings({ detection: { fpsMode: 'turbo' } }).detection.fpsMode).toBe('fixed');
+      expect(sanitizeSettings({ detection: { fpsMode: 'auto' } }).detection.fpsMode).toBe('auto');
+    });
+
+    test('should sanitize the schedule', () => {
+      const result = sanitizeSettings({
+        schedule: { enabled: 'yes', days: [[], [{ start: '09:00', end: '17:00' }, { start: 'noon', end: '' }]] }
+      });
+
+      expect(result.schedule.enabled).toBe(false);
+      expect(result.schedule.days).toHaveLength(7);
+      expect(result.schedule.days[1]).toEqual([{ start: '09:00', end: '17:00' }]);
+      expect(result.schedule.days[6]).toEqual([]);
+    });
+
+    test('should keep overnight quiet hours but not overnight working hours', () => {
+      const days = [[], [{ start: '22:00', end: '07:00' }], [], [], [], [], []];
+      const result = sanitizeSettings({ schedule: { days }, quietHours: { days } });
+
+      expect(result.schedule.days[1]).toEqual([]);
+      expect(result.quietHours.days[1]).toEqual([{ start: '22:00', end: '07:00' }]);
+    });
+
     test('should handle empty object', () => {
       const result = sanitizeSettings({});
       expect(result).toEqual({});
@@ -368,6 +521,23 @@ describe('validators', () => {
       expect(result.alerts.enabled).toBe(true);
       expect(result.alerts.cooldown).toBe(3600);
     });
+
+    test('should sanitize the calibration baseline', () => {
+      expect(sanitizeSettings({ calibration: { headForwardAngle: 120, shoulderAsymmetry: 'x', cameraId: 7 } }))
+        .toEqual({
+          calibration: {
+            headForwardAngle: 90,
+            shoulderAsymmetry: 0,
+            shoulderHeight: null,
+            shoulderWidth: null,
+            eyeDistance: null,
+            headRoll: null,
+            headYaw: null,
+            timestamp: null,
+            cameraId: null
+          }
+        });
+    });
   });
 
   describe('getDefaultSettings', () => {
@@ -421,6 +591,22 @@ describe('validators', () => {
       expect(defaults.detection.fps).toBeLessThanOrEqual(30);
       expect(defaults.detection.confidenceThreshold).toBeGreaterThan(0);
       expect(defaults.detection.confidenceThreshold).toBeLessThanOrEqual(1);
+      expect(defaults.detection.backend).toBe('posenet');
+      expect(defaults.detection.fpsMode).toBe('fixed');
+    });
+
+    test('should default to a disabled weekday schedule', () => {
+      const { schedule } = getDefaultSettings();
+
+      expect(schedule.enabled).toBe(false);
+      expect(schedule.days[0]).toEqual([]);
+      expect(schedule.days[1]).toHaveLength(2);
+      expect(schedule.days[6]).toEqual([]);
+    });
+
+    test('should default to the browser camera at medium resolution', () => {
+      const defaults = getDefaultSettings();
+      expect(defaults.camera).toEqual({ deviceId: null, resolution: 'medium' });
     });
   });
 });
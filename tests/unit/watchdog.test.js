@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for watchdog.js
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DetectionWatchdog, StallReason } from '../../src/background/watchdog.js';
+import { DetectionState } from '../../src/utils/constants.js';
+
+const config = {
+  HEARTBEAT_TIMEOUT: 20000,
+  RESULT_TIMEOUT: 30000,
+  STARTUP_GRACE: 60000,
+  MAX_RESTARTS: 2
+};
+
+describe('DetectionWatchdog', () => {
+  let watchdog;
+
+  beforeEach(() => {
+    watchdog = new DetectionWatchdog(config);
+    watchdog.start(0);
+  });
+
+  test('should stay quiet while inactive', () => {
+    watchdog.stop();
+    expect(watchdog.check(1000000)).toBeNull();
+  });
+
+  test('should allow a startup grace period', () => {
+    expect(watchdog.check(59999)).toBeNull();
+  });
+
+  test('should flag a missing heartbeat', () => {
+    expect(watchdog.check(60000)).toBe(StallReason.NO_HEARTBEAT);
+  });
+
+  test('should accept regular heartbeats with fresh results', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.RUNNING, lastResultAt: 58000 }, 59000);
+    expect(watchdog.check(61000)).toBeNull();
+  });
+
+  test('should flag a window that beats but returns no pose results', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.RUNNING, lastResultAt: 20000 }, 55000);
+    expect(watchdog.check(60000)).toBe(StallReason.NO_RESULTS);
+  });
+
+  test('should flag a model that never finishes loading', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.LOADING_MODEL, lastResultAt: null }, 55000);
+    expect(watchdog.check(60000)).toBe(StallReason.NO_RESULTS);
+  });
+
+  test('should not flag missing results while the camera is recovering', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.ERROR, lastResultAt: 1000 }, 55000);
+    expect(watchdog.check(60000)).toBeNull();
+  });
+
+  test('should not flag missing results while waiting for camera permission or paused', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.ACQUIRING_CAMERA, lastResultAt: null }, 55000);
+    expect(watchdog.check(60000)).toBeNull();
+
+    watchdog.recordHeartbeat({ state: DetectionState.PAUSED, lastResultAt: 1000 }, 59000);
+    expect(watchdog.check(61000)).toBeNull();
+  });
+
+  test('should still flag a missing heartbeat while paused', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.PAUSED, lastResultAt: 1000 }, 30000);
+    expect(watchdog.check(60000)).toBe(StallReason.NO_HEARTBEAT);
+  });
+
+  test('should keep the last result time when a heartbeat omits it', () => {
+    watchdog.recordHeartbeat({ state: DetectionState.RUNNING, lastResultAt: 50000 }, 50000);
+    watchdog.recordHeartbeat({ state: DetectionState.RUNNING }, 55000);
+    expect(watchdog.getDiagnostics().lastResultAt).toBe(50000);
+  });
+
+  describe('recordRestart', () => {
+    test('should count restarts and restart the grace period', () => {
+      expect(watchdog.recordRestart(StallReason.NO_HEARTBEAT, 60000)).toBe(true);
+
+      expect(watchdog.getDiagnostics()).toMatchObject({
+        restarts: 1,
+        lastRestartReason: StallReason.NO_HEARTBEAT,
+        lastHeartbeat: null
+      });
+      expect(watchdog.check(61000)).toBeNull();
+    });
+
+    test('should refuse once the restart limit is exceeded', () => {
+      expect(watchdog.recordRestart(StallReason.NO_RESULTS, 1)).toBe(true);
+      expect(watchdog.recordRestart(StallReason.NO_RESULTS, 2)).toBe(true);
+      expect(watchdog.recordRestart(StallReason.NO_RESULTS, 3)).toBe(false);
+    });
+
+    test('should reset the counter for a new session', () => {
+      watchdog.recordRestart(StallReason.NO_RESULTS, 1);
+      watchdog.resetRestarts();
+
+      expect(watchdog.getDiagnostics().restarts).toBe(0);
+      expect(watchdog.getDiagnostics().lastRestartReason).toBeNull();
+    });
+  });
+});